@@ -15,7 +15,8 @@ const path = require("path");
 
 const { usersQuery } = require("./query.js");
 const { buildSwapParams, buildEmptySwapParams } = require("./eisen.js");
-const { buildFlashSwapLiquidationParams, checkPairLiquidity, PAIR_ABI } = require("./punchswap.js");
+const { buildFlashSwapLiquidationParams, checkPairLiquidity, PAIR_ABI, ROUTER_ABI } = require("./punchswap.js");
+const { decodeRevert, formatRevert, REVERT_CATEGORY } = require("./src/utils/revert-decoder");
 const {
   Strategy,
   selectBestStrategy,
@@ -117,8 +118,11 @@ const WFLOW = config.contracts.wflow;
 const CONSERVATIVE_FACTOR = 99n; // 99% of theoretical collateral (97% was too conservative for large positions)
 const FLASH_LOAN_PREMIUM_BPS = 5n; // 0.05% = 5 bps
 const FLASH_SWAP_FEE_BPS = 30n; // 0.3% = 30 bps (UniswapV2 fee)
+const MIN_PREPARED_PROFIT_BPS = 10n; // prepared swap must return totalNeeded + 0.1%
 const FLOWSCAN_URL = 'https://evm.flowscan.io';
 const MIN_DEBT_USD = config.min_debt_usd || 1;
+// Aave v3: the whole debt can be covered once HF drops below 0.95
+const CLOSE_FACTOR_HF_THRESHOLD = utils.parseEther('0.95');
 
 /**
  * Calculate dynamic gas multiplier based on expected profit
@@ -735,6 +739,75 @@ const preparedLiquidations = new Map(); // user -> { params, strategy, timestamp
 const preparingUsers = new Set(); // Users currently being prepared (to avoid duplicate work)
 const PREPARED_TTL_MS = 30000; // Params válidos por 30 segundos
 
+/**
+ * Flash fee + expected collateral + swap params for a prepared liquidation
+ * Throws when the quoted swap output no longer covers the loan (builders check the reward).
+ */
+async function buildPreparedSwapParams({
+  strategyResult,
+  collateralAsset,
+  debtAsset,
+  debtToCover,
+  collateralDecimals,
+  debtDecimals,
+  botAddress,
+  receiverAddress,
+  slippage
+}) {
+  // Calculate expected collateral based on strategy
+  let totalNeeded;
+  if (strategyResult.strategy === Strategy.V2_FLASH_SWAP) {
+    const flashSwapFee = debtToCover.mul(FLASH_SWAP_FEE_BPS).div(10000n);
+    totalNeeded = debtToCover.add(flashSwapFee);
+  } else if (strategyResult.strategy === Strategy.V3_FLASH) {
+    const v3Fee = strategyResult.fee || 30;
+    const flashFee = debtToCover.mul(BigInt(v3Fee)).div(10000n);
+    totalNeeded = debtToCover.add(flashFee);
+  } else {
+    const flashLoanPremium = debtToCover.mul(FLASH_LOAN_PREMIUM_BPS).div(10000n);
+    totalNeeded = debtToCover.add(flashLoanPremium);
+  }
+
+  const expectedCollateral = await calculateExpectedCollateral(
+    totalNeeded,
+    collateralAsset,
+    debtAsset,
+    collateralDecimals,
+    debtDecimals
+  );
+
+  // Build swap params based on strategy
+  const params = strategyResult.strategy === Strategy.EISEN_FLASH_LOAN
+    ? await buildLiquidationParams({
+      collateralAsset,
+      debtAsset,
+      totalNeeded,
+      collateralAmount: expectedCollateral,
+      contractAddress: botAddress,
+      receiverAddress,
+      apiKey: config.eisen_api_key,
+      slippage
+    })
+    : await buildFlashSwapLiquidationParams({
+      collateralAsset,
+      debtAsset,
+      debtAmount: debtToCover,
+      collateralAmount: expectedCollateral,
+      router: PUNCHSWAP_ROUTER,
+      wflow: WFLOW,
+      slippage,
+      provider
+    });
+
+  return {
+    totalNeeded,
+    expectedCollateral,
+    sParamToRepayLoan: params.sParamToRepayLoan,
+    sParamToSendToReceiver: params.sParamToSendToReceiver,
+    estimatedReward: params.estimatedReward
+  };
+}
+
 /**
  * Preparar liquidation params para una posición HOT
  * Se ejecuta en background para posiciones con HF < 1.05
@@ -872,58 +945,17 @@ async function prepareLiquidationParams(user, pool, totalDebtBase) {
       ? (debtBalanceInmToken.gt(debtToCover) ? debtToCover : debtBalanceInmToken)
       : debtToCover;
 
-    // Calculate expected collateral based on strategy
-    let totalNeeded;
-    if (strategyResult.strategy === Strategy.V2_FLASH_SWAP) {
-      const flashSwapFee = debtToCover.mul(FLASH_SWAP_FEE_BPS).div(10000n);
-      totalNeeded = debtToCover.add(flashSwapFee);
-    } else if (strategyResult.strategy === Strategy.V3_FLASH) {
-      const v3Fee = strategyResult.fee || 30;
-      const flashFee = debtToCover.mul(BigInt(v3Fee)).div(10000n);
-      totalNeeded = debtToCover.add(flashFee);
-    } else {
-      const flashLoanPremium = debtToCover.mul(FLASH_LOAN_PREMIUM_BPS).div(10000n);
-      totalNeeded = debtToCover.add(flashLoanPremium);
-    }
-
-    const expectedCollateral = await calculateExpectedCollateral(
-      totalNeeded,
+    const { totalNeeded, expectedCollateral, sParamToRepayLoan, sParamToSendToReceiver } = await buildPreparedSwapParams({
+      strategyResult,
       collateralAsset,
       debtAsset,
+      debtToCover,
       collateralDecimals,
-      debtDecimals
-    );
-
-    // Build swap params based on strategy
-    let sParamToRepayLoan, sParamToSendToReceiver;
-
-    if (strategyResult.strategy === Strategy.EISEN_FLASH_LOAN) {
-      const params = await buildLiquidationParams({
-        collateralAsset,
-        debtAsset,
-        totalNeeded,
-        collateralAmount: expectedCollateral,
-        contractAddress: botInfo.bot,
-        receiverAddress: new Wallet(config.liquidator_key).address,
-        apiKey: config.eisen_api_key,
-        slippage: dynamicSlippage
-      });
-      sParamToRepayLoan = params.sParamToRepayLoan;
-      sParamToSendToReceiver = params.sParamToSendToReceiver;
-    } else {
-      const params = await buildFlashSwapLiquidationParams({
-        collateralAsset,
-        debtAsset,
-        debtAmount: debtToCover,
-        collateralAmount: expectedCollateral,
-        router: PUNCHSWAP_ROUTER,
-        wflow: WFLOW,
-        slippage: dynamicSlippage,
-        provider
-      });
-      sParamToRepayLoan = params.sParamToRepayLoan;
-      sParamToSendToReceiver = params.sParamToSendToReceiver;
-    }
+      debtDecimals,
+      botAddress: botInfo.bot,
+      receiverAddress: new Wallet(config.liquidator_key).address,
+      slippage: dynamicSlippage
+    });
 
     const prepared = {
       user,
@@ -939,6 +971,7 @@ async function prepareLiquidationParams(user, pool, totalDebtBase) {
       collateralDecimals,
       strategy: strategyResult.strategy,
       strategyPool: strategyResult.pool,
+      strategyResult,
       sParamToRepayLoan,
       sParamToSendToReceiver,
       totalNeeded,
@@ -2251,11 +2284,11 @@ async function main() {
               }
 
             } catch (err) {
-              const reason = err?.error?.reason || err?.errorName || err?.reason || err?.message || 'Unknown';
-              console.log(`[V2 FlashSwap] Failed: ${reason}`);
+              const revert = decodeRevert(err);
+              console.log(`[V2 FlashSwap] Failed: ${formatRevert(revert)}`);
               lastError = err;
 
-              const isSwapError = reason.includes('SwapFailed') || reason.includes('NoReward') || reason.includes('not profitable');
+              const isSwapError = revert.category === REVERT_CATEGORY.SWAP_SLIPPAGE || revert.category === REVERT_CATEGORY.NOT_PROFITABLE;
               if (!isSwapError) {
                 console.log(`[V2 FlashSwap] Non-swap error for this collateral, continuing...`);
                 // Don't break - let it try other strategies for this collateral
@@ -2357,11 +2390,11 @@ async function main() {
                 }
 
               } catch (err) {
-                const reason = err?.error?.reason || err?.errorName || err?.reason || err?.message || 'Unknown';
-                console.log(`[V3 Flash] Failed: ${reason}`);
+                const revert = decodeRevert(err);
+                console.log(`[V3 Flash] Failed: ${formatRevert(revert)}`);
                 lastError = err;
 
-                const isSwapError = reason.includes('SwapFailed') || reason.includes('NoReward') || reason.includes('not profitable');
+                const isSwapError = revert.category === REVERT_CATEGORY.SWAP_SLIPPAGE || revert.category === REVERT_CATEGORY.NOT_PROFITABLE;
                 if (!isSwapError) {
                   console.log(`[V3 Flash] Non-swap error for this collateral, trying Eisen...`);
                   // Continue to try Eisen for this collateral
@@ -2732,44 +2765,20 @@ async function main() {
       ].join('\n'));
 
     } catch (err) {
-      const revertReason = err?.error?.reason || err?.reason || err?.data || err.message;
-      console.error("Liquidation failed:", revertReason);
-
-      // Parse common error types for better messages with fix hints
-      let errorMsg = String(revertReason).slice(0, 150);
-      let fixHint = '';
-
-      if (errorMsg.includes('ERC20InsufficientBalance')) {
-        errorMsg = 'ERC20InsufficientBalance';
-        fixHint = 'Fix: Increase INTEREST_BUFFER_BPS';
-      } else if (errorMsg.includes('SwapFailed')) {
-        errorMsg = 'SwapFailed';
-        fixHint = 'Fix: Reduce CONSERVATIVE_FACTOR or check liquidity';
-      } else if (errorMsg.includes('NoReward')) {
-        errorMsg = 'NoReward';
-        fixHint = 'Fix: Increase CONSERVATIVE_FACTOR or min_debt_usd';
-      } else if (errorMsg.includes('not profitable')) {
-        errorMsg = 'Not profitable';
-        fixHint = 'Fix: Increase min_debt_usd to skip small positions';
-      } else if (errorMsg.includes('gas')) {
-        errorMsg = 'Gas error';
-        fixHint = 'Fix: Check gas price multiplier';
-      } else if (errorMsg.includes('processing response error')) {
-        errorMsg = 'RPC processing error';
-        fixHint = 'Fix: RPC node issue, retry or change RPC';
-      } else if (errorMsg.includes('timeout') || errorMsg.includes('ETIMEDOUT')) {
-        errorMsg = 'RPC timeout';
-        fixHint = 'Fix: RPC node slow, try different RPC';
-      }
+      const revert = decodeRevert(err);
+      console.error("Liquidation failed:", formatRevert(revert));
+
+      // Structured reason with a fix hint per category
+      const errorMsg = `${revert.name} [${revert.category}]`.slice(0, 150);
+      const fixHint = revert.hint;
 
       // Calculate what we tried
       const debtCoveredUsd = (Number(debtToCover.toString()) / Math.pow(10, debtDecimals));
       const theoreticalBonus = debtCoveredUsd * 0.05;
 
       // Record failure if it's a swap/profitability error (blacklist systematic failures)
-      const isSwapOrProfitError = errorMsg.includes('SwapFailed') ||
-                                   errorMsg.includes('NoReward') ||
-                                   errorMsg.includes('not profitable') ||
+      const isSwapOrProfitError = revert.category === REVERT_CATEGORY.SWAP_SLIPPAGE ||
+                                   revert.category === REVERT_CATEGORY.NOT_PROFITABLE ||
                                    realRewardUsd < 0; // Negative reward = bad swap economics
 
       if (isSwapOrProfitError) {
@@ -3041,69 +3050,204 @@ async function quickCheckHotPositions() {
 }
 
 /**
- * Execute liquidation with prepared params (FAST PATH)
+ * Re-read the prepared user at the latest block (tx RPC)
+ * @returns {Object|null} { healthFactor, debtUsd }, null when the position is gone
+ *          (liquidated by someone else, repaid, or HF back above 1)
  */
-async function executePreparedLiquidation(prepared, freshHF) {
-  const liquidator = new Wallet(config.liquidator_key, txProvider);
-  const botContract = new Contract(prepared.botAddress, LiquidationAbi, txProvider);
+async function checkPreparedPosition(prepared) {
+  const poolContract = new Contract(prepared.pool, PoolAbi, txProvider);
+  const data = await poolContract.getUserAccountData(prepared.user, { blockTag: 'latest' });
+  const healthFactor = BigNumber.from(data.healthFactor);
+  const debtUsd = Number(data.totalDebtBase.toString()) / 1e8;
+  if (healthFactor.gte(constants.WeiPerEther) || debtUsd < (config.min_debt_usd || 1)) return null;
+  return { healthFactor, debtUsd };
+}
+
+/**
+ * User's current debt in the prepared debt asset and what the debt mToken holds (tx RPC, latest block)
+ */
+async function readPreparedDebt(prepared) {
+  const dataProvider = new Contract(config.contracts.dataProvider, DataProviderAbi, txProvider);
+  const [reserveData, reserveTokens] = await Promise.all([
+    dataProvider.getUserReserveData(prepared.debtAsset, prepared.user, { blockTag: 'latest' }),
+    dataProvider.getReserveTokensAddresses(prepared.debtAsset)
+  ]);
+  const debtContract = new Contract(prepared.debtAsset, MTokenAbi, txProvider);
+  const debtBalanceInmToken = await debtContract.balanceOf(reserveTokens.aTokenAddress, { blockTag: 'latest' });
+  return {
+    userDebt: BigNumber.from(reserveData.currentVariableDebt).add(reserveData.currentStableDebt),
+    debtBalanceInmToken: BigNumber.from(debtBalanceInmToken)
+  };
+}
+
+/**
+ * Rebuild swap params and amounts of a prepared liquidation against current pools
+ * Debt and mToken liquidity are re-read first: someone may have liquidated or
+ * repaid part of the position since it was prepared, so debtToCover is capped
+ * again by the close factor (50%, all of it below HF 0.95) and the liquidity.
+ * Batch-prepared entries carry quotes only, so this also fills their swap params.
+ * Throws when the quoted output is below what the loan needs.
+ * @param {Object} position - checkPreparedPosition() output
+ */
+async function rebuildPreparedParams(prepared, { healthFactor, debtUsd }) {
+  const { userDebt, debtBalanceInmToken } = await readPreparedDebt(prepared);
+  const closeFactor = healthFactor.lt(CLOSE_FACTOR_HF_THRESHOLD) ? 100n : 50n;
+  let debtToCover = prepared.debtToCover;
+  const maxLiquidatable = userDebt.mul(closeFactor).div(100n);
+  if (debtToCover.gt(maxLiquidatable)) debtToCover = maxLiquidatable;
+  if (debtToCover.gt(debtBalanceInmToken)) debtToCover = debtBalanceInmToken;
+  if (debtToCover.lte(0)) throw new Error('Nothing left to cover');
+
+  const strategyResult = prepared.strategyResult || { strategy: prepared.strategy, pool: prepared.strategyPool };
+  const slippage = prepared.slippage ?? calculateDynamicSlippage(debtUsd);
+  const params = await buildPreparedSwapParams({
+    strategyResult,
+    collateralAsset: prepared.collateralAsset,
+    debtAsset: prepared.debtAsset,
+    debtToCover,
+    collateralDecimals: prepared.collateralDecimals,
+    debtDecimals: prepared.debtDecimals,
+    botAddress: prepared.botAddress,
+    receiverAddress: new Wallet(config.liquidator_key).address,
+    slippage
+  });
+
+  Object.assign(prepared, params, {
+    debtToCover,
+    userDebt,
+    debtBalanceInmToken,
+    strategy: strategyResult.strategy,
+    strategyPool: strategyResult.pool,
+    slippage,
+    timestamp: Date.now()
+  });
+  console.log(`[FastLiquidation] Rebuilt params for ${shortAddr(prepared.user)} (reward ${params.estimatedReward.toString()})`);
+}
+
+/**
+ * Contract method + args for a prepared liquidation
+ */
+function getPreparedCall(prepared, receiver) {
+  // Same amount flash-borrowed and repaid; capped by what the debt mToken holds
+  const debtToCover = prepared.debtToCover.gt(prepared.debtBalanceInmToken)
+    ? prepared.debtBalanceInmToken
+    : prepared.debtToCover;
 
   const lParam = {
     collateralAsset: prepared.collateralAsset,
     debtAsset: prepared.debtAsset,
     user: prepared.user,
-    amount: prepared.debtToCover,
+    amount: debtToCover,
     transferAmount: 0,
-    debtToCover: prepared.userDebt.gt(prepared.debtBalanceInmToken)
-      ? prepared.debtBalanceInmToken
-      : constants.MaxUint256,
+    debtToCover,
   };
+  const swaps = [lParam, prepared.sParamToRepayLoan, prepared.sParamToSendToReceiver, receiver];
+
+  if (prepared.strategy === Strategy.V2_FLASH_SWAP) {
+    return { method: 'executeFlashSwap', args: [prepared.strategyPool, ...swaps] };
+  }
+  if (prepared.strategy === Strategy.V3_FLASH) {
+    return { method: 'executeFlashV3', args: [prepared.strategyPool, ...swaps] };
+  }
+  return { method: 'execute', args: swaps };
+}
+
+/**
+ * Fresh quote of the prepared collateral -> debt swap at the latest block (tx RPC)
+ * PunchSwap params are re-quoted on the router; aggregator params have no
+ * on-chain quote, so those fall back to the oracle estimate.
+ */
+async function quotePreparedSwap(prepared) {
+  if (prepared.strategy !== Strategy.EISEN_FLASH_LOAN && PUNCHSWAP_ROUTER) {
+    const router = new Contract(PUNCHSWAP_ROUTER, ROUTER_ABI, txProvider);
+    const amounts = await router.getAmountsOut(
+      prepared.expectedCollateral,
+      [prepared.collateralAsset, prepared.debtAsset],
+      { blockTag: 'latest' }
+    );
+    return amounts[amounts.length - 1];
+  }
+  const strategyResult = prepared.strategyResult || { strategy: prepared.strategy, pool: prepared.strategyPool };
+  return estimateSwapOutput(prepared.expectedCollateral, prepared.collateralAsset, prepared.debtAsset, strategyResult);
+}
 
-  // Calculate expected profit for dynamic gas
-  // Debt to cover * 5% bonus = profit (approximately)
-  const debtUsd = Number(prepared.debtToCover.toString()) / Math.pow(10, prepared.debtDecimals || 18);
-  const profitUsd = debtUsd * 0.05; // ~5% liquidation bonus
-  const gasMultiplier = calculateGasMultiplier(profitUsd);
+/**
+ * Least swap output worth sending: what the loan needs plus MIN_PREPARED_PROFIT_BPS
+ */
+function minPreparedOutput(prepared) {
+  return prepared.totalNeeded.add(prepared.totalNeeded.mul(MIN_PREPARED_PROFIT_BPS).div(10000n));
+}
 
-  console.log(`[FastLiquidation] Executing ${prepared.strategy} for ${shortAddr(prepared.user)} (profit ~$${profitUsd.toFixed(2)}, gas ${gasMultiplier/100}x)`);
+/**
+ * Execute liquidation with prepared params (FAST PATH)
+ *
+ * Prepared params can be up to PREPARED_TTL_MS old, so right before sending
+ * the position is re-read, the call simulated at the latest block and the
+ * swap re-quoted. A failed simulation, or a quote below totalNeeded plus the
+ * minimum profit, rebuilds the swap params once from fresh quotes; a
+ * position that is already gone aborts with { stale: true }.
+ */
+async function executePreparedLiquidation(prepared, freshHF) {
+  const liquidator = new Wallet(config.liquidator_key, txProvider);
+  const botContract = new Contract(prepared.botAddress, LiquidationAbi, txProvider);
+
+  const abortStale = () => {
+    console.log(`[FastLiquidation] ${shortAddr(prepared.user)} already liquidated or recovered, aborting`);
+    preparedLiquidations.delete(prepared.user);
+    return { success: false, stale: true, error: new Error('Position no longer liquidatable') };
+  };
 
   try {
+    let position = await checkPreparedPosition(prepared);
+    if (!position) return abortStale();
+
+    if (!prepared.sParamToRepayLoan) {
+      await rebuildPreparedParams(prepared, position);
+    }
+
+    // Same-block simulation and quote; one rebuild when the prepared swap no longer clears
+    const simulate = (call) => botContract.callStatic[call.method](...call.args, { from: liquidator.address, blockTag: 'latest' });
+    let call = getPreparedCall(prepared, liquidator.address);
+    let quote = null;
+    let reason = null;
+    try {
+      await simulate(call);
+      quote = await quotePreparedSwap(prepared);
+      if (quote.lt(minPreparedOutput(prepared))) {
+        reason = `quoted output ${quote.toString()} below ${minPreparedOutput(prepared).toString()}`;
+      }
+    } catch (simErr) {
+      reason = `simulation failed: ${simErr.reason || simErr.error?.message || simErr.message}`;
+    }
+
+    if (reason) {
+      console.log(`[FastLiquidation] ${shortAddr(prepared.user)} ${reason.slice(0, 100)}, re-checking`);
+
+      position = await checkPreparedPosition(prepared);
+      if (!position) return abortStale();
+
+      await rebuildPreparedParams(prepared, position);
+      call = getPreparedCall(prepared, liquidator.address);
+      await simulate(call);
+      quote = await quotePreparedSwap(prepared);
+      if (quote.lt(minPreparedOutput(prepared))) {
+        throw new Error(`Quoted output ${quote.toString()} still below ${minPreparedOutput(prepared).toString()} after rebuild`);
+      }
+    }
+
+    // Expected profit for dynamic gas: quoted output left after the loan, in USD
+    const debtPrice = await oracleContract.getAssetPrice(prepared.debtAsset);
+    const profitInDebt = Number(quote.sub(prepared.totalNeeded).toString()) / Math.pow(10, prepared.debtDecimals || 18);
+    const profitUsd = profitInDebt * Number(debtPrice.toString()) / 1e8;
+    const gasMultiplier = calculateGasMultiplier(profitUsd);
+
+    console.log(`[FastLiquidation] Executing ${prepared.strategy} for ${shortAddr(prepared.user)} (profit ~$${profitUsd.toFixed(2)}, gas ${gasMultiplier/100}x)`);
+
     const gasPrice = await provider.getGasPrice();
     const adjustedGasPrice = gasPrice.mul(gasMultiplier).div(100);
 
-    let tx;
-    if (prepared.strategy === Strategy.V2_FLASH_SWAP) {
-      tx = await botContract
-        .connect(liquidator)
-        .executeFlashSwap(
-          prepared.strategyPool,
-          lParam,
-          prepared.sParamToRepayLoan,
-          prepared.sParamToSendToReceiver,
-          liquidator.address,
-          { gasLimit: 4000000, gasPrice: adjustedGasPrice }
-        );
-    } else if (prepared.strategy === Strategy.V3_FLASH) {
-      tx = await botContract
-        .connect(liquidator)
-        .executeFlashV3(
-          prepared.strategyPool,
-          lParam,
-          prepared.sParamToRepayLoan,
-          prepared.sParamToSendToReceiver,
-          liquidator.address,
-          { gasLimit: 4000000, gasPrice: adjustedGasPrice }
-        );
-    } else {
-      tx = await botContract
-        .connect(liquidator)
-        .execute(
-          lParam,
-          prepared.sParamToRepayLoan,
-          prepared.sParamToSendToReceiver,
-          liquidator.address,
-          { gasLimit: 4000000, gasPrice: adjustedGasPrice }
-        );
-    }
+    const tx = await botContract
+      .connect(liquidator)[call.method](...call.args, { gasLimit: 4000000, gasPrice: adjustedGasPrice });
 
     console.log(`[FastLiquidation] TX sent: ${tx.hash}`);
     const receipt = await tx.wait();
@@ -3172,7 +3316,7 @@ async function handleNewBlock(blockNumber) {
         if (liq.prepared) {
           console.log(`[WebSocket] ⚡ FAST PATH for ${shortAddr(liq.user)}`);
           const result = await executePreparedLiquidation(liq.prepared, liq.healthFactor);
-          if (result.success) handledFast++;
+          if (result.success || result.stale) handledFast++;
         }
       }
 
@@ -3283,7 +3427,7 @@ async function runLoop() {
             if (liq.prepared) {
               console.log(`[Polling] ⚡ FAST PATH for ${shortAddr(liq.user)}`);
               const result = await executePreparedLiquidation(liq.prepared, liq.healthFactor);
-              if (result.success) handledFast++;
+              if (result.success || result.stale) handledFast++;
             }
           }
 
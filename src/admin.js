@@ -0,0 +1,237 @@
+/**
+ * Owner admin tool for the Liquidation contracts
+ *
+ * Desired whitelist = every venue the bot may use (WhitelistChecker.collectVenues:
+ * POOLS_CONFIG, STABLEKITTY_POOLS, routers, Eisen forwarder, config.whitelist.extra)
+ * whitelisted, plus config.whitelist.revoke ([{ kind, address }]) removed.
+ *
+ * Run with: node src/admin.js <command> [args] [--bot <address>] [--calldata] [--yes]
+ *   status                            owner + whitelist diff per bot
+ *   plan                              changes needed to reach the desired whitelist
+ *   sync                              apply the plan
+ *   set-whitelist <router> <bool>
+ *   set-pair <pair> <bool>
+ *   set-v3-pool <pool> <bool>
+ *   transfer-ownership <newOwner>
+ *   initialize <addressesProvider> <wflow>
+ *
+ * --bot       only this Liquidation contract (default: every config.bots entry)
+ * --calldata  print { to, data } for a multisig instead of sending
+ * --yes       skip the confirmation prompt
+ * Txs are sent from config.owner_key (or OWNER_KEY), which must be the owner.
+ */
+const readline = require('readline');
+const { providers, Contract, Wallet, utils } = require('ethers');
+const { WhitelistChecker } = require('./services');
+const { shortAddr } = require('./utils');
+
+const config = require('../config.json');
+
+const LiquidationAbi = require('../abis/Liquidation.json');
+const MulticallAbi = require('../abis/MulticallAbi.json');
+
+const liquidationInterface = new utils.Interface(LiquidationAbi);
+
+// ============================================
+// ARGS
+// ============================================
+function parseArgs(argv) {
+  const positional = [];
+  const flags = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--bot') flags.bot = argv[++i];
+    else if (argv[i].startsWith('--')) flags[argv[i].slice(2)] = true;
+    else positional.push(argv[i]);
+  }
+  const [command = 'plan', ...args] = positional;
+  return { command, args, flags };
+}
+
+function parseAddress(value, name) {
+  if (!value || !utils.isAddress(value)) throw new Error(`${name}: expected an address, got ${value}`);
+  return utils.getAddress(value);
+}
+
+function parseBool(value) {
+  if (value === 'true') return true;
+  if (value === 'false') return false;
+  throw new Error(`expected true or false, got ${value}`);
+}
+
+function confirm(question) {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  return new Promise(resolve => rl.question(`${question} [y/N] `, (answer) => {
+    rl.close();
+    resolve(answer.trim().toLowerCase() === 'y');
+  }));
+}
+
+// ============================================
+// WHITELIST DIFF
+// ============================================
+/**
+ * Desired venue states from config
+ * @returns {Array<Object>} { kind, address, label, status }
+ */
+function desiredWhitelist() {
+  const desired = new Map();
+  for (const venue of WhitelistChecker.collectVenues(config)) {
+    desired.set(`${venue.kind}|${venue.address.toLowerCase()}`, { ...venue, status: true });
+  }
+  for (const venue of config.whitelist?.revoke || []) {
+    desired.set(`${venue.kind}|${venue.address.toLowerCase()}`, { label: 'revoke', ...venue, status: false });
+  }
+  return Array.from(desired.values());
+}
+
+/**
+ * Venues whose on-chain state differs from the desired one
+ * @returns {Array<Object>} { bot, kind, address, label, status } - status = desired
+ */
+async function diffWhitelist(provider, bots) {
+  const desired = desiredWhitelist();
+  const checker = new WhitelistChecker({
+    multicall: new Contract(config.contracts.multicall, MulticallAbi, provider),
+    bots,
+    venues: desired
+  });
+  await checker.refresh();
+
+  const changes = [];
+  for (const bot of bots) {
+    for (const venue of desired) {
+      if (checker.isWhitelisted(bot, venue.kind, venue.address) !== venue.status) {
+        changes.push({ bot, ...venue });
+      }
+    }
+  }
+  return changes;
+}
+
+function whitelistCall({ bot, kind, address, label, status }) {
+  const method = WhitelistChecker.VENUE_SETTERS[kind];
+  return {
+    to: bot,
+    data: liquidationInterface.encodeFunctionData(method, [address, status]),
+    description: `${shortAddr(bot)} ${method}(${address}, ${status})${label ? ` - ${label}` : ''}`
+  };
+}
+
+// ============================================
+// SENDING
+// ============================================
+/**
+ * List the calls, then print their calldata or confirm and send each from the owner key
+ * @param {Array<Object>} calls - { to, data, description }
+ * @param {boolean} send - false = list only (plus calldata with --calldata)
+ * @param {boolean} checkOwner - sender must be owner() of every target (false for initialize)
+ */
+async function submit(provider, calls, { calldata, yes, send = true, checkOwner = true }) {
+  if (calls.length === 0) {
+    console.log('Nothing to do');
+    return;
+  }
+
+  console.log(`\n${calls.length} call(s):`);
+  calls.forEach((call, i) => console.log(`  ${i + 1}. ${call.description}`));
+
+  if (calldata) {
+    console.log('\nCalldata:');
+    console.log(JSON.stringify(calls.map(({ to, data, description }) => ({ to, value: '0', data, description })), null, 2));
+    return;
+  }
+  if (!send) return;
+
+  const ownerKey = config.owner_key || process.env.OWNER_KEY;
+  if (!ownerKey) throw new Error('No owner key (config.owner_key / OWNER_KEY); use --calldata for a multisig');
+  const wallet = new Wallet(ownerKey, provider);
+
+  if (checkOwner) {
+    for (const target of [...new Set(calls.map(c => c.to.toLowerCase()))]) {
+      const owner = await new Contract(target, LiquidationAbi, provider).owner();
+      if (owner.toLowerCase() !== wallet.address.toLowerCase()) {
+        throw new Error(`${wallet.address} is not the owner of ${target} (owner: ${owner}); use --calldata`);
+      }
+    }
+  }
+
+  if (!yes && !(await confirm(`\nSend ${calls.length} tx(s) from ${wallet.address}?`))) {
+    console.log('Aborted');
+    return;
+  }
+
+  for (const call of calls) {
+    const tx = await wallet.sendTransaction({ to: call.to, data: call.data });
+    console.log(`  ${call.description}\n    → ${tx.hash}`);
+    const receipt = await tx.wait();
+    console.log(`    ${receipt.status === 1 ? 'mined' : 'REVERTED'} in block ${receipt.blockNumber}`);
+  }
+}
+
+// ============================================
+// COMMANDS
+// ============================================
+async function status(provider, bots) {
+  for (const bot of bots) {
+    const owner = await new Contract(bot, LiquidationAbi, provider).owner().catch(() => 'unknown');
+    console.log(`Bot ${bot} - owner ${owner}`);
+  }
+  const changes = await diffWhitelist(provider, bots);
+  if (changes.length === 0) {
+    console.log('Whitelist matches config');
+    return;
+  }
+  changes.forEach(c => console.log(`  ${c.status ? 'missing' : 'to revoke'}: ${c.kind} ${c.address}${c.label ? ` (${c.label})` : ''} on ${shortAddr(c.bot)}`));
+}
+
+async function main() {
+  const { command, args, flags } = parseArgs(process.argv.slice(2));
+  const provider = new providers.JsonRpcProvider(config.rpc_url);
+  const bots = flags.bot
+    ? [parseAddress(flags.bot, '--bot')]
+    : [...new Set(Object.values(config.bots).map(b => utils.getAddress(b.bot)))];
+  const options = { calldata: !!flags.calldata, yes: !!flags.yes };
+
+  const call = (method, params, description) => bots.map(bot => ({
+    to: bot,
+    data: liquidationInterface.encodeFunctionData(method, params),
+    description: `${shortAddr(bot)} ${description}`
+  }));
+  const setter = (kind) => {
+    const address = parseAddress(args[0], kind);
+    const value = parseBool(args[1]);
+    return submit(provider, call(WhitelistChecker.VENUE_SETTERS[kind], [address, value], `${WhitelistChecker.VENUE_SETTERS[kind]}(${address}, ${value})`), options);
+  };
+
+  switch (command) {
+    case 'status':
+      return status(provider, bots);
+    case 'plan':
+      return submit(provider, (await diffWhitelist(provider, bots)).map(whitelistCall), { ...options, send: false });
+    case 'sync':
+      return submit(provider, (await diffWhitelist(provider, bots)).map(whitelistCall), options);
+    case 'set-whitelist':
+      return setter('router');
+    case 'set-pair':
+      return setter('pair');
+    case 'set-v3-pool':
+      return setter('v3Pool');
+    case 'transfer-ownership': {
+      const newOwner = parseAddress(args[0], 'newOwner');
+      console.log('⚠️  The current owner loses every admin right once this is mined');
+      return submit(provider, call('transferOwnership', [newOwner], `transferOwnership(${newOwner})`), options);
+    }
+    case 'initialize': {
+      const addressesProvider = parseAddress(args[0], 'addressesProvider');
+      const wflow = parseAddress(args[1], 'wflow');
+      return submit(provider, call('initialize', [addressesProvider, wflow], `initialize(${addressesProvider}, ${wflow})`), { ...options, checkOwner: false });
+    }
+    default:
+      throw new Error(`Unknown command: ${command}`);
+  }
+}
+
+main().catch((err) => {
+  console.error(`Error: ${err.message}`);
+  process.exit(1);
+});
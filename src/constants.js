@@ -65,13 +65,30 @@ const FEES = {
   FLASH_LOAN_PREMIUM_BPS: 5n,    // 0.05% Aave/MORE flash loan
   FLASH_SWAP_FEE_BPS: 30n,       // 0.3% UniswapV2 flash swap
   STABLEKITTY_SLIPPAGE_BPS: 50n, // 0.5% max slippage for StableKitty
+  STABLEKITTY_MAX_IMPACT_BPS: 20n, // size stable↔stable liquidations under 0.2% curve impact
 };
 
 // Liquidation constants
 const LIQUIDATION = {
   CONSERVATIVE_FACTOR: 99n,      // 99% of theoretical collateral
   CLOSE_FACTOR: 50n,             // Can liquidate up to 50% of debt
+  MAX_CLOSE_FACTOR: 100n,        // ...or all of it once HF drops below the threshold
+  CLOSE_FACTOR_HF_THRESHOLD: 950000000000000000n, // 0.95 (Aave v3)
   LIQUIDATION_BONUS_BPS: 500n,   // 5% bonus
+  ESTIMATED_GAS: 1500000n,       // Typical flash-loan liquidation gas used
+};
+
+// Gas used by each part of a liquidation tx; strategies add up the parts they use
+const GAS = {
+  LIQUIDATION: 700000n,          // liquidationCall + Liquidation contract bookkeeping
+  MORE_FLASH_LOAN: 250000n,      // MORE flashLoanSimple round-trip
+  V2_FLASH_SWAP: 120000n,        // PunchSwap pair flash swap callback
+  V3_FLASH: 150000n,             // FlowSwap pool flash callback
+  V2_HOP: 120000n,
+  V3_HOP: 200000n,
+  STABLEKITTY_HOP: 250000n,
+  AGGROKITTY_HOP: 60000n,        // adapter overhead on top of the hop itself
+  AGGREGATOR_SWAP: 600000n,      // Eisen route, hops unknown up front
 };
 
 // Contract ABIs
@@ -79,23 +96,59 @@ const ABIS = {
   STABLEKITTY: [
     'function get_dy(int128 i, int128 j, uint256 dx) view returns (uint256)',
     'function exchange(int128 i, int128 j, uint256 dx, uint256 min_dy, address receiver) returns (uint256)',
-    'function balances(uint256 i) view returns (uint256)'
+    'function balances(uint256 i) view returns (uint256)',
+    'function coins(uint256 i) view returns (address)',
+    'function A() view returns (uint256)',
+    'function A_precise() view returns (uint256)',
+    'function fee() view returns (uint256)'
   ],
   ERC20: [
     'function balanceOf(address) view returns (uint256)',
     'function decimals() view returns (uint8)',
     'function symbol() view returns (string)',
+    'function allowance(address owner, address spender) view returns (uint256)',
+    'function approve(address spender, uint256 amount) returns (bool)',
+    'function transfer(address to, uint256 amount) returns (bool)',
   ],
   V2_PAIR: [
     'function getReserves() view returns (uint112, uint112, uint32)',
     'function token0() view returns (address)',
     'function token1() view returns (address)',
   ],
+  V2_ROUTER: [
+    'function getAmountsOut(uint256 amountIn, address[] path) view returns (uint256[] amounts)',
+    'function swapExactTokensForTokens(uint256 amountIn, uint256 amountOutMin, address[] path, address to, uint256 deadline) returns (uint256[] amounts)',
+  ],
   V3_POOL: [
     'function token0() view returns (address)',
     'function token1() view returns (address)',
     'function fee() view returns (uint24)',
     'function liquidity() view returns (uint128)',
+    'function tickSpacing() view returns (int24)',
+    'function slot0() view returns (uint160 sqrtPriceX96, int24 tick, uint16 observationIndex, uint16 observationCardinality, uint16 observationCardinalityNext, uint8 feeProtocol, bool unlocked)',
+    'function tickBitmap(int16 wordPosition) view returns (uint256)',
+    'function ticks(int24 tick) view returns (uint128 liquidityGross, int128 liquidityNet, uint256 feeGrowthOutside0X128, uint256 feeGrowthOutside1X128, int56 tickCumulativeOutside, uint160 secondsPerLiquidityOutsideX128, uint32 secondsOutside, bool initialized)',
+  ],
+  FLASH_EVENTS: [
+    'event Flash(address indexed sender, address indexed recipient, uint256 amount0, uint256 amount1, uint256 paid0, uint256 paid1)',
+    'event Transfer(address indexed from, address indexed to, uint256 value)',
+  ],
+  ORACLE_SOURCES: [
+    'function getSourceOfAsset(address asset) view returns (address)',
+  ],
+  PYTH_EVENTS: [
+    'event PriceFeedUpdate(bytes32 indexed id, uint64 publishTime, int64 price, uint64 conf)',
+  ],
+  POOL_CONFIGURATOR_EVENTS: [
+    'event CollateralConfigurationChanged(address indexed asset, uint256 ltv, uint256 liquidationThreshold, uint256 liquidationBonus)',
+    'event LiquidationProtocolFeeChanged(address indexed asset, uint256 oldFee, uint256 newFee)',
+    'event EModeAssetCategoryChanged(address indexed asset, uint8 oldCategoryId, uint8 newCategoryId)',
+    'event DebtCeilingChanged(address indexed asset, uint256 oldDebtCeiling, uint256 newDebtCeiling)',
+    'event BorrowableInIsolationChanged(address asset, bool borrowable)',
+    'event ReserveFrozen(address indexed asset)',
+    'event ReserveUnfrozen(address indexed asset)',
+    'event ReserveActive(address indexed asset, bool active)',
+    'event EModeCategoryAdded(uint8 indexed categoryId, uint256 ltv, uint256 liquidationThreshold, uint256 liquidationBonus, address oracle, string label)',
   ],
 };
 
@@ -115,6 +168,7 @@ const Strategy = {
   V3_FLASH: 'V3_FLASH',
   V2_DIRECT_MORE: 'V2_DIRECT_MORE',
   V3_DIRECT: 'V3_DIRECT',
+  ROUTED_MORE: 'ROUTED_MORE',
   EISEN_FLASH_LOAN: 'EISEN_FLASH_LOAN',
 };
 
@@ -126,6 +180,7 @@ const STRATEGY_INFO = {
   [Strategy.V3_FLASH]: { emoji: '🔷', name: 'V3 Flash' },
   [Strategy.V2_DIRECT_MORE]: { emoji: '💨', name: 'V2 Direct+MORE' },
   [Strategy.V3_DIRECT]: { emoji: '💎', name: 'V3 Direct' },
+  [Strategy.ROUTED_MORE]: { emoji: '🧭', name: 'Routed+MORE' },
   [Strategy.EISEN_FLASH_LOAN]: { emoji: '🌐', name: 'Eisen' },
 };
 
@@ -139,6 +194,7 @@ module.exports = {
   STABLEKITTY_POOLS,
   FEES,
   LIQUIDATION,
+  GAS,
   ABIS,
   SwapType,
   Strategy,
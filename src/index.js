@@ -4,7 +4,7 @@
  * Uses strategy pattern for liquidation execution
  * Maintains all optimizations from the original bot
  */
-const { providers, BigNumber, Wallet, Contract, utils, constants: ethersConstants } = require('ethers');
+const { providers, BigNumber, Contract, utils, constants: ethersConstants } = require('ethers');
 const { HttpLink } = require('apollo-link-http');
 const { ApolloClient } = require('apollo-client');
 const { InMemoryCache } = require('apollo-cache-inmemory');
@@ -13,9 +13,26 @@ const fs = require('fs');
 const path = require('path');
 
 // Modular imports
-const { StrategyManager, getAllStrategies, getApplicableStrategies } = require('./strategies');
+const { StrategyManager, getAllStrategies } = require('./strategies');
 const { TelegramService } = require('./services');
-const { PricingService } = require('./services');
+const {
+  PricingService,
+  PositionIndex,
+  PriceWatcher,
+  PairSelector,
+  ReserveParamsService,
+  ReceiptAnalyzer,
+  LedgerService,
+  RouteFinder,
+  V3Quoter,
+  StableSwapSimulator,
+  SizeSolver,
+  WalletPool,
+  FeeEstimator,
+  Blacklist,
+  WhitelistChecker,
+  Treasury
+} = require('./services');
 const {
   TOKENS,
   STABLEKITTY_POOLS,
@@ -23,7 +40,8 @@ const {
   ABIS,
   TOKEN_DECIMALS,
   Strategy,
-  STRATEGY_INFO
+  STRATEGY_INFO,
+  LIQUIDATION
 } = require('./constants');
 const {
   shortAddr,
@@ -31,18 +49,27 @@ const {
   isStableSwap,
   findStableKittyPool,
   sleep,
+  mapConcurrent,
   calculateDynamicSlippage,
   calculateSafeLiquidationPercent,
   calculateOptimalLiquidationAmount,
-  calculateGasMultiplier
+  getTokenSymbol,
+  formatDuration,
+  decodeRevert,
+  formatRevert,
+  REVERT_CATEGORY
 } = require('./utils');
 
 // Config and queries
 const config = require('../config.json');
 const { usersQuery } = require('../query.js');
+const { POOLS_CONFIG } = require('../liquidity');
 
 // State file
 const STATE_FILE = path.join(__dirname, '..', 'bot_state.json');
+const LEDGER_FILE = config.ledger_file || path.join(__dirname, '..', 'ledger.jsonl');
+const BLACKLIST_FILE = config.blacklist_file || path.join(__dirname, '..', 'blacklist.json');
+const BOT_START_TIME = Date.now();
 
 // ABIs
 const PoolAbi = require('../abis/Pool.json');
@@ -73,6 +100,21 @@ let oracleContract = new Contract(config.contracts.oracle, AaveOracleAbi, provid
 let telegramService;
 let pricingService;
 let strategyManager;
+let positionIndex;
+let priceWatcher;
+let pairSelector;
+let reserveParams;
+let receiptAnalyzer;
+let ledger;
+let routeFinder;
+let v3Quoter;
+let stableSwap;
+let sizeSolver;
+let walletPool;
+let feeEstimator;
+let blacklist;
+let whitelistChecker;
+let treasury;
 
 // Constants
 const WFLOW = config.contracts.wflow;
@@ -88,13 +130,31 @@ const preparedLiquidations = new Map();
 const preparingUsers = new Set();
 const PREPARED_TTL_MS = 30000;
 
-// Position blacklist (failed liquidations)
-const failedPositions = new Map();
-const MAX_FAILURES_BEFORE_BLACKLIST = 3;
-const BLACKLIST_TTL_MS = 5 * 60 * 1000;
+// Users with a liquidation in flight (full scan or fast path)
+const liquidatingUsers = new Set();
+// Independent liquidations sent in parallel (local nonces via TxManager)
+const MAX_CONCURRENT_LIQUIDATIONS = config.max_concurrent_liquidations || 3;
+
+// Partially unwound positions queued for another round: user -> { pool, round, dueBlock, scheduledBlock, route }
+const followUps = new Map();
+const FOLLOWUP_SPACING_BLOCKS = config.followup_spacing_blocks ?? 2;
+const FOLLOWUP_MAX_ROUNDS = config.followup_max_rounds ?? 5;
+// A round waits until the last route quotes within this of its pre-trade output...
+const FOLLOWUP_RECOVERY_BPS = BigInt(config.followup_recovery_bps ?? 50);
+// ...or until this many blocks have passed since the last round
+const FOLLOWUP_MAX_WAIT_BLOCKS = config.followup_max_wait_blocks ?? 20;
+let headBlock = 0;
+
+// Positions below this HF get a reserve snapshot so price moves can be evaluated locally
+const TRIGGER_HF_CEILING = utils.parseEther(String(config.trigger_hf_ceiling || 1.5));
+// Estimated HF at or below this is confirmed on-chain (covers interest accrued since the snapshot)
+const TRIGGER_HF_MARGIN = 1.01;
+
 
 // WebSocket
 let wsConnection = null;
+let lastBlockNumber = 0;
+let blockInFlight = false;
 let wsReconnectAttempts = 0;
 const MAX_WS_RECONNECT_ATTEMPTS = 10;
 const WS_URL = config.ws_url || 'wss://mainnet.evm.nodes.onflow.org';
@@ -111,6 +171,91 @@ function initializeServices() {
 
   pricingService = new PricingService(oracleContract, provider);
   strategyManager = new StrategyManager();
+  walletPool = new WalletPool({
+    provider: txProvider,
+    privateKeys: config.liquidator_keys || [config.liquidator_key],
+    minGasBalance: utils.parseEther(String(config.min_gas_balance_flow ?? 1)),
+    selection: config.wallet_selection,
+    txOptions: { stuckAfterBlocks: config.stuck_after_blocks ?? 3 },
+    onStatusChange: ({ address, active, balance }) => telegramService.sendAlert(active
+      ? `✅ <b>Wallet back in rotation</b>\n\n${shortAddr(address)}: ${utils.formatEther(balance)} FLOW`
+      : `⛽ <b>Wallet out of rotation</b>\n\n${shortAddr(address)}: ${utils.formatEther(balance)} FLOW (below gas floor)`)
+  });
+  feeEstimator = new FeeEstimator({
+    provider: txProvider,
+    gasLimitMarginBps: config.gas_limit_margin_bps ?? 2000,
+    maxProfitShareBps: config.max_gas_profit_share_bps ?? 3000
+  });
+  receiptAnalyzer = new ReceiptAnalyzer({ provider: txProvider, pricingService, wflow: WFLOW });
+  v3Quoter = new V3Quoter({ multicall: multicallContract });
+  stableSwap = new StableSwapSimulator({ multicall: multicallContract });
+  routeFinder = new RouteFinder({
+    provider,
+    multicallAddress: config.contracts.multicall,
+    v2Router: config.contracts.punchswap?.router,
+    v3Router: config.contracts.flowswap?.router,
+    aggroKitty: config.contracts.aggrokitty,
+    v3Quoter
+  });
+  sizeSolver = new SizeSolver({ multicall: multicallContract, v3Quoter, stableSwap, routeFinder });
+  ledger = new LedgerService({ file: LEDGER_FILE });
+  blacklist = new Blacklist({ file: BLACKLIST_FILE, priceMoveBps: config.blacklist_price_move_bps });
+  whitelistChecker = new WhitelistChecker({
+    multicall: multicallContract,
+    bots: Object.values(config.bots).map(b => b.bot),
+    venues: WhitelistChecker.collectVenues(config)
+  });
+  const treasuryConfig = config.treasury || {};
+  treasury = new Treasury({
+    provider: txProvider,
+    multicall: multicallContract,
+    pricingService,
+    routeFinder,
+    walletPool,
+    bots: Object.values(config.bots).map(b => b.bot),
+    tokens: [...Object.values(TOKENS), ...(treasuryConfig.tokens || [])],
+    wflow: WFLOW,
+    targetAsset: treasuryConfig.target_asset || TOKENS.USDF,
+    coldAddress: treasuryConfig.cold_address || null,
+    gasReserve: utils.parseEther(String(treasuryConfig.gas_reserve_flow ?? 5)),
+    minConvertUsd: treasuryConfig.min_convert_usd,
+    minSweepUsd: treasuryConfig.min_sweep_usd,
+    slippageBps: treasuryConfig.slippage_bps,
+    dryRun: treasuryConfig.dry_run !== false,
+    onAction: (action) => telegramService.notifyTreasuryAction(action)
+  });
+  positionIndex = new PositionIndex({
+    pools: config.pools,
+    bots: config.bots,
+    fetchUsers: fetchSubgraphUsers,
+    fetchUsersPage: fetchSubgraphUsersPage,
+    provider,
+    multicall: multicallContract
+  });
+  reserveParams = new ReserveParamsService({
+    multicall: multicallContract,
+    dataProvider: config.contracts.dataProvider,
+    pool: config.pools[0],
+    provider,
+    oracle: oracleContract
+  });
+  priceWatcher = new PriceWatcher({
+    oracle: oracleContract,
+    dataProvider: config.contracts.dataProvider,
+    multicall: multicallContract,
+    positionIndex,
+    reserveParams,
+    provider,
+    triggerMargin: TRIGGER_HF_MARGIN
+  });
+  pairSelector = new PairSelector({
+    multicall: multicallContract,
+    reserveParams,
+    pricingService,
+    provider,
+    v2Router: config.contracts.punchswap?.router,
+    v3Quoter
+  });
 
   console.log(`[Init] Loaded ${strategyManager.strategies.length} strategies`);
   strategyManager.strategies.forEach(s => {
@@ -122,6 +267,17 @@ function reinitializeContracts() {
   multicallContract = new Contract(config.contracts.multicall, MulticallAbi, provider);
   oracleContract = new Contract(config.contracts.oracle, AaveOracleAbi, provider);
   pricingService = new PricingService(oracleContract, provider);
+  positionIndex?.setProvider(provider, multicallContract);
+  priceWatcher?.setProvider(provider, multicallContract, oracleContract);
+  pairSelector?.setProvider(provider, multicallContract, pricingService);
+  reserveParams?.setProvider(provider, multicallContract, oracleContract);
+  receiptAnalyzer?.setProvider(txProvider, pricingService);
+  v3Quoter?.setProvider(provider, multicallContract);
+  stableSwap?.setProvider(provider, multicallContract);
+  sizeSolver?.setProvider(provider, multicallContract);
+  routeFinder?.setProvider(provider);
+  whitelistChecker?.setProvider(multicallContract);
+  treasury?.setProvider(txProvider, multicallContract, pricingService);
   console.log('[RPC] Contracts reinitialized');
 }
 
@@ -144,29 +300,62 @@ function switchToPublicRpc() {
 // ============================================
 // BLACKLIST MANAGEMENT
 // ============================================
-function recordFailedLiquidation(user, reason) {
-  const existing = failedPositions.get(user) || { failures: 0, lastAttempt: 0, reason: '' };
-  failedPositions.set(user, {
-    failures: existing.failures + 1,
-    lastAttempt: Date.now(),
-    reason
-  });
-}
-
-function shouldSkipPosition(user) {
-  const failed = failedPositions.get(user);
-  if (!failed) return false;
-
-  if (Date.now() - failed.lastAttempt > BLACKLIST_TTL_MS) {
-    failedPositions.delete(user);
-    return false;
+/**
+ * /blacklist            - list entries
+ * /blacklist clear all  - drop everything
+ * /blacklist clear <address | strategy> - drop entries for a user / token, or a strategy
+ */
+async function handleBlacklistCommand([action, target]) {
+  if (action === 'clear') {
+    let removed;
+    if (!target || target === 'all') {
+      removed = blacklist.clear();
+    } else if (utils.isAddress(target)) {
+      removed = blacklist.clear({ user: target }) + blacklist.clear({ collateralAsset: target }) + blacklist.clear({ debtAsset: target });
+    } else {
+      removed = blacklist.clear({ strategy: target });
+    }
+    return `🧹 Cleared ${removed} blacklist ${removed === 1 ? 'entry' : 'entries'}`;
   }
 
-  return failed.failures >= MAX_FAILURES_BEFORE_BLACKLIST;
+  const blockNumber = await txProvider.getBlockNumber().catch(() => headBlock);
+  const entries = blacklist.list({ blockNumber });
+  if (entries.length === 0) return '✅ Blacklist empty';
+
+  const label = (address) => (address === Blacklist.ANY ? '*' : getTokenSymbol(address));
+  const lines = entries.slice(0, 20).map(e => {
+    const until = e.untilBlock !== null ? `block ${e.untilBlock}` : e.untilMs !== null ? new Date(e.untilMs).toISOString().slice(11, 19) : 'cleared';
+    return `${e.active ? '⛔' : '▫️'} ${e.user === Blacklist.ANY ? 'all users' : shortAddr(e.user)} ${label(e.collateralAsset)}/${label(e.debtAsset)} ${e.strategy}\n    ${e.category} ×${e.failures}, until ${until} - ${e.reason || ''}`;
+  });
+  return [
+    `🚫 <b>Blacklist</b> (${entries.filter(e => e.active).length} active / ${entries.length})`,
+    ``,
+    ...lines,
+    entries.length > 20 ? `… ${entries.length - 20} more` : null
+  ].filter(line => line !== null).join('\n');
 }
 
-function clearFailedPosition(user) {
-  failedPositions.delete(user);
+// ============================================
+// CONTRACT WHITELIST
+// ============================================
+/**
+ * Re-read the contract whitelists; alert with what to whitelist when the missing set changes
+ * Blacklist entries for venues that are whitelisted now are lifted.
+ */
+async function checkWhitelists() {
+  try {
+    const changed = await whitelistChecker.refresh();
+    const report = whitelistChecker.report();
+    if (report) console.log(`[Whitelist] Missing:\n${report}`);
+    blacklist.clearWhitelisted((bot, kind, address) => whitelistChecker.isWhitelisted(bot, kind, address), !report);
+    if (!changed) return;
+
+    await telegramService.sendAlert(report
+      ? `🔒 <b>Venues not whitelisted</b>\nStrategies using them are disabled.\n\n<code>${report}</code>`
+      : `✅ <b>Whitelist complete</b>\n\nAll known venues are whitelisted`);
+  } catch (err) {
+    console.error(`[Whitelist] Check failed: ${err.message?.slice(0, 100)}`);
+  }
 }
 
 // ============================================
@@ -211,6 +400,40 @@ const apolloFetcher = async (query) => {
   });
 };
 
+/**
+ * Page through every user in the subgraph
+ * Only used to seed the position index - afterwards it is kept current from Pool logs
+ */
+async function fetchSubgraphUsers() {
+  let allUsers = [];
+  let skip = 0;
+  const first = 100;
+  let fetchNext = true;
+
+  while (fetchNext) {
+    const fetchedUsers = await fetchSubgraphUsersPage({ first, skip });
+    allUsers = allUsers.concat(fetchedUsers);
+
+    if (fetchedUsers.length < first) {
+      fetchNext = false;
+    } else {
+      skip += first;
+    }
+    console.log(`Fetched ${fetchedUsers.length} users, total: ${allUsers.length}`);
+  }
+
+  return allUsers;
+}
+
+/**
+ * One page of subgraph users (ordered by id)
+ * Used for the seed and, one page per full scan, to reconcile the index
+ */
+async function fetchSubgraphUsersPage({ first, skip }) {
+  const accountsInfo = await apolloFetcher({ query: usersQuery, variables: { first, skip } });
+  return (accountsInfo?.data?.users || []).map(u => u.id);
+}
+
 // ============================================
 // RETRY HELPER
 // ============================================
@@ -221,6 +444,10 @@ async function retryWithBackoff(fn, maxRetries = 3, baseDelayMs = 1000, operatio
       return await fn();
     } catch (err) {
       lastError = err;
+      // A decoded revert won't change on retry
+      const decoded = decodeRevert(err);
+      if (decoded.data && decoded.category !== REVERT_CATEGORY.UNKNOWN) throw err;
+
       const isRetryable = err.message?.includes('missing revert data') ||
                           err.message?.includes('CALL_EXCEPTION') ||
                           err.message?.includes('timeout') ||
@@ -244,28 +471,81 @@ async function retryWithBackoff(fn, maxRetries = 3, baseDelayMs = 1000, operatio
 // ============================================
 // COLLATERAL CALCULATION
 // ============================================
-async function calculateExpectedCollateral(debtToCover, collateralAsset, debtAsset, collateralDecimals, debtDecimals) {
-  const [debtPrice, collateralPrice] = await Promise.all([
-    pricingService.getPrice(debtAsset),
-    pricingService.getPrice(collateralAsset)
+async function calculateExpectedCollateral(debtToCover, collateralAsset, debtAsset, eModeCategory = 0) {
+  const [prices] = await Promise.all([
+    pricingService.getPrices([debtAsset, collateralAsset]),
+    reserveParams.ensure([collateralAsset, debtAsset]),
+    reserveParams.ensureEModeCategories([eModeCategory])
   ]);
+  // eMode category price source replaces the oracle price for assets in the category
+  await reserveParams.applyEModePrices(prices, eModeCategory);
 
-  // Get liquidation bonus (hardcoded to 10500 = 5% bonus for now)
-  const liquidationBonus = BigNumber.from(10500);
+  // Aave formula with the reserve's (or eMode category's) bonus, net of the liquidation protocol fee
+  const { liquidationBonus } = reserveParams.getEffectiveParams(collateralAsset, eModeCategory);
+  const theoreticalCollateral = reserveParams.calculateCollateralOut(
+    debtToCover,
+    debtAsset,
+    collateralAsset,
+    prices[debtAsset],
+    prices[collateralAsset],
+    liquidationBonus
+  );
 
-  // Aave formula: collateral = (debtToCover × debtPrice × liquidationBonus) / (collateralPrice × 10000)
-  const decimalAdjustment = BigNumber.from(10).pow(collateralDecimals - debtDecimals + 8 - 8);
+  // Apply conservative factor (99%)
+  return theoreticalCollateral.mul(LIQUIDATION.CONSERVATIVE_FACTOR).div(100n);
+}
 
-  const theoreticalCollateral = debtToCover
-    .mul(debtPrice)
-    .mul(liquidationBonus)
-    .div(collateralPrice)
-    .div(10000)
-    .mul(decimalAdjustment);
+// ============================================
+// FLASH SOURCES
+// ============================================
+/**
+ * V2 pair / V3 pool to borrow the debt token from
+ * The V2 pair can't be the collateral/debt pair: the repay swap routes through
+ * it while the flash swap still holds its lock. V3 takes the lowest fee tier.
+ */
+function findFlashSources(collateralAsset, debtAsset) {
+  const debt = debtAsset.toLowerCase();
+  const collateral = collateralAsset.toLowerCase();
+  const hasToken = (p, token) => p.token0.toLowerCase() === token || p.token1.toLowerCase() === token;
+
+  const v2 = Object.values(POOLS_CONFIG.v2Pairs).find(p => hasToken(p, debt) && !hasToken(p, collateral));
+  const v3 = Object.values(POOLS_CONFIG.v3Pools)
+    .filter(p => hasToken(p, debt))
+    .sort((a, b) => a.fee - b.fee)[0];
+
+  return {
+    v2Pool: v2 ? v2.address : null,
+    v3Pool: v3 ? v3.address : null,
+    v3Fee: v3 ? v3.fee : null
+  };
+}
 
-  // Apply conservative factor (99%)
-  const CONSERVATIVE_FACTOR = 99n;
-  return theoreticalCollateral.mul(CONSERVATIVE_FACTOR).div(100n);
+// ============================================
+// SIZING
+// ============================================
+/**
+ * Profit-maximising debtToCover for the selected pair (SizeSolver)
+ * @returns {Object|null} solver result, null when the route can't be simulated locally
+ */
+async function solveLiquidationSize(pair, availableLiquidity) {
+  try {
+    const debtPrice = await pricingService.getPrice(pair.debtAsset);
+    const gasCost = debtPrice.gt(0)
+      ? BigNumber.from(Math.round(pair.gasUsd * 1e8)).mul(BigNumber.from(10).pow(pair.debtDecimals)).div(debtPrice)
+      : BigNumber.from(0);
+
+    return await sizeSolver.solve({
+      collateralAsset: pair.collateralAsset,
+      debtAsset: pair.debtAsset,
+      maxDebt: pair.debtToCover,
+      expectedCollateral: pair.expectedCollateral,
+      availableLiquidity,
+      gasCost
+    });
+  } catch (err) {
+    console.log(`[SizeSolver] Failed: ${err.message?.slice(0, 80)}`);
+    return null;
+  }
 }
 
 // ============================================
@@ -294,10 +574,17 @@ function cleanExpiredPrepared() {
 // EXECUTE LIQUIDATION WITH STRATEGY MANAGER
 // ============================================
 async function executeLiquidation(context) {
-  const { user, botAddress, collateralAsset, debtAsset, debtToCover, expectedCollateral,
-          collateralDecimals, debtDecimals, healthFactor, debtValueUsd } = context;
+  const { user, pool, botAddress, collateralAsset, debtAsset, debtToCover, expectedCollateral,
+          collateralDecimals, debtDecimals, healthFactor, debtValueUsd, netBonus, solvedRoute = null } = context;
 
-  const liquidator = new Wallet(config.liquidator_key, txProvider);
+  let txManager;
+  try {
+    txManager = await walletPool.acquire();
+  } catch (err) {
+    console.log(`[Liquidation] ${err.message}`);
+    return { success: false, error: err.message };
+  }
+  const liquidator = txManager.wallet;
   const botContract = new Contract(botAddress, LiquidationAbi, liquidator);
 
   // Calculate dynamic slippage based on position size
@@ -311,6 +598,7 @@ async function executeLiquidation(context) {
     user,
     debtToCover,
     expectedCollateral,
+    netBonus,
     collateralDecimals,
     debtDecimals,
     provider,
@@ -319,64 +607,140 @@ async function executeLiquidation(context) {
     eisenApiKey: config.eisen_api_key,
     punchswapRouter: config.contracts.punchswap?.router,
     slippageBps, // Dynamic slippage in basis points
-    wflow: WFLOW
+    wflow: WFLOW,
+    routeFinder,
+    stableSwap,
+    solvedRoute, // route debtToCover was optimised on (SizeSolver), null when sized by tiers
+    // Flash sources the contract doesn't accept never reach the strategies
+    ...whitelistChecker.filterFlashSources(botAddress, findFlashSources(collateralAsset, debtAsset))
   };
 
-  // Get applicable strategies
-  const applicable = getApplicableStrategies(strategyContext);
-  if (applicable.length === 0) {
+  ledger.recordAttempt({ user, pool, collateralAsset, debtAsset, debtToCover, debtValueUsd });
+
+  // Build every applicable strategy in parallel and rank by expected net profit
+  const [prices, baseGasPrice, flowPrice, blockNumber] = await Promise.all([
+    pricingService.getPrices([collateralAsset, debtAsset]),
+    txProvider.getGasPrice(),
+    pricingService.getPrice(WFLOW),
+    txProvider.getBlockNumber()
+  ]);
+
+  // Blacklist entries for this user / pair; failures are recorded per strategy
+  const pairKey = { user, collateralAsset, debtAsset };
+  const recordFailure = (strategy, revert, params) => blacklist.record({
+    ...pairKey,
+    strategy,
+    category: revert.category,
+    reason: formatRevert(revert),
+    blockNumber,
+    prices,
+    venues: whitelistChecker.usedVenues(params).map(v => ({ bot: botAddress, ...v }))
+  });
+  let blacklisted = 0;
+  const built = await strategyManager.rankStrategies(strategyContext, { prices, gasPrice: baseGasPrice, flowPrice }, (strategy) => {
+    const entry = blacklist.isBlocked({ ...pairKey, strategy: strategy.name }, { blockNumber, prices });
+    if (entry) {
+      blacklisted++;
+      console.log(`[Liquidation] ${strategy.name} blacklisted for ${shortAddr(user)} (${entry.category}: ${entry.reason})`);
+    }
+    return !!entry;
+  });
+
+  // Drop strategies that would route through a venue the contract doesn't whitelist
+  const ranked = [];
+  for (const candidate of built) {
+    const missing = await whitelistChecker.getMissing(botAddress, candidate.params);
+    if (missing.length > 0) {
+      console.log(`[Liquidation] ${candidate.strategy.name} disabled, not whitelisted: ${missing.map(m => m.label || `${m.kind} ${shortAddr(m.address)}`).join(', ')}`);
+      continue;
+    }
+    ranked.push(candidate);
+  }
+  if (ranked.length === 0) {
     console.log(`[Liquidation] No applicable strategies for ${shortAddr(user)}`);
-    recordFailedLiquidation(user, 'No applicable strategies');
+    if (blacklisted === 0) blacklist.record({ user, reason: 'No applicable strategies', blockNumber });
     return { success: false, error: 'No applicable strategies' };
   }
 
-  console.log(`[Liquidation] ${applicable.length} strategies: ${applicable.map(s => s.name).join(', ')}`);
+  console.log(`[Liquidation] Ranked: ${ranked.map(r => `${r.strategy.name} ${formatUsd(r.netProfitUsd)}${r.priceImpactBps !== null ? ` (${r.priceImpactBps}bps impact)` : ''}`).join(', ')}`);
 
-  // Try strategies in order
-  for (const strategy of applicable) {
+  // Try strategies best first; the last decoded revert decides blacklist / alert
+  let lastRevert = null;
+  for (const { strategy, params, netProfitUsd } of ranked) {
+    if (netProfitUsd <= 0) {
+      console.log(`[Liquidation] Skipping ${strategy.name}: expected net ${formatUsd(netProfitUsd)}`);
+      continue;
+    }
     console.log(`\n[Liquidation] Trying ${strategy.name}...`);
+    let tx = null;
 
     try {
-      const params = await strategy.buildParams(strategyContext);
-      if (!params) {
-        console.log(`[Liquidation] ${strategy.name} - Failed to build params`);
-        continue;
-      }
-
       // Get method and args
       const methodName = strategy.getContractMethod();
       const args = strategy.getMethodArgs(params);
 
-      // Calculate gas
-      const expectedProfitUsd = debtValueUsd * 0.05;
-      const gasMultiplier = calculateGasMultiplier(expectedProfitUsd);
-      const baseGasPrice = await txProvider.getGasPrice();
-      const gasPrice = baseGasPrice.mul(gasMultiplier).div(100);
-
       // Simulate first
       console.log(`[Liquidation] Simulating ${methodName}...`);
       console.log(`[Liquidation] Args: user=${params.lParam?.user}, debt=${params.lParam?.debtAsset?.slice(0,10)}, coll=${params.lParam?.collateralAsset?.slice(0,10)}, amount=${params.lParam?.amount}`);
       try {
         await botContract.callStatic[methodName](...args);
       } catch (simErr) {
-        const reason = simErr.reason || simErr.error?.reason || simErr.error?.message || simErr.message;
-        console.log(`[Liquidation] Simulation failed: ${reason?.slice(0, 150)}`);
-        if (simErr.error?.data) console.log(`[Liquidation] Error data: ${simErr.error.data}`);
+        lastRevert = decodeRevert(simErr);
+        console.log(`[Liquidation] Simulation failed: ${formatRevert(lastRevert)}`);
+        ledger.recordSimulation({ user, pool, strategy: strategy.name, success: false, reason: formatRevert(lastRevert), category: lastRevert.category });
+        recordFailure(strategy.name, lastRevert, params);
+
+        // Same answer for every strategy: stop here
+        if (lastRevert.category === REVERT_CATEGORY.NOT_LIQUIDATABLE) {
+          console.log(`[Liquidation] ${shortAddr(user)} not liquidatable (${lastRevert.name}), dropping`);
+          return { success: false, error: lastRevert.name, category: lastRevert.category };
+        }
+        if (lastRevert.category === REVERT_CATEGORY.WHITELIST) {
+          await telegramService.notifyLiquidationFailure({ user, strategy: strategy.name, error: formatRevert(lastRevert), hint: lastRevert.hint });
+        }
+        continue;
+      }
+      ledger.recordSimulation({ user, pool, strategy: strategy.name, success: true });
+
+      // Gas limit from estimateGas, fees capped at a share of the expected profit
+      const gasLimit = await feeEstimator.estimateGasLimit(botContract, methodName, args, liquidator.address);
+      const fees = await feeEstimator.getFees({ gasLimit, profitUsd: netProfitUsd, flowPrice });
+      if (!fees.affordable) {
+        console.log(`[Liquidation] Skipping ${strategy.name}: base gas price above ${feeEstimator.maxProfitShareBps / 100}% of expected profit`);
         continue;
       }
 
       // Execute
-      console.log(`[Liquidation] Executing ${methodName} (gas: ${gasMultiplier/100}x)...`);
-      const tx = await botContract[methodName](...args, { gasPrice, gasLimit: 2000000 });
-      console.log(`[Liquidation] Tx sent: ${tx.hash}`);
+      console.log(`[Liquidation] Executing ${methodName} (gas: ${feeEstimator.describe(fees)})...`);
+      const request = await botContract.populateTransaction[methodName](...args, fees.overrides);
+      tx = await txManager.send(request, `${strategy.name} ${shortAddr(user)}`, {
+        resimulate: () => stillLiquidatable({ botContract, methodName, args, user, pool }),
+        maxPricePerGas: feeEstimator.getPriceCap(gasLimit, netProfitUsd, flowPrice)
+      });
+      console.log(`[Liquidation] Tx sent: ${tx.hash} (nonce ${tx.nonce})`);
+      ledger.recordSent({ user, pool, strategy: strategy.name, txHash: tx.hash, gasPrice: fees.overrides.maxFeePerGas || fees.overrides.gasPrice });
 
       const receipt = await tx.wait();
       console.log(`[Liquidation] Tx confirmed! Gas used: ${receipt.gasUsed.toString()}`);
 
-      // Calculate rewards
+      // Realised numbers from the receipt logs (Transfers to the receiver in this tx only)
+      let analysis = null;
+      try {
+        analysis = await receiptAnalyzer.analyze({
+          receipt,
+          contractAddress: botAddress,
+          receiver: liquidator.address,
+          collateralAsset,
+          debtAsset
+        });
+        console.log(`[Liquidation] Realised: ${receiptAnalyzer.formatProfit(analysis)} (net ${formatUsd(analysis.netProfitUsd)})`);
+        ledger.recordLiquidation(analysis, { user, pool, strategy: strategy.name });
+      } catch (err) {
+        console.log(`[Liquidation] Receipt analysis failed: ${err.message?.slice(0, 80)}`);
+      }
+
       const gasCostWei = receipt.gasUsed.mul(receipt.effectiveGasPrice);
       const gasCostFlow = Number(gasCostWei.toString()) / 1e18;
-      const flowPrice = await pricingService.getPrice(WFLOW);
       const gasCostUsd = gasCostFlow * Number(flowPrice.toString()) / 1e8;
 
       // Get liquidator balances
@@ -393,7 +757,8 @@ async function executeLiquidation(context) {
         collateralSymbol: shortAddr(collateralAsset),
         strategy: strategy.name,
         txHash: receipt.transactionHash,
-        rewardDisplay: params.estimatedReward ? `~${formatUsd(Number(params.estimatedReward.toString()) / 1e6)}` : 'N/A',
+        rewardDisplay: analysis ? `${receiptAnalyzer.formatProfit(analysis)} (${formatUsd(analysis.grossProfitUsd)})` : 'N/A',
+        realized: analysis,
         gasCostFlow,
         gasCostUsd,
         liquidatorBalance,
@@ -401,24 +766,415 @@ async function executeLiquidation(context) {
       });
 
       // Clear from blacklist on success
-      clearFailedPosition(user);
+      blacklist.clear({ user });
+
+      await scheduleFollowUp(user, pool, receipt.blockNumber, params.route || solvedRoute);
 
-      return { success: true, txHash: receipt.transactionHash, strategy: strategy.name };
+      return { success: true, txHash: receipt.transactionHash, strategy: strategy.name, analysis };
 
     } catch (err) {
-      console.log(`[Liquidation] ${strategy.name} failed: ${err.message?.slice(0, 80)}`);
+      lastRevert = decodeRevert(err);
+      console.log(`[Liquidation] ${strategy.name} failed: ${formatRevert(lastRevert)}`);
+      if (!err.cancelled) recordFailure(strategy.name, lastRevert, params);
+      // Stuck tx replaced by a cancel: the position is gone, don't try the next strategy
+      if (tx && err.cancelled) {
+        await recordRevert({ user, pool, strategy: strategy.name, txHash: err.receipt.transactionHash, receipt: err.receipt, reason: 'Cancelled: no longer liquidatable' });
+        return { success: false, error: 'Cancelled' };
+      }
+      // Mined but reverted: the gas is a realised loss
+      if (tx && err.receipt) {
+        await recordRevert({ user, pool, strategy: strategy.name, txHash: tx.hash, receipt: err.receipt, reason: formatRevert(lastRevert) });
+      }
     }
   }
 
-  // All strategies failed
-  recordFailedLiquidation(user, 'All strategies failed');
+  // All strategies failed (each one is already blacklisted by its own category)
+  const category = lastRevert?.category || REVERT_CATEGORY.UNKNOWN;
   await telegramService.notifyLiquidationFailure({
     user,
     strategy: 'ALL',
-    error: 'All strategies failed'
+    error: lastRevert ? `All strategies failed - last: ${formatRevert(lastRevert)}` : 'All strategies failed',
+    hint: lastRevert?.hint
+  });
+
+  return { success: false, error: 'All strategies failed', category };
+}
+
+/**
+ * Stuck-tx check (TxManager resimulate): true = bump, false = cancel (HF back
+ * above 1 or a not-liquidatable revert), throws when it can't tell
+ */
+async function stillLiquidatable({ botContract, methodName, args, user, pool }) {
+  const data = await new Contract(pool, PoolAbi, txProvider).getUserAccountData(user);
+  if (!BigNumber.from(data.healthFactor).lt(ethersConstants.WeiPerEther)) return false;
+  try {
+    await botContract.callStatic[methodName](...args);
+  } catch (err) {
+    // Only a position that's gone is worth a cancel; anything else (RPC, slippage) stays undecided
+    const decoded = decodeRevert(err);
+    if (decoded.category === REVERT_CATEGORY.NOT_LIQUIDATABLE) return false;
+    throw err;
+  }
+  return true;
+}
+
+/**
+ * Ledger entry for a reverted tx, with the gas it burned
+ */
+async function recordRevert({ user, pool, strategy, txHash, receipt, reason }) {
+  let gasCostUsd = 0;
+  try {
+    const gasCostWei = receipt.gasUsed.mul(receipt.effectiveGasPrice || 0);
+    const flowPrice = await pricingService.getPrice(WFLOW);
+    gasCostUsd = Number(gasCostWei.toString()) / 1e18 * Number(flowPrice.toString()) / 1e8;
+  } catch (err) {
+    // keep the entry even without a price
+  }
+  ledger.recordRevert({ user, pool, strategy, txHash, reason: reason?.slice(0, 200), gasUsed: receipt.gasUsed, gasCostUsd });
+}
+
+// ============================================
+// FOLLOW-UP LIQUIDATIONS
+// ============================================
+/**
+ * Re-read the user after a successful liquidation and queue another round
+ * while HF stays below 1. The round waits at least FOLLOWUP_SPACING_BLOCKS,
+ * then until arbitrage has re-balanced the route we just swapped through
+ * (see followUpRecovered); profitability is checked again when it runs
+ * (pair selection + size solver).
+ * @param {Object} route - RouteFinder route the liquidation swapped through, with its pre-trade quote
+ */
+async function scheduleFollowUp(user, pool, blockNumber, route = null) {
+  const round = (followUps.get(user)?.round || 0) + 1;
+  try {
+    // Tx RPC: the public one may not have the block yet
+    const data = await new Contract(pool, PoolAbi, txProvider).getUserAccountData(user);
+    const healthFactor = BigNumber.from(data.healthFactor);
+    const debtUsd = Number(data.totalDebtBase.toString()) / 1e8;
+
+    if (!healthFactor.lt(ethersConstants.WeiPerEther) || debtUsd < MIN_DEBT_USD) {
+      if (followUps.delete(user)) console.log(`[FollowUp] ${shortAddr(user)} unwound after ${round - 1} follow-up(s)`);
+      return;
+    }
+    if (round > FOLLOWUP_MAX_ROUNDS) {
+      followUps.delete(user);
+      console.log(`[FollowUp] ${shortAddr(user)} still at HF ${(Number(healthFactor.toString()) / 1e18).toFixed(4)} - cap of ${FOLLOWUP_MAX_ROUNDS} rounds reached`);
+      return;
+    }
+
+    const dueBlock = blockNumber + FOLLOWUP_SPACING_BLOCKS;
+    followUps.set(user, { pool, round, dueBlock, scheduledBlock: blockNumber, route });
+    console.log(`[FollowUp] ${shortAddr(user)} HF ${(Number(healthFactor.toString()) / 1e18).toFixed(4)}, $${debtUsd.toFixed(0)} debt left - round ${round} at block ${dueBlock}`);
+  } catch (err) {
+    console.log(`[FollowUp] Re-read failed for ${shortAddr(user)}: ${err.message?.slice(0, 80)}`);
+  }
+}
+
+/**
+ * Whether the route of the last round quotes back within FOLLOWUP_RECOVERY_BPS
+ * of its pre-trade output (true when there's no route to compare or the wait is over)
+ */
+async function followUpRecovered(followUp, blockNumber) {
+  const { route } = followUp;
+  if (!route?.amountOut || blockNumber - followUp.scheduledBlock >= FOLLOWUP_MAX_WAIT_BLOCKS) return true;
+  try {
+    const now = await routeFinder.quoteRoute(route, route.amountIn);
+    if (!now) return false;
+    return now.amountOut.mul(10000).gte(route.amountOut.mul(10000n - FOLLOWUP_RECOVERY_BPS));
+  } catch (err) {
+    console.log(`[FollowUp] Recovery quote failed: ${err.message?.slice(0, 60)}`);
+    return true;
+  }
+}
+
+/**
+ * Run the follow-up rounds that are due at this block
+ * A round whose route hasn't recovered, or that finds no profitable size yet,
+ * is pushed back to the next block until FOLLOWUP_MAX_WAIT_BLOCKS; HF back
+ * above 1, a failed round or the wait running out ends the sequence, a
+ * successful round schedules the next.
+ */
+async function runFollowUps(blockNumber) {
+  const waiting = Array.from(followUps.entries())
+    .filter(([user, f]) => f.dueBlock <= blockNumber && !liquidatingUsers.has(user));
+  const due = [];
+  for (const [user, followUp] of waiting) {
+    if (await followUpRecovered(followUp, blockNumber)) {
+      due.push({ user, pool: followUp.pool });
+    } else {
+      followUp.dueBlock = blockNumber + 1;
+      console.log(`[FollowUp] ${shortAddr(user)} route not recovered yet, round ${followUp.round} postponed`);
+    }
+  }
+  if (due.length === 0) return 0;
+
+  const liquidatable = await checkPositions(due);
+  const ready = new Set(liquidatable.map(p => p.user));
+  for (const { user } of due) {
+    if (!ready.has(user)) followUps.delete(user);
+  }
+
+  await mapConcurrent(liquidatable, MAX_CONCURRENT_LIQUIDATIONS, async (position) => {
+    const followUp = followUps.get(position.user);
+    console.log(`[FollowUp] Round ${followUp?.round} for ${shortAddr(position.user)}`);
+    const result = await processLiquidatableUser(position);
+    if (result?.success) return;
+
+    // Skipped (no profitable pair / size yet): try again next block while the wait lasts
+    if (!result && followUp && blockNumber - followUp.scheduledBlock < FOLLOWUP_MAX_WAIT_BLOCKS) {
+      followUp.dueBlock = blockNumber + 1;
+      console.log(`[FollowUp] ${shortAddr(position.user)} not profitable yet, round ${followUp.round} postponed`);
+      return;
+    }
+    followUps.delete(position.user);
   });
+  return liquidatable.length;
+}
 
-  return { success: false, error: 'All strategies failed' };
+/**
+ * Follow-up waiting for its spacing - other triggers leave it alone
+ */
+function isFollowUpPending(user) {
+  const followUp = followUps.get(user);
+  return !!followUp && headBlock < followUp.dueBlock;
+}
+
+// ============================================
+// PER-USER LIQUIDATION PIPELINE
+// ============================================
+/**
+ * Resolve collateral/debt for one liquidatable user and execute
+ * Shared by the full scan and the per-block fast path
+ * @param {Object} unhealthyUser - { pool, user, healthFactor, totalDebtBase }
+ * @returns {Object|null} executeLiquidation result, or null if skipped
+ */
+async function processLiquidatableUser(unhealthyUser) {
+  if (isFollowUpPending(unhealthyUser.user)) {
+    console.log(`[FollowUp] ${shortAddr(unhealthyUser.user)} waits for block ${followUps.get(unhealthyUser.user).dueBlock}`);
+    return null;
+  }
+  liquidatingUsers.add(unhealthyUser.user);
+  try {
+    return await liquidateUser(unhealthyUser);
+  } finally {
+    liquidatingUsers.delete(unhealthyUser.user);
+  }
+}
+
+async function liquidateUser(unhealthyUser) {
+  const botInfo = config.bots[unhealthyUser.pool];
+  if (!botInfo) {
+    console.log(`No bot config for pool ${unhealthyUser.pool}`);
+    return null;
+  }
+
+  // Fetch user's token balances
+  const mTokenRequest = [];
+  botInfo.mTokens.forEach(mToken => {
+    mTokenRequest.push({
+      target: mToken,
+      callData: mTokenInterface.encodeFunctionData('balanceOf', [unhealthyUser.user])
+    });
+    mTokenRequest.push({
+      target: mToken,
+      callData: mTokenInterface.encodeFunctionData('UNDERLYING_ASSET_ADDRESS', [])
+    });
+  });
+
+  botInfo.dTokens.forEach(dToken => {
+    mTokenRequest.push({
+      target: dToken,
+      callData: mTokenInterface.encodeFunctionData('balanceOf', [unhealthyUser.user])
+    });
+    mTokenRequest.push({
+      target: dToken,
+      callData: mTokenInterface.encodeFunctionData('UNDERLYING_ASSET_ADDRESS', [])
+    });
+  });
+
+  const tokenRes = await retryWithBackoff(
+    () => multicallContract.callStatic.aggregate(mTokenRequest),
+    3, 1000, 'multicall-tokens'
+  );
+
+  const mInfos = [];
+  const dInfos = [];
+  const tokensWithUnderlying = [];
+
+  const tokenInfos = tokenRes[1].map((res, ind) => ({
+    info: mTokenInterface.decodeFunctionResult(
+      ind % 2 === 0 ? 'balanceOf' : 'UNDERLYING_ASSET_ADDRESS',
+      res
+    )
+  }));
+
+  for (let ii = 0; ii < tokenInfos.length; ii++) {
+    const selInd = ii % 2;
+    if (selInd === 0) {
+      const detailedInfo = tokenInfos[ii].info[0];
+      if (detailedInfo.gt(0)) {
+        if (ii < botInfo.mTokens.length * 2) {
+          mInfos.push({ token: tokenInfos[ii + 1].info, amount: BigNumber.from(detailedInfo) });
+        } else {
+          dInfos.push({ token: tokenInfos[ii + 1].info, amount: BigNumber.from(detailedInfo) });
+        }
+      }
+    } else if (ii < botInfo.mTokens.length * 2) {
+      const detailedInfo = tokenInfos[ii].info[0].toLowerCase();
+      if (!tokensWithUnderlying.find(t => t.token === detailedInfo)) {
+        tokensWithUnderlying.push({
+          token: detailedInfo,
+          mtoken: botInfo.mTokens[Math.floor(ii / 2)]
+        });
+      }
+    }
+  }
+
+  // Skip if no collateral or debt
+  if (mInfos.length === 0 || dInfos.length === 0) {
+    console.log(`No collateral or debt for user ${unhealthyUser.user}`);
+    return null;
+  }
+
+  // eMode changes threshold/bonus/price; only collateral-enabled reserves can be seized
+  const [eModeCategory, enabledCollateral] = await Promise.all([
+    reserveParams.getUserEMode(unhealthyUser.pool, unhealthyUser.user),
+    reserveParams.getUserCollateralAssets(unhealthyUser.user, mInfos.map(m => m.token[0])),
+    reserveParams.ensure(mInfos.concat(dInfos).map(t => t.token[0]))
+  ]);
+  const collaterals = mInfos
+    .filter(m => enabledCollateral.has(m.token[0].toLowerCase()))
+    .map(m => ({ asset: m.token[0], amount: m.amount }));
+  if (collaterals.length === 0) {
+    console.log(`No collateral enabled for user ${unhealthyUser.user}`);
+    return null;
+  }
+  if (eModeCategory !== 0) {
+    console.log(`[Liquidation] User in eMode ${eModeCategory} (${reserveParams.eModeCategories.get(eModeCategory)?.label || '?'})`);
+  }
+  if (reserveParams.isIsolated(enabledCollateral)) {
+    console.log(`[Liquidation] User in isolation mode (${getTokenSymbol(collaterals[0].asset)} collateral)`);
+  }
+
+  // Pick the most profitable collateral/debt pair rather than the first of each
+  const pair = await pairSelector.selectPair({
+    collaterals,
+    debts: dInfos.map(d => ({ asset: d.token[0], amount: d.amount })),
+    healthFactor: unhealthyUser.healthFactor,
+    eModeCategory
+  });
+  if (!pair) {
+    console.log(`[PairSelector] No profitable pair for ${shortAddr(unhealthyUser.user)}`);
+    return null;
+  }
+  console.log(`[PairSelector] ${getTokenSymbol(pair.collateralAsset)} → ${getTokenSymbol(pair.debtAsset)} via ${pair.route || 'oracle estimate'}: net ${formatUsd(pair.netProfitUsd)} (gas ${formatUsd(pair.gasUsd)})`);
+
+  const debtAsset = pair.debtAsset;
+  const debtMToken = tokensWithUnderlying.find(t => t.token === debtAsset.toLowerCase());
+  if (!debtMToken) return null;
+
+  // Get debt info
+  const debtContract = new Contract(debtAsset, MTokenAbi, provider);
+  const debtBalanceInmToken = await debtContract.balanceOf(debtMToken.mtoken);
+  const debtDecimals = pair.debtDecimals;
+  const userDebt = pair.debtAmount;
+
+  // Get debt value in USD for dynamic calculations
+  const debtValueUsd = Number(unhealthyUser.totalDebtBase.toString()) / 1e8;
+
+  // Close factor (50%, or 100% below HF 0.95) and the collateral balance at the bonus already applied
+  const maxLiquidatable = pair.debtToCover;
+
+  // Profit-maximising amount on the pair's route, capped by close factor and mToken liquidity
+  let debtToCover;
+  const sizing = await solveLiquidationSize(pair, debtBalanceInmToken);
+  if (sizing) {
+    if (sizing.profit.lte(0)) {
+      console.log(`[SizeSolver] No profitable size for ${shortAddr(unhealthyUser.user)} (best ${utils.formatUnits(sizing.profit, debtDecimals)} ${getTokenSymbol(debtAsset)})`);
+      return null;
+    }
+    debtToCover = sizing.debtToCover;
+    const percent = (Number(debtToCover.toString()) / Number(userDebt.toString()) * 100).toFixed(1);
+    console.log(`[SizeSolver] ${percent}% of debt (cap: ${sizing.cappedBy}) → profit ${utils.formatUnits(sizing.profit, debtDecimals)} ${getTokenSymbol(debtAsset)}`);
+    if (sizing.sequential) {
+      console.log(`[SizeSolver] ${sizing.sequential.count} sequential liquidations of ${utils.formatUnits(sizing.sequential.debtEach, debtDecimals)} would net ${utils.formatUnits(sizing.sequential.totalProfit, debtDecimals)}`);
+    }
+  } else {
+    // Route not simulable locally (e.g. Eisen-only): size by position tiers
+    debtToCover = calculateOptimalLiquidationAmount(maxLiquidatable, null, debtValueUsd);
+    if (debtToCover.gt(debtBalanceInmToken)) {
+      debtToCover = debtBalanceInmToken;
+      console.log(`[Liquidation] Reduced to mToken liquidity: ${debtToCover.toString()}`);
+    }
+    const optimalPercent = (Number(debtToCover.toString()) / Number(userDebt.toString()) * 100).toFixed(1);
+    console.log(`[Liquidation] Position $${debtValueUsd.toFixed(0)} -> tiered ${optimalPercent}% (no local route simulation)`);
+  }
+
+  const INTEREST_BUFFER_BPS = 10n;
+  debtToCover = debtToCover.mul(10000n + INTEREST_BUFFER_BPS).div(10000n);
+
+  if (debtToCover.lte(0)) return null;
+  if (debtValueUsd < MIN_DEBT_USD) {
+    console.log(`Skipping dust: ${shortAddr(unhealthyUser.user)} ($${debtValueUsd.toFixed(2)})`);
+    return null;
+  }
+
+  // Skip users blacklisted for every pair / strategy (per-strategy entries are checked when ranking)
+  const blocked = blacklist.isBlocked({ user: unhealthyUser.user }, { blockNumber: headBlock });
+  if (blocked) {
+    console.log(`⏭️ SKIPPING blacklisted: ${shortAddr(unhealthyUser.user)} (${blocked.failures}x ${blocked.category}: ${blocked.reason})`);
+    return null;
+  }
+
+  // Notify target found
+  const hf = (unhealthyUser.healthFactor.toString() / 1e18).toFixed(4);
+  await telegramService.notifyTargetFound({
+    user: unhealthyUser.user,
+    healthFactor: hf,
+    debtValueUsd
+  });
+
+  // Collateral side of the selected pair
+  const collateralAsset = pair.collateralAsset;
+  const collateralDecimals = pair.collateralDecimals;
+
+  // Re-check health factor
+  const poolContract = new Contract(unhealthyUser.pool, PoolAbi, provider);
+  const freshData = await poolContract.getUserAccountData(unhealthyUser.user);
+  const freshHF = BigNumber.from(freshData.healthFactor);
+
+  if (freshHF.gt(ethersConstants.WeiPerEther)) {
+    console.log(`[Liquidation] User no longer liquidatable (HF > 1), skipping`);
+    await telegramService.sendInfo(`⏭️ Skipped ${shortAddr(unhealthyUser.user)} - HF recovered to ${(Number(freshHF.toString()) / 1e18).toFixed(4)}`);
+    return null;
+  }
+
+  // Calculate expected collateral
+  const flashLoanPremium = debtToCover.mul(FLASH_LOAN_PREMIUM_BPS).div(10000n);
+  const totalNeeded = debtToCover.add(flashLoanPremium);
+  const expectedCollateral = await calculateExpectedCollateral(
+    totalNeeded,
+    collateralAsset,
+    debtAsset,
+    eModeCategory
+  );
+
+  // Execute liquidation
+  return executeLiquidation({
+    user: unhealthyUser.user,
+    botAddress: botInfo.bot,
+    collateralAsset,
+    debtAsset,
+    debtToCover,
+    expectedCollateral,
+    collateralDecimals,
+    debtDecimals,
+    netBonus: pair.netBonus,
+    pool: unhealthyUser.pool,
+    healthFactor: unhealthyUser.healthFactor,
+    debtValueUsd,
+    solvedRoute: sizing?.route || null
+  });
 }
 
 // ============================================
@@ -432,63 +1188,68 @@ async function main() {
     console.log(`[Cache] Pre-warm failed (non-critical): ${err.message}`);
   }
 
-  // 1. Fetch users from subgraph
-  let allUsers = [];
-  let skip = 0;
-  const first = 100;
-  let fetchNext = true;
-
-  while (fetchNext) {
-    const query = {
-      query: usersQuery,
-      variables: { first, skip }
-    };
-    const accountsInfo = await apolloFetcher(query);
-    const fetchedUsers = accountsInfo?.data?.users || [];
-    allUsers = allUsers.concat(fetchedUsers);
-
-    if (fetchedUsers.length < first) {
-      fetchNext = false;
-    } else {
-      skip += first;
-    }
-    console.log(`Fetched ${fetchedUsers.length} users, total: ${allUsers.length}`);
+  // 1. Borrowers from the local position index (seeded once from the subgraph)
+  if (!positionIndex.seeded) {
+    await positionIndex.seed();
+    await priceWatcher.poll();
   }
+  const borrowers = positionIndex.getBorrowers();
+  console.log(`[FullScan] Consistency check of ${borrowers.length} borrowers (${positionIndex.size} indexed)`);
 
   // 2. Check health factors via multicall
   const userChunkSize = 50;
   let allUsersHealthRes = [];
 
-  for (const pool of config.pools) {
-    for (let i = 0; i < allUsers.length; i += userChunkSize) {
-      const userChunk = allUsers.slice(i, i + userChunkSize);
-      const usersHealthReq = userChunk.map(user => ({
-        target: pool,
-        callData: poolInterface.encodeFunctionData('getUserAccountData', [user.id])
-      }));
-
-      if (usersHealthReq.length > 0) {
-        const chunkHealthRes = await retryWithBackoff(
-          () => multicallContract.callStatic.aggregate(usersHealthReq),
-          3, 1000, 'multicall-health'
-        );
-
-        const userWithHealth = chunkHealthRes.returnData.map((userHealth, ind) => {
-          const detailedInfo = poolInterface.decodeFunctionResult('getUserAccountData', userHealth);
-          return {
-            pool,
-            block: chunkHealthRes.blockNumber,
-            user: allUsers[ind + i].id,
-            healthFactor: BigNumber.from(detailedInfo.healthFactor),
-            totalDebtBase: BigNumber.from(detailedInfo.totalDebtBase)
-          };
-        });
+  for (let i = 0; i < borrowers.length; i += userChunkSize) {
+    const chunk = borrowers.slice(i, i + userChunkSize);
+    const usersHealthReq = chunk.map(position => ({
+      target: position.pool,
+      callData: poolInterface.encodeFunctionData('getUserAccountData', [position.user])
+    }));
 
-        allUsersHealthRes = allUsersHealthRes.concat(userWithHealth);
-        console.log(`Pool ${shortAddr(pool)}: processed ${userChunk.length} users`);
-      }
+    const chunkHealthRes = await retryWithBackoff(
+      () => multicallContract.callStatic.aggregate(usersHealthReq),
+      3, 1000, 'multicall-health'
+    );
+
+    const userWithHealth = chunkHealthRes.returnData.map((userHealth, ind) => {
+      const detailedInfo = poolInterface.decodeFunctionResult('getUserAccountData', userHealth);
+      return {
+        pool: chunk[ind].pool,
+        block: chunkHealthRes.blockNumber,
+        user: chunk[ind].user,
+        healthFactor: BigNumber.from(detailedInfo.healthFactor),
+        totalDebtBase: BigNumber.from(detailedInfo.totalDebtBase)
+      };
+    });
+
+    allUsersHealthRes = allUsersHealthRes.concat(userWithHealth);
+  }
+  console.log(`[FullScan] Processed ${allUsersHealthRes.length} users`);
+
+  // Reconcile the index with the subgraph / chain so missed logs don't go unnoticed
+  try {
+    const drift = await positionIndex.reconcile(allUsersHealthRes);
+    if (drift.reseeded) {
+      await telegramService.sendInfo(`🔁 Position index re-seeded (${drift.missing} missing, ${drift.stale} stale, ${drift.hidden} hidden positions)`);
+    }
+  } catch (err) {
+    console.error(`[FullScan] Reconcile failed: ${err.message?.slice(0, 100)}`);
+  }
+
+  // Refresh the price watcher's reserve snapshots for everything within reach of HF 1.0
+  const watchable = [];
+  for (const u of allUsersHealthRes) {
+    const position = positionIndex.getPosition(u.pool, u.user);
+    if (!position) continue;
+    if (u.healthFactor.lt(TRIGGER_HF_CEILING)) {
+      watchable.push(position);
+    } else {
+      priceWatcher.forget(position.key);
     }
   }
+  await priceWatcher.snapshot(watchable);
+  console.log(`[PriceWatcher] Watching ${priceWatcher.size} positions below HF ${config.trigger_hf_ceiling || 1.5}`);
 
   // 3. Filter unhealthy users (HF < 1) sorted by debt size
   const unhealthyUsers = allUsersHealthRes.filter(
@@ -514,6 +1275,7 @@ async function main() {
     const priceDropPct = (1 - (1.0 / hfFloat)) * 100;
 
     hotPositions.set(hotUser.user, {
+      pool: hotUser.pool,
       hf: hfFloat,
       debtUsd,
       priceDropToLiquidate: priceDropPct.toFixed(2),
@@ -532,186 +1294,14 @@ async function main() {
   console.log(`[HotPositions] Tracking ${hotPositions.size} positions near liquidation`);
   console.log(`Checking ${unhealthyUsers.length} potentially liquidatable users...`);
 
-  // 4. Execute liquidations
-  const liquidator = new Wallet(config.liquidator_key, txProvider);
-
-  for (const unhealthyUser of unhealthyUsers) {
-    const botInfo = config.bots[unhealthyUser.pool];
-    if (!botInfo) {
-      console.log(`No bot config for pool ${unhealthyUser.pool}`);
-      continue;
+  // 4. Execute liquidations (independent users in parallel)
+  await mapConcurrent(unhealthyUsers, MAX_CONCURRENT_LIQUIDATIONS, async (unhealthyUser) => {
+    if (liquidatingUsers.has(unhealthyUser.user)) return;
+    const result = await processLiquidatableUser(unhealthyUser);
+    if (result) {
+      console.log(`[Liquidation] Result: ${result.success ? 'SUCCESS' : 'FAILED'}`);
     }
-
-    // Fetch user's token balances
-    const mTokenRequest = [];
-    botInfo.mTokens.forEach(mToken => {
-      mTokenRequest.push({
-        target: mToken,
-        callData: mTokenInterface.encodeFunctionData('balanceOf', [unhealthyUser.user])
-      });
-      mTokenRequest.push({
-        target: mToken,
-        callData: mTokenInterface.encodeFunctionData('UNDERLYING_ASSET_ADDRESS', [])
-      });
-    });
-
-    botInfo.dTokens.forEach(dToken => {
-      mTokenRequest.push({
-        target: dToken,
-        callData: mTokenInterface.encodeFunctionData('balanceOf', [unhealthyUser.user])
-      });
-      mTokenRequest.push({
-        target: dToken,
-        callData: mTokenInterface.encodeFunctionData('UNDERLYING_ASSET_ADDRESS', [])
-      });
-    });
-
-    const tokenRes = await retryWithBackoff(
-      () => multicallContract.callStatic.aggregate(mTokenRequest),
-      3, 1000, 'multicall-tokens'
-    );
-
-    const mInfos = [];
-    const dInfos = [];
-    const tokensWithUnderlying = [];
-
-    const tokenInfos = tokenRes[1].map((res, ind) => ({
-      info: mTokenInterface.decodeFunctionResult(
-        ind % 2 === 0 ? 'balanceOf' : 'UNDERLYING_ASSET_ADDRESS',
-        res
-      )
-    }));
-
-    for (let ii = 0; ii < tokenInfos.length; ii++) {
-      const selInd = ii % 2;
-      if (selInd === 0) {
-        const detailedInfo = tokenInfos[ii].info[0];
-        if (detailedInfo.gt(0)) {
-          if (ii < botInfo.mTokens.length * 2) {
-            mInfos.push({ token: tokenInfos[ii + 1].info, amount: BigNumber.from(detailedInfo) });
-          } else {
-            dInfos.push({ token: tokenInfos[ii + 1].info, amount: BigNumber.from(detailedInfo) });
-          }
-        }
-      } else if (ii < botInfo.mTokens.length * 2) {
-        const detailedInfo = tokenInfos[ii].info[0].toLowerCase();
-        if (!tokensWithUnderlying.find(t => t.token === detailedInfo)) {
-          tokensWithUnderlying.push({
-            token: detailedInfo,
-            mtoken: botInfo.mTokens[Math.floor(ii / 2)]
-          });
-        }
-      }
-    }
-
-    // Skip if no collateral or debt
-    if (mInfos.length === 0 || dInfos.length === 0) {
-      console.log(`No collateral or debt for user ${unhealthyUser.user}`);
-      continue;
-    }
-
-    const debtAsset = dInfos[0].token[0];
-    const debtMToken = tokensWithUnderlying.find(t => t.token === debtAsset.toLowerCase());
-    if (!debtMToken) continue;
-
-    // Get debt info
-    const debtContract = new Contract(debtAsset, MTokenAbi, provider);
-    const [debtBalanceInmToken, debtDecimals] = await Promise.all([
-      debtContract.balanceOf(debtMToken.mtoken),
-      debtContract.decimals()
-    ]);
-    const userDebt = dInfos[0].amount;
-
-    // Get debt value in USD for dynamic calculations
-    const debtValueUsd = Number(unhealthyUser.totalDebtBase.toString()) / 1e8;
-
-    // Protocol max is 50% of total debt
-    const MAX_CLOSE_FACTOR = 50n;
-    const maxLiquidatable = userDebt.mul(MAX_CLOSE_FACTOR).div(100n);
-
-    // Use automatic optimal amount calculation based on position size and slippage
-    // This starts with smaller amounts for larger positions to reduce price impact
-    // Pool liquidity check can be added later for more precise calculations
-    let debtToCover = calculateOptimalLiquidationAmount(maxLiquidatable, null, debtValueUsd);
-
-    // Also respect available liquidity in the mToken
-    if (debtToCover.gt(debtBalanceInmToken)) {
-      debtToCover = debtBalanceInmToken;
-      console.log(`[Liquidation] Reduced to mToken liquidity: ${debtToCover.toString()}`);
-    }
-
-    const optimalDebtUsd = Number(debtToCover.toString()) / Math.pow(10, debtDecimals);
-    const optimalPercent = (Number(debtToCover.toString()) / Number(userDebt.toString()) * 100).toFixed(1);
-    console.log(`[Liquidation] Position $${debtValueUsd.toFixed(0)} -> auto-selected ${optimalPercent}% ($${optimalDebtUsd.toFixed(0)})`);
-    console.log(`[Liquidation] Starts small for better slippage, can liquidate more after`)
-
-    const INTEREST_BUFFER_BPS = 10n;
-    debtToCover = debtToCover.mul(10000n + INTEREST_BUFFER_BPS).div(10000n);
-
-    if (debtToCover.lte(0)) continue;
-    if (debtValueUsd < MIN_DEBT_USD) {
-      console.log(`Skipping dust: ${shortAddr(unhealthyUser.user)} ($${debtValueUsd.toFixed(2)})`);
-      continue;
-    }
-
-    // Skip blacklisted positions
-    if (shouldSkipPosition(unhealthyUser.user)) {
-      const failed = failedPositions.get(unhealthyUser.user);
-      console.log(`⏭️ SKIPPING blacklisted: ${shortAddr(unhealthyUser.user)} (${failed.failures}x: ${failed.reason})`);
-      continue;
-    }
-
-    // Notify target found
-    const hf = (unhealthyUser.healthFactor.toString() / 1e18).toFixed(4);
-    await telegramService.notifyTargetFound({
-      user: unhealthyUser.user,
-      healthFactor: hf,
-      debtValueUsd
-    });
-
-    // Get collateral info
-    const collateralAsset = mInfos[0].token[0];
-    const collateralContract = new Contract(collateralAsset, MTokenAbi, provider);
-    const collateralDecimals = await collateralContract.decimals();
-
-    // Re-check health factor
-    const poolContract = new Contract(unhealthyUser.pool, PoolAbi, provider);
-    const freshData = await poolContract.getUserAccountData(unhealthyUser.user);
-    const freshHF = BigNumber.from(freshData.healthFactor);
-
-    if (freshHF.gt(ethersConstants.WeiPerEther)) {
-      console.log(`[Liquidation] User no longer liquidatable (HF > 1), skipping`);
-      await telegramService.sendInfo(`⏭️ Skipped ${shortAddr(unhealthyUser.user)} - HF recovered to ${(Number(freshHF.toString()) / 1e18).toFixed(4)}`);
-      continue;
-    }
-
-    // Calculate expected collateral
-    const flashLoanPremium = debtToCover.mul(FLASH_LOAN_PREMIUM_BPS).div(10000n);
-    const totalNeeded = debtToCover.add(flashLoanPremium);
-    const expectedCollateral = await calculateExpectedCollateral(
-      totalNeeded,
-      collateralAsset,
-      debtAsset,
-      collateralDecimals,
-      debtDecimals
-    );
-
-    // Execute liquidation
-    const result = await executeLiquidation({
-      user: unhealthyUser.user,
-      botAddress: botInfo.bot,
-      collateralAsset,
-      debtAsset,
-      debtToCover,
-      expectedCollateral,
-      collateralDecimals,
-      debtDecimals,
-      healthFactor: unhealthyUser.healthFactor,
-      debtValueUsd
-    });
-
-    console.log(`[Liquidation] Result: ${result.success ? 'SUCCESS' : 'FAILED'}`);
-  }
+  });
 
   // Clean expired prepared params
   cleanExpiredPrepared();
@@ -733,6 +1323,7 @@ async function main() {
         wideUnhealthyUsers,
         dustPositions
       });
+      await sendPnlReport(wideUnhealthyUsers);
       state.lastReportTime = Date.now();
       saveState(state);
     } catch (err) {
@@ -744,13 +1335,30 @@ async function main() {
 // ============================================
 // DETAILED STATUS REPORT
 // ============================================
-async function sendDetailedReport({ allUsersHealthRes, unhealthyUsers, wideUnhealthyUsers, dustPositions }) {
-  const liquidator = new Wallet(config.liquidator_key, txProvider);
+/**
+ * Short status + daily/weekly PnL from the ledger
+ */
+async function sendPnlReport(wideUnhealthyUsers) {
+  const lowest = wideUnhealthyUsers.reduce(
+    (min, u) => (!min || u.healthFactor.lt(min) ? u.healthFactor : min),
+    null
+  );
+
+  await telegramService.notifyStatusReport({
+    hotPositions: hotPositions.size,
+    lowestHf: lowest ? (Number(lowest.toString()) / 1e18).toFixed(4) : 'N/A',
+    liquidationsToday: ledger.countLiquidationsToday(),
+    uptime: formatDuration(Date.now() - BOT_START_TIME),
+    pnl: ledger.getPnlSummaries()
+  });
+}
 
-  // Get liquidator balances
-  const liquidatorFlowBalance = Number((await txProvider.getBalance(liquidator.address)).toString()) / 1e18;
-  const wflowContract = new Contract(WFLOW, ['function balanceOf(address) view returns (uint256)'], txProvider);
-  const liquidatorWflowBalance = Number((await wflowContract.balanceOf(liquidator.address)).toString()) / 1e18;
+async function sendDetailedReport({ allUsersHealthRes, unhealthyUsers, wideUnhealthyUsers, dustPositions }) {
+  // Every token held by the liquidator keys and bot contracts
+  const holdings = await treasury.tally().catch((err) => {
+    console.error(`[Report] Treasury tally failed: ${err.message?.slice(0, 80)}`);
+    return null;
+  });
 
   // Get token prices
   const tokenPrices = {};
@@ -863,10 +1471,21 @@ async function sendDetailedReport({ allUsersHealthRes, unhealthyUsers, wideUnhea
     }
   }
 
-  // Liquidator balance
-  reportLines.push(``, `🏦 Liquidator: ${shortAddr(liquidator.address)}`);
-  reportLines.push(`   FLOW: ${liquidatorFlowBalance.toFixed(4)} (~$${(liquidatorFlowBalance * (tokenPrices.WFLOW || 0)).toFixed(2)})`);
-  reportLines.push(`   WFLOW: ${liquidatorWflowBalance.toFixed(4)} (~$${(liquidatorWflowBalance * (tokenPrices.WFLOW || 0)).toFixed(2)})`);
+  // Liquidator and bot contract balances
+  if (holdings) {
+    const status = walletPool.getStatus();
+    for (const holder of holdings.holders) {
+      if (holder.kind === 'bot' && holder.tokens.length === 0 && holder.native.isZero()) continue;
+      const wallet = status.find(w => w.address === holder.address);
+      const flags = wallet ? `${wallet.active ? '' : ' ⛔ out of rotation'}${wallet.pending > 0 ? ` (${wallet.pending} pending)` : ''}` : '';
+      reportLines.push(``, `${holder.kind === 'bot' ? '🤖 Bot contract' : '🏦 Liquidator'}: ${shortAddr(holder.address)}${flags} (~$${holder.totalUsd.toFixed(2)})`);
+      reportLines.push(`   FLOW: ${Number(utils.formatEther(holder.native)).toFixed(4)} (~$${holder.nativeUsd.toFixed(2)})`);
+      for (const t of holder.tokens) {
+        reportLines.push(`   ${t.symbol}: ${Number(utils.formatUnits(t.balance, t.decimals)).toFixed(4)} (~$${t.usd.toFixed(2)})`);
+      }
+    }
+    reportLines.push(``, `💼 Total held: ~$${holdings.totalUsd.toFixed(2)}`);
+  }
 
   // Add dust/bad debt section if there are dust positions
   if (dustPositions && dustPositions.length > 0) {
@@ -893,14 +1512,145 @@ async function sendDetailedReport({ allUsersHealthRes, unhealthyUsers, wideUnhea
 // ============================================
 // WEBSOCKET FOR REAL-TIME BLOCK UPDATES
 // ============================================
+/**
+ * Re-check positions touched by Pool logs or flagged by the price watcher
+ * One multicall per 100 positions (normally a single call)
+ * @param {Array<{ pool, user }>} touched - positions to confirm on-chain
+ * @returns {Array} positions that dropped to HF <= 1
+ */
+async function checkPositions(touched) {
+  const candidates = new Map();
+  for (const position of touched) candidates.set(position.user, position.pool);
+  if (candidates.size === 0) return [];
+
+  const entries = Array.from(candidates.entries());
+  const liquidatable = [];
+  const watchable = [];
+  let lowestHf = Infinity;
+  const start = Date.now();
+
+  for (let i = 0; i < entries.length; i += 100) {
+    const chunk = entries.slice(i, i + 100);
+    const requests = chunk.map(([user, pool]) => ({
+      target: pool,
+      callData: poolInterface.encodeFunctionData('getUserAccountData', [user])
+    }));
+
+    const results = await retryWithBackoff(
+      () => multicallContract.callStatic.aggregate(requests),
+      3, 1000, 'multicall-quickcheck'
+    );
+
+    results.returnData.forEach((data, idx) => {
+      const [user, pool] = chunk[idx];
+      const decoded = poolInterface.decodeFunctionResult('getUserAccountData', data);
+      const healthFactor = BigNumber.from(decoded.healthFactor);
+      const totalDebtBase = BigNumber.from(decoded.totalDebtBase);
+      const hfFloat = Number(healthFactor.toString()) / 1e18;
+      const debtUsd = Number(totalDebtBase.toString()) / 1e8;
+
+      if (hfFloat > 0 && hfFloat < lowestHf) lowestHf = hfFloat;
+
+      const position = positionIndex.getPosition(pool, user);
+      if (position && healthFactor.lt(TRIGGER_HF_CEILING)) watchable.push(position);
+
+      // Keep the hot set in sync: add newly risky positions, drop recovered ones
+      if (debtUsd >= MIN_DEBT_USD && healthFactor.gt(0) &&
+          healthFactor.lt(ethersConstants.WeiPerEther.mul(110).div(100))) {
+        hotPositions.set(user, {
+          pool,
+          hf: hfFloat,
+          debtUsd,
+          priceDropToLiquidate: ((1 - (1.0 / hfFloat)) * 100).toFixed(2),
+          lastUpdate: Date.now()
+        });
+      } else {
+        hotPositions.delete(user);
+      }
+
+      if (debtUsd < MIN_DEBT_USD) return;
+      if (!healthFactor.lte(ethersConstants.WeiPerEther) || !healthFactor.gt(0)) return;
+      if (blacklist.isBlocked({ user }, { blockNumber: Number(results.blockNumber) }) || liquidatingUsers.has(user)) return;
+
+      console.log(`[QuickCheck] 🔥 Position NOW LIQUIDATABLE: ${shortAddr(user)} HF: ${hfFloat.toFixed(4)}`);
+      liquidatable.push({
+        pool,
+        block: results.blockNumber,
+        user,
+        healthFactor,
+        totalDebtBase
+      });
+    });
+  }
+
+  // Balances changed (logs) or interest accrued - refresh the snapshots used for price triggers
+  await priceWatcher.snapshot(watchable);
+
+  if (liquidatable.length === 0) {
+    console.log(`[QuickCheck] OK (${Date.now() - start}ms) - ${entries.length} checked, lowest HF: ${lowestHf.toFixed(4)}`);
+  }
+
+  // Biggest positions first, same as the full scan
+  return liquidatable.sort((a, b) => Number(b.totalDebtBase.toString()) - Number(a.totalDebtBase.toString()));
+}
+
+/**
+ * Fast path: liquidate hot positions as soon as they cross HF 1
+ * without waiting for the next full scan
+ */
+async function runFastPath(source, blockNumber) {
+  if (!positionIndex.seeded) return 0;
+  headBlock = Math.max(headBlock, blockNumber);
+
+  // Pull Pool logs for the new block(s) so touched users get re-checked
+  await positionIndex.syncToBlock(blockNumber);
+  await reserveParams.syncToBlock(blockNumber);
+  const touched = positionIndex.takeDirty();
+
+  // Oracle moves: only positions exposed to the moved asset whose estimated HF crossed
+  const changed = await priceWatcher.poll(blockNumber);
+  const triggered = priceWatcher.getTriggered(changed);
+  if (changed.length > 0) {
+    const moves = changed.map(c => `${getTokenSymbol(c.asset)} ${(c.changeBps / 100).toFixed(2)}%`).join(', ');
+    console.log(`[PriceWatcher] ${moves} → ${triggered.length} positions triggered`);
+  }
+
+  await runFollowUps(blockNumber);
+
+  const candidates = touched.concat(triggered);
+  if (candidates.length === 0) return 0;
+
+  const liquidatable = await checkPositions(candidates);
+
+  await mapConcurrent(liquidatable, MAX_CONCURRENT_LIQUIDATIONS, async (position) => {
+    console.log(`[${source}] ⚡ FAST PATH for ${shortAddr(position.user)}`);
+    const result = await processLiquidatableUser(position);
+    if (result) {
+      console.log(`[${source}] Result: ${result.success ? 'SUCCESS' : 'FAILED'}`);
+    }
+  });
+
+  return liquidatable.length;
+}
+
 async function handleNewBlock(blockNumber) {
-  // Quick check of hot positions on new blocks
-  if (hotPositions.size === 0) return;
+  // Skip stale/duplicate heads and blocks arriving while one is still being processed
+  if (blockNumber <= lastBlockNumber) return;
+  lastBlockNumber = blockNumber;
 
-  console.log(`[Block ${blockNumber}] Quick check of ${hotPositions.size} hot positions...`);
+  if (blockInFlight) {
+    console.log(`[Block ${blockNumber}] Previous block still processing, skipping`);
+    return;
+  }
 
-  // For now, just trigger main scan if we have hot positions
-  // This can be optimized later to only check specific positions
+  blockInFlight = true;
+  try {
+    await runFastPath(`Block ${blockNumber}`, blockNumber);
+  } catch (err) {
+    console.error(`[Block ${blockNumber}] Quick check error: ${err.message?.slice(0, 80)}`);
+  } finally {
+    blockInFlight = false;
+  }
 }
 
 function connectWebSocket() {
@@ -955,9 +1705,15 @@ function connectWebSocket() {
 async function runLoop() {
   // Initialize services
   initializeServices();
+  telegramService.onCommand('blacklist', handleBlacklistCommand);
+  telegramService.startCommands();
+  await checkWhitelists();
 
-  const intervalMs = (config.loop_interval_seconds || 60) * 1000;
+  // The full scan is only a consistency check - block logs keep the index current
+  const intervalMs = (config.full_rescan_interval_seconds || 600) * 1000;
   const fallbackIntervalMs = 3000;
+  const whitelistIntervalMs = (config.whitelist_check_interval_seconds ?? 600) * 1000;
+  const treasuryIntervalMs = (config.treasury?.interval_seconds ?? 3600) * 1000;
   console.log(`Starting bot in loop mode (full scan: ${intervalMs / 1000}s)`);
 
   // Connect WebSocket
@@ -978,6 +1734,8 @@ async function runLoop() {
   }
 
   let lastFullScan = 0;
+  let lastWhitelistCheck = Date.now();
+  let lastTreasuryRun = 0;
   let consecutiveErrors = 0;
   const MAX_SILENT_ERRORS = 3;
 
@@ -985,9 +1743,28 @@ async function runLoop() {
     try {
       const now = Date.now();
 
+      if (now - lastWhitelistCheck >= whitelistIntervalMs) {
+        await checkWhitelists();
+        lastWhitelistCheck = now;
+      }
+
+      // Conversions / sweeps wait for their txs; run alongside the loop on idle, reserved keys
+      if (config.treasury?.enabled && now - lastTreasuryRun >= treasuryIntervalMs) {
+        lastTreasuryRun = now;
+        treasury.run().catch(err => console.error(`[Treasury] Run failed: ${err.message?.slice(0, 100)}`));
+      }
+
       if (now - lastFullScan >= intervalMs) {
         await main();
         lastFullScan = now;
+      } else if (!wsConnection && !blockInFlight) {
+        // Polling fallback while the WebSocket is down
+        blockInFlight = true;
+        try {
+          await runFastPath('Polling', await provider.getBlockNumber());
+        } finally {
+          blockInFlight = false;
+        }
       }
 
       if (consecutiveErrors > 0) {
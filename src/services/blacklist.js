@@ -0,0 +1,298 @@
+/**
+ * Blacklist - failed liquidations, keyed by user and (collateral, debt, strategy)
+ *
+ * How long an entry blocks depends on why the liquidation failed
+ * (REVERT_CATEGORY), and doubles with every repeat failure of the same key:
+ *   swap-slippage     -> next block(s) only; the route is re-picked from fresh state
+ *   whitelist-missing -> strategy disabled for the asset pair, every user, until cleared
+ *   config            -> strategy disabled for the asset pair, timed
+ *   not-profitable    -> until collateral/debt prices move, or the timed fallback
+ *   others            -> timed
+ * not-liquidatable and rpc failures are never recorded.
+ *
+ * Expired entries are kept for one more maximum back-off (so a repeat failure
+ * still doubles), then pruned. Whitelist entries are cleared once the
+ * WhitelistChecker reads the venues they hit as whitelisted.
+ *
+ * Entries are saved to a JSON file (debounced, async) so they survive
+ * restarts. '*' in a key field matches anything.
+ */
+const fs = require('fs');
+const { BigNumber } = require('ethers');
+const { REVERT_CATEGORY } = require('../utils/revert-decoder');
+
+const ANY = '*';
+const MINUTE_MS = 60 * 1000;
+const SAVE_DELAY_MS = 2000;
+
+const POLICIES = {
+  [REVERT_CATEGORY.SWAP_SLIPPAGE]: { blocks: 1, maxBlocks: 32 },
+  [REVERT_CATEGORY.WHITELIST]: { anyUser: true, permanent: true },
+  [REVERT_CATEGORY.CONFIG]: { anyUser: true, baseMs: 10 * MINUTE_MS, maxMs: 24 * 60 * MINUTE_MS },
+  [REVERT_CATEGORY.NOT_PROFITABLE]: { priceMove: true, baseMs: MINUTE_MS, maxMs: 60 * MINUTE_MS },
+  default: { baseMs: 30 * 1000, maxMs: 30 * MINUTE_MS }
+};
+const NEVER_RECORDED = [REVERT_CATEGORY.NOT_LIQUIDATABLE, REVERT_CATEGORY.RPC];
+const PRICE_MOVE_BPS = 50;
+
+const norm = (value) => (value ? value.toLowerCase() : ANY);
+
+class Blacklist {
+  /**
+   * @param {Object} options
+   * @param {string} options.file - JSON path for persistence
+   * @param {number} options.priceMoveBps - relative collateral/debt price move that lifts a not-profitable entry
+   */
+  constructor({ file, priceMoveBps = PRICE_MOVE_BPS }) {
+    this.file = file;
+    this.priceMoveBps = priceMoveBps;
+    this.entries = new Map(); // key -> entry
+    this.byUser = new Map(); // user (or '*') -> Set of keys
+    this.saveTimer = null;
+    this.saving = null;
+    this.load();
+  }
+
+  key({ user, collateralAsset, debtAsset, strategy }) {
+    return [norm(user), norm(collateralAsset), norm(debtAsset), strategy || ANY].join('|');
+  }
+
+  load() {
+    try {
+      if (!fs.existsSync(this.file)) return;
+      const { entries = [] } = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+      for (const entry of entries) this.set(entry);
+      this.prune();
+      console.log(`[Blacklist] Loaded ${this.entries.size} entries`);
+    } catch (err) {
+      console.error(`[Blacklist] Load failed: ${err.message}`);
+    }
+  }
+
+  set(entry) {
+    const key = this.key(entry);
+    this.entries.set(key, entry);
+    if (!this.byUser.has(entry.user)) this.byUser.set(entry.user, new Set());
+    this.byUser.get(entry.user).add(key);
+  }
+
+  delete(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return;
+    this.entries.delete(key);
+    const keys = this.byUser.get(entry.user);
+    keys.delete(key);
+    if (keys.size === 0) this.byUser.delete(entry.user);
+  }
+
+  /**
+   * Write the file once the burst of changes settles, off the liquidation path
+   */
+  save() {
+    if (this.saveTimer) return;
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      this.flush();
+    }, SAVE_DELAY_MS);
+    this.saveTimer.unref?.();
+  }
+
+  /**
+   * Write now; writes are serialised so an older snapshot never lands last
+   */
+  flush() {
+    const data = JSON.stringify({ entries: Array.from(this.entries.values()) }, null, 2);
+    this.saving = (this.saving || Promise.resolve())
+      .then(() => fs.promises.writeFile(this.file, data))
+      .catch(err => console.error(`[Blacklist] Save failed: ${err.message}`));
+    return this.saving;
+  }
+
+  /**
+   * Drop entries that expired more than one maximum back-off ago
+   * Within that window a repeat failure keeps doubling; after it the count starts over.
+   * Permanent entries are only cleared (clear / clearWhitelisted).
+   * @param {number} blockNumber - current block, for block-based entries (0 = keep them)
+   * @returns {number} entries removed
+   */
+  prune(blockNumber = 0) {
+    const now = Date.now();
+    let removed = 0;
+    for (const [key, entry] of this.entries) {
+      const policy = POLICIES[entry.category] || POLICIES.default;
+      const stale = entry.untilBlock !== null
+        ? blockNumber > 0 && blockNumber >= entry.untilBlock + policy.maxBlocks
+        : entry.untilMs !== null && now >= entry.untilMs + policy.maxMs;
+      if (stale) {
+        this.delete(key);
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  /**
+   * Record a failure
+   * @param {Object} failure
+   * @param {string} failure.user
+   * @param {string} failure.collateralAsset
+   * @param {string} failure.debtAsset
+   * @param {string} failure.strategy - strategy name, omitted = all strategies
+   * @param {string} failure.category - REVERT_CATEGORY
+   * @param {string} failure.reason
+   * @param {number} failure.blockNumber
+   * @param {Object} failure.prices - asset -> BigNumber (8 dec), for not-profitable entries
+   * @param {Array<Object>} failure.venues - { bot, kind, address } the strategy used, for whitelist entries
+   * @returns {Object|null} the entry, null when the category isn't recorded
+   */
+  record({ user, collateralAsset, debtAsset, strategy, category = REVERT_CATEGORY.UNKNOWN, reason, blockNumber = 0, prices, venues }) {
+    if (NEVER_RECORDED.includes(category)) return null;
+    this.prune(blockNumber);
+    const policy = POLICIES[category] || POLICIES.default;
+
+    const fields = {
+      user: policy.anyUser ? ANY : norm(user),
+      collateralAsset: norm(collateralAsset),
+      debtAsset: norm(debtAsset),
+      strategy: strategy || ANY
+    };
+    const key = this.key(fields);
+    const failures = (this.entries.get(key)?.failures || 0) + 1;
+    const backoff = 2 ** (failures - 1);
+
+    const entry = {
+      ...fields,
+      category,
+      reason: reason?.slice(0, 120),
+      failures,
+      createdAt: Date.now(),
+      untilBlock: policy.blocks ? blockNumber + Math.min(policy.blocks * backoff, policy.maxBlocks) : null,
+      untilMs: policy.baseMs ? Date.now() + Math.min(policy.baseMs * backoff, policy.maxMs) : null,
+      priceRatio: policy.priceMove ? this.priceRatio(prices, collateralAsset, debtAsset) : null,
+      venues: category === REVERT_CATEGORY.WHITELIST && venues ? venues.map(v => ({ bot: v.bot.toLowerCase(), kind: v.kind, address: v.address.toLowerCase() })) : null
+    };
+    this.set(entry);
+    this.save();
+
+    const until = policy.permanent ? 'until cleared' : entry.untilBlock ? `until block ${entry.untilBlock}` : `for ${Math.round((entry.untilMs - Date.now()) / 1000)}s`;
+    console.log(`[Blacklist] ${fields.user === ANY ? 'all users' : fields.user.slice(0, 10)} ${fields.strategy} (${category}) ${until}`);
+    return entry;
+  }
+
+  /**
+   * collateral price / debt price, 1e8 scale, as a string
+   */
+  priceRatio(prices, collateralAsset, debtAsset) {
+    if (!prices) return null;
+    const find = (asset) => Object.entries(prices).find(([a]) => a.toLowerCase() === asset?.toLowerCase())?.[1];
+    const collateralPrice = find(collateralAsset);
+    const debtPrice = find(debtAsset);
+    if (!collateralPrice || !debtPrice || BigNumber.from(debtPrice).isZero()) return null;
+    return BigNumber.from(collateralPrice).mul(1e8).div(debtPrice).toString();
+  }
+
+  /**
+   * Entry still blocks?
+   * Expired entries stay (their failure count drives the next back-off) until pruned.
+   */
+  isActive(entry, { blockNumber = 0, prices } = {}) {
+    const policy = POLICIES[entry.category] || POLICIES.default;
+    if (policy.permanent) return true;
+    if (entry.untilBlock !== null) return blockNumber < entry.untilBlock;
+
+    if (entry.untilMs !== null && Date.now() >= entry.untilMs) return false;
+    if (entry.priceRatio && prices) {
+      const now = this.priceRatio(prices, entry.collateralAsset, entry.debtAsset);
+      if (now) {
+        const before = BigNumber.from(entry.priceRatio);
+        const moveBps = BigNumber.from(now).sub(before).abs().mul(10000).div(before);
+        if (moveBps.gte(this.priceMoveBps)) return false;
+      }
+    }
+    return true;
+  }
+
+  /**
+   * First active entry covering the query
+   * Query fields left out only match '*' entries, so { user } alone asks
+   * "is this user blocked for everything".
+   * @returns {Object|null}
+   */
+  isBlocked(query, state = {}) {
+    const want = {
+      user: norm(query.user),
+      collateralAsset: norm(query.collateralAsset),
+      debtAsset: norm(query.debtAsset),
+      strategy: query.strategy || ANY
+    };
+    const users = want.user === ANY ? [ANY] : [want.user, ANY];
+    for (const user of users) {
+      for (const key of this.byUser.get(user) || []) {
+        const entry = this.entries.get(key);
+        const matches = ['collateralAsset', 'debtAsset', 'strategy'].every(field => entry[field] === ANY || entry[field] === want[field]);
+        if (matches && this.isActive(entry, state)) return entry;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Drop entries matching the filter ({} = everything)
+   * @param {Object} filter - { user, collateralAsset, debtAsset, strategy }, exact match per given field
+   * @returns {number} entries removed
+   */
+  clear(filter = {}) {
+    let removed = 0;
+    for (const [key, entry] of this.entries) {
+      const matches = Object.entries(filter)
+        .filter(([, value]) => value)
+        .every(([field, value]) => entry[field] === (field === 'strategy' ? value : value.toLowerCase()));
+      if (matches) {
+        this.delete(key);
+        removed++;
+      }
+    }
+    if (removed > 0) this.save();
+    return removed;
+  }
+
+  /**
+   * Drop whitelist entries whose venues now read as whitelisted
+   * Entries recorded without venues lift once nothing known is missing.
+   * @param {Function} isWhitelisted - (bot, kind, address) => boolean|null (WhitelistChecker)
+   * @param {boolean} noneMissing - the checker reports every known venue whitelisted
+   * @returns {number} entries removed
+   */
+  clearWhitelisted(isWhitelisted, noneMissing) {
+    let removed = 0;
+    for (const [key, entry] of this.entries) {
+      if (entry.category !== REVERT_CATEGORY.WHITELIST) continue;
+      const fixed = entry.venues?.length
+        ? entry.venues.every(v => isWhitelisted(v.bot, v.kind, v.address) === true)
+        : noneMissing;
+      if (fixed) {
+        this.delete(key);
+        removed++;
+      }
+    }
+    if (removed > 0) {
+      console.log(`[Blacklist] Cleared ${removed} whitelist ${removed === 1 ? 'entry' : 'entries'}`);
+      this.save();
+    }
+    return removed;
+  }
+
+  /**
+   * Entries, newest first, with whether they still block
+   */
+  list(state = {}) {
+    if (this.prune(state.blockNumber) > 0) this.save();
+    return Array.from(this.entries.values())
+      .map(entry => ({ ...entry, active: this.isActive(entry, state) }))
+      .sort((a, b) => b.createdAt - a.createdAt);
+  }
+}
+
+Blacklist.ANY = ANY;
+
+module.exports = Blacklist;
@@ -0,0 +1,137 @@
+/**
+ * Fee estimator - gas limit and fee overrides for a liquidation tx
+ *
+ * Gas limit comes from estimateGas plus a safety margin instead of a fixed
+ * 2-4M. Fees are EIP-1559 (base fee + tip, the tip scaled by the usual
+ * profit-based urgency multiplier) when the latest block has a base fee,
+ * legacy gasPrice × multiplier otherwise. Either way the worst-case spend
+ * (gasLimit × max price) is capped at a share of the expected profit, so a
+ * high multiplier on a small position can't burn more than it earns.
+ */
+const { BigNumber, utils } = require('ethers');
+const { calculateGasMultiplier } = require('../utils/helpers');
+
+const GAS_LIMIT_MARGIN_BPS = 2000;       // +20% over estimateGas
+const MAX_PROFIT_SHARE_BPS = 3000;       // gas may take up to 30% of expected profit
+const FALLBACK_GAS_LIMIT = 2000000;
+const EIP1559_CHECK_MS = 10 * 60 * 1000;
+
+class FeeEstimator {
+  /**
+   * @param {Object} options
+   * @param {Object} options.provider - tx provider
+   * @param {number} options.gasLimitMarginBps
+   * @param {number} options.maxProfitShareBps
+   */
+  constructor({ provider, gasLimitMarginBps = GAS_LIMIT_MARGIN_BPS, maxProfitShareBps = MAX_PROFIT_SHARE_BPS }) {
+    this.provider = provider;
+    this.gasLimitMarginBps = gasLimitMarginBps;
+    this.maxProfitShareBps = maxProfitShareBps;
+    this.eip1559 = null;
+    this.checkedAt = 0;
+  }
+
+  /**
+   * Latest block has a base fee (re-checked every few minutes)
+   */
+  async supportsEip1559() {
+    if (this.eip1559 === null || Date.now() - this.checkedAt > EIP1559_CHECK_MS) {
+      const block = await this.provider.getBlock('latest');
+      this.eip1559 = !!block?.baseFeePerGas;
+      this.checkedAt = Date.now();
+    }
+    return this.eip1559;
+  }
+
+  /**
+   * estimateGas + margin; falls back to a fixed limit if the node can't estimate
+   */
+  async estimateGasLimit(contract, methodName, args, from) {
+    try {
+      const estimate = await contract.estimateGas[methodName](...args, { from });
+      return estimate.mul(10000 + this.gasLimitMarginBps).div(10000);
+    } catch (err) {
+      console.log(`[Gas] estimateGas failed, using ${FALLBACK_GAS_LIMIT}: ${err.message?.slice(0, 60)}`);
+      return BigNumber.from(FALLBACK_GAS_LIMIT);
+    }
+  }
+
+  /**
+   * Highest price per gas that keeps gasLimit × price under the profit share
+   * @returns {BigNumber|null} wei per gas, null when no cap applies (unknown profit / price)
+   */
+  getPriceCap(gasLimit, profitUsd, flowPrice) {
+    if (!flowPrice || BigNumber.from(flowPrice).isZero() || !(profitUsd > 0)) return null;
+    // profit share in FLOW wei: usd × 1e8 / flowPrice(8 dec) × 1e18
+    const shareUsdE8 = BigNumber.from(Math.floor(profitUsd * 1e8)).mul(this.maxProfitShareBps).div(10000);
+    const maxSpendWei = shareUsdE8.mul(utils.parseEther('1')).div(flowPrice);
+    return maxSpendWei.div(gasLimit);
+  }
+
+  /**
+   * Fee overrides for one tx
+   * @param {Object} params
+   * @param {BigNumber} params.gasLimit
+   * @param {number} params.profitUsd - expected net profit (drives urgency and the cap)
+   * @param {BigNumber} params.flowPrice - FLOW price, 8 decimals
+   * @returns {Object} { overrides, maxCostWei, capped, affordable, multiplier }
+   *          affordable = false when even the current base price exceeds the cap
+   */
+  async getFees({ gasLimit, profitUsd, flowPrice }) {
+    const multiplier = calculateGasMultiplier(profitUsd);
+    const cap = this.getPriceCap(gasLimit, profitUsd, flowPrice);
+    let capped = false;
+    let overrides;
+
+    if (await this.supportsEip1559()) {
+      const [block, feeData] = await Promise.all([this.provider.getBlock('latest'), this.provider.getFeeData()]);
+      const baseFee = BigNumber.from(block.baseFeePerGas);
+      const baseTip = feeData.maxPriorityFeePerGas || BigNumber.from(0);
+      let tip = baseTip.mul(multiplier).div(100);
+      let maxFee = baseFee.mul(2).add(tip);
+
+      if (cap) {
+        if (cap.lt(baseFee)) {
+          return { overrides: null, maxCostWei: baseFee.mul(gasLimit), capped: true, affordable: false, multiplier };
+        }
+        if (maxFee.gt(cap)) {
+          maxFee = cap;
+          capped = true;
+        }
+        if (tip.gt(maxFee.sub(baseFee))) tip = maxFee.sub(baseFee);
+      }
+      overrides = { gasLimit, maxFeePerGas: maxFee, maxPriorityFeePerGas: tip, type: 2 };
+    } else {
+      const basePrice = await this.provider.getGasPrice();
+      let gasPrice = basePrice.mul(multiplier).div(100);
+      if (cap) {
+        if (cap.lt(basePrice)) {
+          return { overrides: null, maxCostWei: basePrice.mul(gasLimit), capped: true, affordable: false, multiplier };
+        }
+        if (gasPrice.gt(cap)) {
+          gasPrice = cap;
+          capped = true;
+        }
+      }
+      overrides = { gasLimit, gasPrice };
+    }
+
+    const price = overrides.maxFeePerGas || overrides.gasPrice;
+    return { overrides, maxCostWei: price.mul(gasLimit), capped, affordable: true, multiplier };
+  }
+
+  /**
+   * Short log form, e.g. "1559 max 12.5 gwei tip 2.1 gwei, limit 812000 (capped)"
+   */
+  describe(fees) {
+    const { overrides } = fees;
+    if (!overrides) return 'unaffordable';
+    const gwei = (v) => Number(utils.formatUnits(v, 'gwei')).toFixed(2);
+    const price = overrides.maxFeePerGas
+      ? `1559 max ${gwei(overrides.maxFeePerGas)} gwei tip ${gwei(overrides.maxPriorityFeePerGas)} gwei`
+      : `${gwei(overrides.gasPrice)} gwei (${fees.multiplier / 100}x)`;
+    return `${price}, limit ${overrides.gasLimit.toString()}${fees.capped ? ' (capped by profit share)' : ''}`;
+  }
+}
+
+module.exports = FeeEstimator;
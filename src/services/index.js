@@ -3,8 +3,40 @@
  */
 const TelegramService = require('./telegram');
 const PricingService = require('./pricing');
+const PositionIndex = require('./positions');
+const PriceWatcher = require('./price-watcher');
+const PairSelector = require('./pair-selector');
+const ReserveParamsService = require('./reserve-params');
+const ReceiptAnalyzer = require('./receipt-analyzer');
+const LedgerService = require('./ledger');
+const RouteFinder = require('./route-finder');
+const V3Quoter = require('./v3-quoter');
+const StableSwapSimulator = require('./stableswap');
+const SizeSolver = require('./size-solver');
+const TxManager = require('./tx-manager');
+const WalletPool = require('./wallet-pool');
+const FeeEstimator = require('./fee-estimator');
+const Blacklist = require('./blacklist');
+const WhitelistChecker = require('./whitelist-checker');
+const Treasury = require('./treasury');
 
 module.exports = {
   TelegramService,
   PricingService,
+  PositionIndex,
+  PriceWatcher,
+  PairSelector,
+  ReserveParamsService,
+  ReceiptAnalyzer,
+  LedgerService,
+  RouteFinder,
+  V3Quoter,
+  StableSwapSimulator,
+  SizeSolver,
+  TxManager,
+  WalletPool,
+  FeeEstimator,
+  Blacklist,
+  WhitelistChecker,
+  Treasury,
 };
@@ -0,0 +1,264 @@
+/**
+ * Ledger - append-only JSONL record of liquidation outcomes
+ *
+ * One JSON object per line, never rewritten, so it survives restarts and can
+ * be grepped / replayed. BigNumbers are stored as decimal strings.
+ *
+ * Writes go through an append stream, off the liquidation path. The last
+ * RETENTION_MS of entries are also kept in memory (loaded once at startup),
+ * so the hourly PnL report and the daily count never re-read the file.
+ *
+ * Entry types, in pipeline order:
+ *   attempt     - a pair was selected and handed to the executor
+ *   simulation  - callStatic result for one strategy (ok / reason)
+ *   sent        - tx broadcast
+ *   revert      - tx mined but reverted (gas still paid)
+ *   liquidation - confirmed, with realised profit from the receipt
+ */
+const fs = require('fs');
+const { BigNumber } = require('ethers');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const RETENTION_MS = 7 * DAY_MS; // widest window getPnlSummaries reports
+
+function serialize(key, value) {
+  if (typeof value === 'bigint') return value.toString();
+  // ethers BigNumber.toJSON() runs before the replacer
+  if (value && value.type === 'BigNumber' && value.hex) return BigNumber.from(value.hex).toString();
+  return value;
+}
+
+class LedgerService {
+  /**
+   * @param {Object} options
+   * @param {string} options.file - JSONL path
+   */
+  constructor({ file }) {
+    this.file = file;
+    this.recent = this.read(Date.now() - RETENTION_MS); // ts order, same shape as the file
+    this.stream = fs.createWriteStream(this.file, { flags: 'a' });
+    this.stream.on('error', err => console.error(`[Ledger] Write failed: ${err.message}`));
+  }
+
+  /**
+   * Append one entry
+   * @param {string} type - entry type (e.g. 'liquidation')
+   * @param {Object} data
+   */
+  append(type, data) {
+    const entry = { ts: Date.now(), type, ...data };
+    try {
+      const line = JSON.stringify(entry, serialize);
+      this.recent.push(JSON.parse(line));
+      this.stream.write(line + '\n');
+    } catch (err) {
+      console.error(`[Ledger] Write failed: ${err.message}`);
+    }
+    return entry;
+  }
+
+  /**
+   * Flush pending writes and close the file
+   */
+  close() {
+    return new Promise(resolve => this.stream.end(resolve));
+  }
+
+  /**
+   * Record a liquidation attempt (pair selected, before any strategy runs)
+   * @param {Object} data - { user, pool, collateralAsset, debtAsset, debtToCover, debtValueUsd }
+   */
+  recordAttempt(data) {
+    return this.append('attempt', data);
+  }
+
+  /**
+   * Record a strategy simulation
+   * @param {Object} data - { user, pool, strategy, success, reason, category }
+   */
+  recordSimulation(data) {
+    return this.append('simulation', data);
+  }
+
+  /**
+   * Record a broadcast tx
+   * @param {Object} data - { user, pool, strategy, txHash, gasPrice }
+   */
+  recordSent(data) {
+    return this.append('sent', data);
+  }
+
+  /**
+   * Record a mined-but-reverted tx
+   * @param {Object} data - { user, pool, strategy, txHash, reason, gasUsed, gasCostUsd }
+   */
+  recordRevert(data) {
+    return this.append('revert', data);
+  }
+
+  /**
+   * Record a confirmed liquidation with its realised numbers
+   * @param {Object} analysis - ReceiptAnalyzer.analyze() output
+   * @param {Object} meta - { user, pool, strategy }
+   */
+  recordLiquidation(analysis, meta) {
+    return this.append('liquidation', {
+      ...meta,
+      txHash: analysis.txHash,
+      blockNumber: analysis.blockNumber,
+      collateralAsset: analysis.collateralAsset,
+      debtAsset: analysis.debtAsset,
+      collateralSeized: analysis.collateralSeized,
+      debtRepaid: analysis.debtRepaid,
+      swapOutput: analysis.swapOutput,
+      flashFee: analysis.flashFee,
+      gasUsed: analysis.gasUsed,
+      gasCostUsd: analysis.gasCostUsd,
+      profit: analysis.profit.map(p => ({ asset: p.asset, symbol: p.symbol, amount: p.amount, decimals: p.decimals, usd: p.usd })),
+      balances: analysis.balances && analysis.balances.map(b => ({ asset: b.asset, symbol: b.symbol, before: b.before, after: b.after, delta: b.delta })),
+      balanceMismatch: analysis.balanceMismatch,
+      grossProfitUsd: analysis.grossProfitUsd,
+      netProfitUsd: analysis.netProfitUsd
+    });
+  }
+
+  /**
+   * Entries written at or after a timestamp
+   * Unparseable lines (e.g. a partial write on crash) are skipped.
+   * @param {number} sinceMs
+   * @returns {Array<Object>}
+   */
+  read(sinceMs = 0) {
+    let raw;
+    try {
+      raw = fs.readFileSync(this.file, 'utf8');
+    } catch (err) {
+      if (err.code !== 'ENOENT') console.error(`[Ledger] Read failed: ${err.message}`);
+      return [];
+    }
+
+    const entries = [];
+    for (const line of raw.split('\n')) {
+      if (!line) continue;
+      try {
+        const entry = JSON.parse(line);
+        if (entry.ts >= sinceMs) entries.push(entry);
+      } catch (err) {
+        // truncated line
+      }
+    }
+    return entries;
+  }
+
+  /**
+   * Entries at or after a timestamp, from memory when inside the retention window
+   * Drops in-memory entries older than the window first.
+   * @param {number} sinceMs
+   * @returns {Array<Object>}
+   */
+  entriesSince(sinceMs) {
+    const windowStart = Date.now() - RETENTION_MS;
+    let expired = 0;
+    while (expired < this.recent.length && this.recent[expired].ts < windowStart) expired++;
+    if (expired > 0) this.recent.splice(0, expired);
+
+    if (sinceMs < windowStart) {
+      // older part from the file; the stream may not have flushed the newest lines yet
+      return this.read(sinceMs).filter(e => e.ts < windowStart).concat(this.recent);
+    }
+    let start = this.recent.length;
+    while (start > 0 && this.recent[start - 1].ts >= sinceMs) start--;
+    return this.recent.slice(start);
+  }
+
+  /**
+   * Aggregate counts and PnL over a window
+   * Reverted txs count as a loss of their gas. Per-asset figures are the
+   * realised token deltas of confirmed liquidations.
+   * @param {number} sinceMs
+   * @returns {Object} { totals, byStrategy, byPool, byAsset }
+   */
+  summarize(sinceMs = 0) {
+    const totals = emptyBucket();
+    const byStrategy = {};
+    const byPool = {};
+    const byAsset = {};
+    const bucket = (map, key) => (map[key] = map[key] || emptyBucket());
+
+    for (const entry of this.entriesSince(sinceMs)) {
+      const buckets = [totals];
+      if (entry.strategy) buckets.push(bucket(byStrategy, entry.strategy));
+      if (entry.pool) buckets.push(bucket(byPool, entry.pool));
+
+      for (const b of buckets) {
+        switch (entry.type) {
+          case 'attempt':
+            b.attempts++;
+            break;
+          case 'simulation':
+            if (entry.success) b.simulationsOk++; else b.simulationsFailed++;
+            break;
+          case 'sent':
+            b.sent++;
+            break;
+          case 'revert':
+            b.reverts++;
+            b.gasUsd += entry.gasCostUsd || 0;
+            b.netUsd -= entry.gasCostUsd || 0;
+            break;
+          case 'liquidation':
+            b.liquidations++;
+            b.grossUsd += entry.grossProfitUsd || 0;
+            b.gasUsd += entry.gasCostUsd || 0;
+            b.netUsd += entry.netProfitUsd || 0;
+            break;
+        }
+      }
+
+      if (entry.type === 'liquidation') {
+        for (const p of entry.profit || []) {
+          const asset = byAsset[p.symbol] = byAsset[p.symbol] || { amount: BigNumber.from(0), decimals: p.decimals, usd: 0 };
+          asset.amount = asset.amount.add(p.amount);
+          asset.usd += p.usd || 0;
+        }
+      }
+    }
+
+    return { since: sinceMs, totals, byStrategy, byPool, byAsset };
+  }
+
+  /**
+   * Daily (last 24h) and weekly (last 7d) summaries
+   */
+  getPnlSummaries(now = Date.now()) {
+    return {
+      daily: this.summarize(now - DAY_MS),
+      weekly: this.summarize(now - 7 * DAY_MS)
+    };
+  }
+
+  /**
+   * Confirmed liquidations since local midnight
+   */
+  countLiquidationsToday() {
+    const midnight = new Date();
+    midnight.setHours(0, 0, 0, 0);
+    return this.entriesSince(midnight.getTime()).filter(e => e.type === 'liquidation').length;
+  }
+}
+
+function emptyBucket() {
+  return {
+    attempts: 0,
+    simulationsOk: 0,
+    simulationsFailed: 0,
+    sent: 0,
+    reverts: 0,
+    liquidations: 0,
+    grossUsd: 0,
+    gasUsd: 0,
+    netUsd: 0
+  };
+}
+
+module.exports = LedgerService;
@@ -0,0 +1,227 @@
+/**
+ * Pair selector - chooses which (collateral, debt) pair to liquidate
+ *
+ * Enumerates every collateral × debt combination a user holds, sizes each one
+ * with the protocol limits (close factor, liquidation bonus, collateral balance)
+ * taken from the reserve params service,
+ * quotes collateral → debt for all pairs in a single multicall and ranks them
+ * by net profit after swap fees, flash premium and gas. V3 quotes are redone
+ * with the exact tick-walking quoter when one is provided, since the
+ * spot-price estimate overstates large swaps.
+ */
+const { BigNumber } = require('ethers');
+const { FEES, LIQUIDATION, TOKENS } = require('../constants');
+
+const { batchGetSwapQuotes } = require('../../liquidity');
+
+// Oracle-only estimate haircut when no on-chain route exists (Eisen may still route it)
+const UNQUOTED_HAIRCUT_BPS = 100n;
+
+class PairSelector {
+  /**
+   * @param {Object} options
+   * @param {Contract} options.multicall - Multicall contract (address used for quotes)
+   * @param {ReserveParamsService} options.reserveParams - bonus / decimals / close factor
+   * @param {PricingService} options.pricingService - oracle prices
+   * @param {Object} options.provider - read provider
+   * @param {string} options.v2Router - PunchSwap router used for V2 quotes
+   * @param {V3Quoter} options.v3Quoter - optional exact V3 quoter
+   */
+  constructor({ multicall, reserveParams, pricingService, provider, v2Router, v3Quoter }) {
+    this.multicall = multicall;
+    this.reserveParams = reserveParams;
+    this.pricingService = pricingService;
+    this.provider = provider;
+    this.v2Router = v2Router;
+    this.v3Quoter = v3Quoter || null;
+  }
+
+  setProvider(provider, multicall, pricingService) {
+    this.provider = provider;
+    this.multicall = multicall;
+    this.pricingService = pricingService;
+  }
+
+  /**
+   * Max debt the protocol lets us cover on this pair
+   * min(close factor × debt, debt worth of the whole collateral balance at the bonus)
+   */
+  sizePair(collateral, debt, prices, healthFactor, eModeCategory) {
+    const reserveParams = this.reserveParams;
+    const cPrice = prices[collateral.asset];
+    const dPrice = prices[debt.asset];
+    // eMode bonus applies when the collateral is in the user's category
+    const { liquidationBonus } = reserveParams.getEffectiveParams(collateral.asset, eModeCategory);
+
+    const closeFactor = reserveParams.getCloseFactor(healthFactor);
+    const byCloseFactor = debt.amount.mul(closeFactor).div(100n);
+    const byCollateral = reserveParams.calculateMaxDebtForCollateral(
+      collateral.amount, debt.asset, collateral.asset, dPrice, cPrice, liquidationBonus
+    );
+
+    const debtToCover = byCloseFactor.lt(byCollateral) ? byCloseFactor : byCollateral;
+    const collateralOut = reserveParams.calculateCollateralOut(
+      debtToCover, debt.asset, collateral.asset, dPrice, cPrice, liquidationBonus
+    );
+
+    return {
+      debtToCover,
+      closeFactor,
+      // Same conservative factor the executor applies
+      expectedCollateral: collateralOut.mul(LIQUIDATION.CONSERVATIVE_FACTOR).div(100n),
+      collateralDecimals: reserveParams.get(collateral.asset).decimals,
+      debtDecimals: reserveParams.get(debt.asset).decimals,
+      liquidationBonus,
+      netBonus: reserveParams.getNetBonus(collateral.asset, liquidationBonus)
+    };
+  }
+
+  /**
+   * Re-quote the V3 candidates of one pair exactly and re-pick the best
+   * A V3 pool that can't absorb the whole amount is dropped.
+   * @param {Object} pairQuote - batchGetSwapQuotes() entry { id, best, alternatives }
+   * @returns {Object} same shape, V3 quotes carrying priceImpactBps / ticksCrossed
+   */
+  async refineV3Quotes(pairQuote) {
+    if (!this.v3Quoter || !pairQuote.best) return pairQuote;
+
+    const quotes = await Promise.all([pairQuote.best, ...pairQuote.alternatives].map(async (q) => {
+      if (q.type !== 'v3') return q;
+      try {
+        const exact = await this.v3Quoter.quote(q.pool, q.tokenIn, q.amountIn);
+        if (exact.partial) return null;
+        return { ...q, amountOut: exact.amountOut, priceImpactBps: exact.priceImpactBps, ticksCrossed: exact.ticksCrossed };
+      } catch (err) {
+        return q; // keep the spot quote
+      }
+    }));
+
+    const sorted = quotes
+      .filter(q => q && q.amountOut.gt(0))
+      .sort((a, b) => (b.amountOut.gt(a.amountOut) ? 1 : b.amountOut.lt(a.amountOut) ? -1 : 0));
+    return { ...pairQuote, best: sorted[0] || null, alternatives: sorted.slice(1) };
+  }
+
+  /**
+   * Gas cost of one liquidation, in USD
+   */
+  async estimateGasUsd() {
+    try {
+      const [gasPrice, flowPrice] = await Promise.all([
+        this.provider.getGasPrice(),
+        this.pricingService.getPrice(TOKENS.WFLOW)
+      ]);
+      const costWei = gasPrice.mul(LIQUIDATION.ESTIMATED_GAS);
+      return Number(costWei.mul(flowPrice).div(BigNumber.from(10).pow(18)).toString()) / 1e8;
+    } catch (err) {
+      return 0;
+    }
+  }
+
+  /**
+   * Rank every collateral × debt pair the user holds
+   * @param {Object} params
+   * @param {Array<{ asset, amount }>} params.collaterals - underlying + mToken balance
+   * @param {Array<{ asset, amount }>} params.debts - underlying + debt token balance
+   * @param {BigNumber} params.healthFactor - current HF (picks the close factor)
+   * @param {number} params.eModeCategory - user's eMode category (0 = none)
+   * @returns {Array} pairs sorted by netProfitUsd desc (empty when nothing is liquidatable)
+   */
+  async rankPairs({ collaterals, debts, healthFactor, eModeCategory = 0 }) {
+    const assets = Array.from(new Set([...collaterals, ...debts].map(t => t.asset)));
+    await this.reserveParams.ensure(assets);
+    await this.reserveParams.ensureEModeCategories([eModeCategory]);
+    const prices = await this.pricingService.getPrices(assets);
+    await this.reserveParams.applyEModePrices(prices, eModeCategory);
+
+    const candidates = [];
+    for (const collateral of collaterals) {
+      for (const debt of debts) {
+        const { liquidationBonus } = this.reserveParams.getEffectiveParams(collateral.asset, eModeCategory);
+        if (!liquidationBonus || liquidationBonus.lte(10000)) continue; // not usable as collateral
+        if (prices[collateral.asset].isZero() || prices[debt.asset].isZero()) continue;
+
+        const sized = this.sizePair(collateral, debt, prices, healthFactor, eModeCategory);
+        if (sized.debtToCover.lte(0) || sized.expectedCollateral.lte(0)) continue;
+
+        candidates.push({
+          id: `${candidates.length}`,
+          collateralAsset: collateral.asset,
+          debtAsset: debt.asset,
+          collateralAmount: collateral.amount,
+          debtAmount: debt.amount,
+          ...sized
+        });
+      }
+    }
+    if (candidates.length === 0) return [];
+
+    // One multicall for every pair that needs a swap
+    const toQuote = candidates.filter(c => c.collateralAsset.toLowerCase() !== c.debtAsset.toLowerCase());
+    const quotes = toQuote.length > 0
+      ? await batchGetSwapQuotes(
+        toQuote.map(c => ({ tokenIn: c.collateralAsset, tokenOut: c.debtAsset, amountIn: c.expectedCollateral, id: c.id })),
+        this.multicall.address,
+        this.v2Router,
+        this.provider
+      )
+      : [];
+    const refined = await Promise.all(quotes.map(q => this.refineV3Quotes(q)));
+    const quoteById = new Map(refined.map(q => [q.id, q]));
+
+    const gasUsd = await this.estimateGasUsd();
+
+    const ranked = candidates.map(c => {
+      const debtPrice = prices[c.debtAsset];
+      const debtUnit = BigNumber.from(10).pow(c.debtDecimals);
+      let amountOut;
+      let route = null;
+      let priceImpactBps = null;
+
+      if (c.collateralAsset.toLowerCase() === c.debtAsset.toLowerCase()) {
+        amountOut = c.expectedCollateral;
+        route = 'none';
+      } else if (quoteById.get(c.id)?.best) {
+        const best = quoteById.get(c.id).best;
+        amountOut = best.amountOut;
+        route = best.name;
+        priceImpactBps = best.priceImpactBps ?? null;
+      } else {
+        const collateralValue = c.expectedCollateral
+          .mul(prices[c.collateralAsset])
+          .mul(debtUnit)
+          .div(BigNumber.from(10).pow(c.collateralDecimals))
+          .div(debtPrice);
+        amountOut = collateralValue.mul(10000n - UNQUOTED_HAIRCUT_BPS).div(10000n);
+      }
+
+      const flashPremium = c.debtToCover.mul(FEES.FLASH_LOAN_PREMIUM_BPS).div(10000n);
+      const profitInDebt = amountOut.sub(c.debtToCover).sub(flashPremium);
+      const profitUsd = Number(profitInDebt.mul(debtPrice).div(debtUnit).toString()) / 1e8;
+
+      return {
+        ...c,
+        amountOut,
+        route,
+        quoted: route !== null,
+        priceImpactBps,
+        profitInDebt,
+        gasUsd,
+        netProfitUsd: profitUsd - gasUsd
+      };
+    });
+
+    return ranked.sort((a, b) => b.netProfitUsd - a.netProfitUsd);
+  }
+
+  /**
+   * Best pair or null if none is profitable
+   */
+  async selectPair(params) {
+    const ranked = await this.rankPairs(params);
+    const profitable = ranked.filter(p => p.netProfitUsd > 0);
+    return profitable[0] || null;
+  }
+}
+
+module.exports = PairSelector;
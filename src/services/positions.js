@@ -0,0 +1,412 @@
+/**
+ * Position index - local view of every borrower, kept current from Pool logs
+ *
+ * Seeded once from the subgraph, then updated block by block by decoding
+ * Supply / Borrow / Repay / Withdraw / LiquidationCall / ReserveUsedAsCollateral* / UserEModeSet
+ * so the bot only re-checks users that were actually touched.
+ */
+const { BigNumber, utils } = require('ethers');
+
+const PoolAbi = require('../../abis/Pool.json');
+const MTokenAbi = require('../../abis/MToken.json');
+
+const poolInterface = new utils.Interface(PoolAbi);
+const mTokenInterface = new utils.Interface(MTokenAbi);
+
+// Pool events that change a user's position
+const TRACKED_EVENTS = [
+  'Supply',
+  'Borrow',
+  'Repay',
+  'Withdraw',
+  'LiquidationCall',
+  'ReserveUsedAsCollateralEnabled',
+  'ReserveUsedAsCollateralDisabled',
+  'UserEModeSet',
+];
+const TRACKED_TOPICS = TRACKED_EVENTS.map(name => poolInterface.getEventTopic(name));
+
+// Max blocks per eth_getLogs request (public Flow RPC limit is conservative)
+const MAX_LOG_RANGE = 500;
+const MULTICALL_CHUNK = 100;
+
+// Reconciliation: one subgraph page + a chain sample of debt-free positions per full scan
+const RECONCILE_PAGE_SIZE = 100;
+const RECONCILE_SAMPLE_SIZE = 100;
+const RESEED_DIVERGENCE_RATIO = 0.05; // > 5% of positions wrong -> re-seed everything
+
+class PositionIndex {
+  /**
+   * @param {Object} options
+   * @param {Array<string>} options.pools - Pool addresses to index
+   * @param {Object} options.bots - config.bots (pool -> { mTokens, dTokens })
+   * @param {Function} options.fetchUsers - async () => [userAddress]
+   * @param {Function} options.fetchUsersPage - async ({ first, skip }) => [userAddress], for reconcile()
+   * @param {Object} options.provider - read provider
+   * @param {Contract} options.multicall - Multicall contract (aggregate)
+   */
+  constructor({ pools, bots, fetchUsers, fetchUsersPage, provider, multicall }) {
+    this.pools = pools.map(p => p.toLowerCase());
+    this.poolAddresses = pools;
+    this.bots = bots;
+    this.fetchUsers = fetchUsers;
+    this.fetchUsersPage = fetchUsersPage || null;
+    this.provider = provider;
+    this.multicall = multicall;
+
+    this.positions = new Map();     // `${pool}:${user}` -> { key, pool, user, collateral: Set, debt: Set }
+    this.reserveUsers = new Map();  // reserve -> Set of position keys
+    this.tokenMeta = new Map();     // pool -> [{ token, underlying, isDebt }]
+
+    this.dirty = new Set();         // positions touched since last takeDirty()
+    this.needsReserveRefresh = new Set();
+    this.lastSyncedBlock = 0;
+    this.seeded = false;
+    this.reconcileSkip = 0;     // subgraph page cursor for reconcile()
+  }
+
+  /**
+   * Swap provider/multicall after an RPC switch
+   */
+  setProvider(provider, multicall) {
+    this.provider = provider;
+    this.multicall = multicall;
+  }
+
+  /**
+   * Seed the index from the subgraph and load reserve breakdowns
+   */
+  async seed() {
+    const startBlock = await this.provider.getBlockNumber();
+    const users = await this.fetchUsers();
+
+    await this.loadTokenMeta();
+
+    for (const pool of this.pools) {
+      for (const user of users) {
+        this.ensurePosition(pool, user.toLowerCase());
+      }
+    }
+
+    await this.refreshReserves(Array.from(this.positions.keys()));
+
+    // Replay anything that happened while we were seeding
+    this.lastSyncedBlock = startBlock;
+    this.seeded = true;
+    console.log(`[Positions] Seeded ${users.length} users at block ${startBlock} (${this.reserveUsers.size} reserves)`);
+  }
+
+  /**
+   * Drop everything and seed again (index diverged too far to patch)
+   */
+  async reseed() {
+    this.positions.clear();
+    this.reserveUsers.clear();
+    this.dirty.clear();
+    this.needsReserveRefresh.clear();
+    this.seeded = false;
+    await this.seed();
+  }
+
+  /**
+   * Cross-check the index against the subgraph and the chain
+   * Catches missed / dropped logs: users the subgraph knows but the index doesn't
+   * (one rotating page per call), indexed borrowers the chain says have no debt,
+   * and a random sample of indexed debt-free positions the chain says borrow.
+   * Divergent positions are re-read; past RESEED_DIVERGENCE_RATIO the index is re-seeded.
+   * @param {Array<Object>} scanned - { pool, user, totalDebtBase } from the full scan of getBorrowers()
+   * @returns {Object} { missing, stale, hidden, reseeded }
+   */
+  async reconcile(scanned = []) {
+    const divergent = new Set();
+
+    // Subgraph page: users we never indexed
+    let missing = 0;
+    if (this.fetchUsersPage) {
+      const users = await this.fetchUsersPage({ first: RECONCILE_PAGE_SIZE, skip: this.reconcileSkip });
+      this.reconcileSkip = users.length < RECONCILE_PAGE_SIZE ? 0 : this.reconcileSkip + RECONCILE_PAGE_SIZE;
+      for (const user of users.map(u => u.toLowerCase())) {
+        for (const pool of this.pools) {
+          if (this.positions.has(`${pool}:${user}`)) continue;
+          divergent.add(this.ensurePosition(pool, user).key);
+          missing++;
+        }
+      }
+    }
+
+    // Borrowers in the index without debt on chain (missed Repay / LiquidationCall)
+    let stale = 0;
+    for (const u of scanned) {
+      if (!BigNumber.from(u.totalDebtBase).isZero()) continue;
+      const position = this.getPosition(u.pool, u.user);
+      if (position) {
+        divergent.add(position.key);
+        stale++;
+      }
+    }
+
+    // Debt-free positions that borrow on chain (missed Borrow)
+    let hidden = 0;
+    const debtFree = Array.from(this.positions.values()).filter(p => p.debt.size === 0);
+    const sample = [];
+    for (let i = 0; i < Math.min(RECONCILE_SAMPLE_SIZE, debtFree.length); i++) {
+      const j = i + Math.floor(Math.random() * (debtFree.length - i));
+      [debtFree[i], debtFree[j]] = [debtFree[j], debtFree[i]];
+      sample.push(debtFree[i]);
+    }
+    if (sample.length > 0) {
+      const res = await this.multicall.callStatic.aggregate(sample.map(p => ({
+        target: p.pool,
+        callData: poolInterface.encodeFunctionData('getUserAccountData', [p.user])
+      })));
+      sample.forEach((position, i) => {
+        const { totalDebtBase } = poolInterface.decodeFunctionResult('getUserAccountData', res.returnData[i]);
+        if (BigNumber.from(totalDebtBase).gt(0)) {
+          divergent.add(position.key);
+          hidden++;
+        }
+      });
+    }
+
+    const total = stale + hidden + missing;
+    if (total === 0) return { missing, stale, hidden, reseeded: false };
+
+    // A sample hit is extrapolated to the whole debt-free population
+    const estimated = missing + stale + (sample.length > 0 ? hidden * debtFree.length / sample.length : 0);
+    if (estimated > this.positions.size * RESEED_DIVERGENCE_RATIO) {
+      console.log(`[Positions] Index diverged (${missing} missing, ${stale} stale, ${hidden}/${sample.length} hidden), re-seeding`);
+      await this.reseed();
+      return { missing, stale, hidden, reseeded: true };
+    }
+
+    console.log(`[Positions] Reconciled ${divergent.size} positions (${missing} missing, ${stale} stale, ${hidden} hidden)`);
+    await this.refreshReserves(Array.from(divergent));
+    divergent.forEach(key => this.dirty.add(key));
+    return { missing, stale, hidden, reseeded: false };
+  }
+
+  /**
+   * Resolve underlying assets of every mToken / dToken configured per pool
+   */
+  async loadTokenMeta() {
+    for (let i = 0; i < this.pools.length; i++) {
+      const botInfo = this.bots[this.poolAddresses[i]];
+      if (!botInfo) continue;
+
+      const tokens = [
+        ...botInfo.mTokens.map(token => ({ token, isDebt: false })),
+        ...botInfo.dTokens.map(token => ({ token, isDebt: true })),
+      ];
+
+      const res = await this.multicall.callStatic.aggregate(tokens.map(t => ({
+        target: t.token,
+        callData: mTokenInterface.encodeFunctionData('UNDERLYING_ASSET_ADDRESS', [])
+      })));
+
+      this.tokenMeta.set(this.pools[i], tokens.map((t, idx) => ({
+        ...t,
+        underlying: mTokenInterface.decodeFunctionResult('UNDERLYING_ASSET_ADDRESS', res.returnData[idx])[0].toLowerCase()
+      })));
+    }
+  }
+
+  ensurePosition(pool, user) {
+    const key = `${pool}:${user}`;
+    let position = this.positions.get(key);
+    if (!position) {
+      // Keep the configured pool address so config.bots[pool] lookups keep working
+      const poolAddress = this.poolAddresses[this.pools.indexOf(pool)];
+      position = { key, pool: poolAddress, user, collateral: new Set(), debt: new Set() };
+      this.positions.set(key, position);
+    }
+    return position;
+  }
+
+  addReserve(position, reserve, side) {
+    position[side].add(reserve);
+    if (!this.reserveUsers.has(reserve)) this.reserveUsers.set(reserve, new Set());
+    this.reserveUsers.get(reserve).add(position.key);
+  }
+
+  removeReserve(position, reserve, side) {
+    position[side].delete(reserve);
+    if (position.collateral.has(reserve) || position.debt.has(reserve)) return;
+    this.reserveUsers.get(reserve)?.delete(position.key);
+  }
+
+  /**
+   * Re-read mToken / dToken balances for the given positions
+   * Used at seed time and after events that may close a reserve (repay, withdraw, liquidation)
+   */
+  async refreshReserves(keys) {
+    const byPool = new Map();
+    for (const key of keys) {
+      const position = this.positions.get(key);
+      const poolKey = position?.pool.toLowerCase();
+      if (!position || !this.tokenMeta.has(poolKey)) continue;
+      if (!byPool.has(poolKey)) byPool.set(poolKey, []);
+      byPool.get(poolKey).push(position);
+    }
+
+    for (const [pool, positions] of byPool.entries()) {
+      const tokens = this.tokenMeta.get(pool);
+      const perUser = tokens.length;
+      const usersPerChunk = Math.max(1, Math.floor(MULTICALL_CHUNK / perUser));
+
+      for (let i = 0; i < positions.length; i += usersPerChunk) {
+        const chunk = positions.slice(i, i + usersPerChunk);
+        const calls = [];
+        for (const position of chunk) {
+          for (const t of tokens) {
+            calls.push({
+              target: t.token,
+              callData: mTokenInterface.encodeFunctionData('balanceOf', [position.user])
+            });
+          }
+        }
+
+        const res = await this.multicall.callStatic.aggregate(calls);
+
+        chunk.forEach((position, u) => {
+          tokens.forEach((t, k) => {
+            const balance = BigNumber.from(
+              mTokenInterface.decodeFunctionResult('balanceOf', res.returnData[u * perUser + k])[0]
+            );
+            const side = t.isDebt ? 'debt' : 'collateral';
+            if (balance.gt(0)) {
+              this.addReserve(position, t.underlying, side);
+            } else {
+              this.removeReserve(position, t.underlying, side);
+            }
+          });
+          this.needsReserveRefresh.delete(position.key);
+        });
+      }
+    }
+  }
+
+  /**
+   * Apply one decoded Pool log to the index
+   */
+  applyLog(log) {
+    const pool = log.address.toLowerCase();
+    if (!this.pools.includes(pool)) return;
+
+    let parsed;
+    try {
+      parsed = poolInterface.parseLog(log);
+    } catch (err) {
+      return;
+    }
+
+    const { name, args } = parsed;
+    const touch = (user, reserve, side, refresh = false) => {
+      const position = this.ensurePosition(pool, user.toLowerCase());
+      if (reserve && side) this.addReserve(position, reserve.toLowerCase(), side);
+      if (refresh) this.needsReserveRefresh.add(position.key);
+      this.dirty.add(position.key);
+    };
+
+    switch (name) {
+      case 'Supply':
+        touch(args.onBehalfOf, args.reserve, 'collateral');
+        break;
+      case 'Borrow':
+        touch(args.onBehalfOf, args.reserve, 'debt');
+        break;
+      case 'Repay':
+      case 'Withdraw':
+        touch(args.user, null, null, true);
+        break;
+      case 'LiquidationCall':
+        touch(args.user, null, null, true);
+        break;
+      case 'ReserveUsedAsCollateralEnabled':
+        touch(args.user, args.reserve, 'collateral');
+        break;
+      case 'UserEModeSet':
+        // Threshold and bonus change with the category, reserves don't
+        touch(args.user);
+        break;
+      case 'ReserveUsedAsCollateralDisabled': {
+        const position = this.ensurePosition(pool, args.user.toLowerCase());
+        this.removeReserve(position, args.reserve.toLowerCase(), 'collateral');
+        this.dirty.add(position.key);
+        break;
+      }
+      default:
+        break;
+    }
+  }
+
+  /**
+   * Pull and apply Pool logs up to (and including) blockNumber
+   * @returns {number} number of logs applied
+   */
+  async syncToBlock(blockNumber) {
+    if (!this.seeded || blockNumber <= this.lastSyncedBlock) return 0;
+
+    let applied = 0;
+    let from = this.lastSyncedBlock + 1;
+
+    while (from <= blockNumber) {
+      const to = Math.min(from + MAX_LOG_RANGE - 1, blockNumber);
+      const logs = await this.provider.getLogs({
+        address: this.poolAddresses,
+        topics: [TRACKED_TOPICS],
+        fromBlock: from,
+        toBlock: to
+      });
+
+      for (const log of logs) {
+        this.applyLog(log);
+      }
+      applied += logs.length;
+      this.lastSyncedBlock = to;
+      from = to + 1;
+    }
+
+    if (this.needsReserveRefresh.size > 0) {
+      await this.refreshReserves(Array.from(this.needsReserveRefresh));
+    }
+
+    return applied;
+  }
+
+  /**
+   * Return and clear positions touched since the last call
+   * @returns {Array<{ pool, user }>}
+   */
+  takeDirty() {
+    const touched = Array.from(this.dirty).map(key => this.positions.get(key)).filter(Boolean);
+    this.dirty.clear();
+    return touched;
+  }
+
+  /**
+   * All indexed positions that still hold debt
+   * @returns {Array<{ pool, user }>}
+   */
+  getBorrowers() {
+    return Array.from(this.positions.values()).filter(p => p.debt.size > 0);
+  }
+
+  /**
+   * Positions exposed to a reserve as collateral or debt
+   */
+  getUsersForReserve(reserve) {
+    const keys = this.reserveUsers.get(reserve.toLowerCase());
+    if (!keys) return [];
+    return Array.from(keys).map(key => this.positions.get(key)).filter(Boolean);
+  }
+
+  getPosition(pool, user) {
+    return this.positions.get(`${pool.toLowerCase()}:${user.toLowerCase()}`) || null;
+  }
+
+  get size() {
+    return this.positions.size;
+  }
+}
+
+module.exports = PositionIndex;
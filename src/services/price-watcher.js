@@ -0,0 +1,513 @@
+/**
+ * Price watcher - reacts to oracle moves instead of the clock
+ *
+ * Reads every indexed reserve price from the AaveOracle once per block and
+ * keeps a per-position snapshot of reserve balances. From each snapshot the
+ * price of every exposed asset at which the position's HF reaches the trigger
+ * margin is indexed per asset (drops for net collateral, rises for net debt),
+ * so a price change only walks the positions whose trigger price it crossed.
+ * Positions in an eMode category use the category threshold and, when set,
+ * the category price source instead of the AaveOracle price.
+ *
+ * Sources that are Pyth adapters (OracleAbi: priceId, pyth, updateFeeds) only
+ * move when someone calls updateFeeds(), which emits PriceFeedUpdate on the
+ * Pyth contract. Their prices are re-read only in blocks carrying an update
+ * for their priceId; plain feeds are read every block.
+ */
+const { BigNumber, utils } = require('ethers');
+const { ABIS } = require('../constants');
+
+const DataProviderAbi = require('../../abis/DataProvider.json');
+const OracleAbi = require('../../abis/OracleAbi.json');
+
+const dataProviderInterface = new utils.Interface(DataProviderAbi);
+const sourcesInterface = new utils.Interface(ABIS.ORACLE_SOURCES);
+const adapterInterface = new utils.Interface(OracleAbi);
+const PRICE_FEED_UPDATE_TOPIC = new utils.Interface(ABIS.PYTH_EVENTS).getEventTopic('PriceFeedUpdate');
+
+const MULTICALL_CHUNK = 100;
+const MAX_LOG_RANGE = 500;
+const WAD = BigNumber.from(10).pow(18);
+const TRIGGER_MARGIN = 1.01;
+
+class PriceWatcher {
+  /**
+   * @param {Object} options
+   * @param {Contract} options.oracle - AaveOracle contract
+   * @param {string} options.dataProvider - PoolDataProvider address
+   * @param {Contract} options.multicall - Multicall contract (aggregate)
+   * @param {PositionIndex} options.positionIndex - source of per-user reserve exposure
+   * @param {ReserveParamsService} options.reserveParams - liquidation threshold / decimals
+   * @param {Object} options.provider - read provider
+   * @param {number} options.triggerMargin - HF the trigger prices are computed for (accrued interest headroom)
+   */
+  constructor({ oracle, dataProvider, multicall, positionIndex, reserveParams, provider, triggerMargin = TRIGGER_MARGIN }) {
+    this.oracle = oracle;
+    this.dataProvider = dataProvider;
+    this.multicall = multicall;
+    this.positionIndex = positionIndex;
+    this.reserveParams = reserveParams;
+    this.provider = provider;
+    this.triggerMargin = triggerMargin;
+
+    this.prices = new Map();         // asset -> BigNumber (oracle base units, 8 decimals)
+    this.sourcePrices = new Map();   // eMode price source -> BigNumber
+    this.book = new Map();           // position key -> snapshot (see snapshot())
+    this.triggers = new Map();       // price key (asset or eMode source) -> { drops, rises, sorted, stale }
+    this.positionTriggers = new Map(); // position key -> { version, keys, moved } (moved: keys moved since indexed)
+    this.triggerVersion = 0;
+    this.feeds = new Map();          // asset or eMode source -> { source, priceId, pyth }, null for plain feeds
+    this.unread = new Set();         // Pyth-backed assets / sources updated since their last successful read
+    this.lastFeedBlock = 0;
+    this.lastPolledBlock = 0;
+  }
+
+  /**
+   * Swap provider/contracts after an RPC switch
+   */
+  setProvider(provider, multicall, oracle) {
+    this.provider = provider;
+    this.multicall = multicall;
+    this.oracle = oracle;
+  }
+
+  /**
+   * Resolve the oracle source of each asset / eMode source and flag the Pyth adapters
+   * Resolved once; anything that can't be resolved is treated as a plain feed (read every block).
+   */
+  async loadFeeds(addresses) {
+    const missing = addresses.filter(a => !this.feeds.has(a));
+    if (missing.length === 0) return;
+
+    let found = 0;
+    for (let i = 0; i < missing.length; i += MULTICALL_CHUNK) {
+      const chunk = missing.slice(i, i + MULTICALL_CHUNK);
+      chunk.forEach(a => this.feeds.set(a, null));
+      try {
+        const res = await this.multicall.callStatic.aggregate(chunk.map(a => ({
+          target: this.oracle.address,
+          callData: sourcesInterface.encodeFunctionData('getSourceOfAsset', [a])
+        })));
+        const sources = res.returnData.map(data => sourcesInterface.decodeFunctionResult('getSourceOfAsset', data)[0]);
+
+        // Plain feeds revert on priceId() / pyth()
+        const probes = await this.multicall.callStatic.tryAggregate(false, sources.flatMap(source => [
+          { target: source, callData: adapterInterface.encodeFunctionData('priceId') },
+          { target: source, callData: adapterInterface.encodeFunctionData('pyth') }
+        ]));
+        chunk.forEach((address, idx) => {
+          const [priceIdRes, pythRes] = [probes[idx * 2], probes[idx * 2 + 1]];
+          if (!priceIdRes.success || !pythRes.success) return;
+          try {
+            const [priceId] = adapterInterface.decodeFunctionResult('priceId', priceIdRes.returnData);
+            const [pyth] = adapterInterface.decodeFunctionResult('pyth', pythRes.returnData);
+            this.feeds.set(address, { source: sources[idx], priceId: priceId.toLowerCase(), pyth });
+            found++;
+          } catch (err) {
+            // Empty return (no code at the source) - plain feed
+          }
+        });
+      } catch (err) {
+        console.log(`[PriceWatcher] Feed lookup failed, reading ${chunk.length} prices every block: ${err.message?.slice(0, 60)}`);
+      }
+    }
+
+    if (found > 0) {
+      console.log(`[PriceWatcher] ${found} Pyth-backed feeds (updateFeeds), re-read on PriceFeedUpdate`);
+    }
+  }
+
+  /**
+   * Pull PriceFeedUpdate logs for the Pyth-backed feeds up to blockNumber
+   * Updated assets / sources are queued in `unread` until a read succeeds.
+   * @returns {boolean} false = read everything (first call, or the logs couldn't be read)
+   */
+  async syncFeeds(blockNumber) {
+    const byPyth = new Map(); // pyth -> priceId -> [assets / sources]
+    for (const [address, feed] of this.feeds) {
+      if (!feed) continue;
+      if (!byPyth.has(feed.pyth)) byPyth.set(feed.pyth, new Map());
+      const ids = byPyth.get(feed.pyth);
+      if (!ids.has(feed.priceId)) ids.set(feed.priceId, []);
+      ids.get(feed.priceId).push(address);
+    }
+
+    const from = this.lastFeedBlock + 1;
+    const first = this.lastFeedBlock === 0;
+    if (blockNumber < from) return true;
+    this.lastFeedBlock = blockNumber;
+    if (first || byPyth.size === 0) return !first;
+
+    try {
+      for (const [pyth, ids] of byPyth) {
+        for (let start = from; start <= blockNumber; start += MAX_LOG_RANGE) {
+          const logs = await this.provider.getLogs({
+            address: pyth,
+            topics: [PRICE_FEED_UPDATE_TOPIC, Array.from(ids.keys())],
+            fromBlock: start,
+            toBlock: Math.min(start + MAX_LOG_RANGE - 1, blockNumber)
+          });
+          for (const log of logs) {
+            (ids.get(log.topics[1].toLowerCase()) || []).forEach(address => this.unread.add(address));
+          }
+        }
+      }
+    } catch (err) {
+      console.log(`[PriceWatcher] PriceFeedUpdate logs failed, reading every price: ${err.message?.slice(0, 60)}`);
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Whether a price needs reading this poll
+   * @param {boolean} synced - syncFeeds() output
+   */
+  needsRead(address, price, synced) {
+    return !synced || !price || !this.feeds.get(address) || this.unread.has(address);
+  }
+
+  /**
+   * Read the watched reserve prices that may have moved and diff against the last block
+   * Without a block number (full scan) every price is read.
+   * @returns {Array<{ asset, key, oldPrice, newPrice, changeBps }>} assets whose price moved
+   *          (key = the price key the move applies to: the asset, or the eMode price source)
+   */
+  async poll(blockNumber) {
+    const assets = this.getWatchedAssets();
+    if (assets.length === 0) return [];
+
+    // eMode price sources move every asset of the category for users in it
+    const sourceAssets = new Map();
+    for (const entry of this.book.values()) {
+      for (const item of entry.collateral.concat(entry.debt)) {
+        if (!item.priceSource) continue;
+        if (!sourceAssets.has(item.priceSource)) sourceAssets.set(item.priceSource, new Set());
+        sourceAssets.get(item.priceSource).add(item.asset);
+      }
+    }
+
+    await this.loadFeeds(assets.concat(Array.from(sourceAssets.keys())));
+    const synced = blockNumber ? await this.syncFeeds(blockNumber) : false;
+    this.lastPolledBlock = blockNumber || this.lastPolledBlock;
+
+    const changed = [];
+    const toRead = assets.filter(asset => this.needsRead(asset, this.prices.get(asset), synced));
+    const prices = toRead.length > 0 ? await this.oracle.getAssetsPrices(toRead) : [];
+    toRead.forEach((asset, idx) => {
+      const newPrice = BigNumber.from(prices[idx]);
+      const oldPrice = this.prices.get(asset);
+      this.prices.set(asset, newPrice);
+      this.unread.delete(asset);
+
+      if (!oldPrice || oldPrice.eq(newPrice)) return;
+      changed.push({
+        asset,
+        key: asset,
+        oldPrice,
+        newPrice,
+        changeBps: oldPrice.isZero() ? 0 : Number(newPrice.sub(oldPrice).mul(10000).div(oldPrice).toString())
+      });
+    });
+
+    const sources = Array.from(sourceAssets.keys()).filter(source => this.needsRead(source, this.sourcePrices.get(source), synced));
+    if (sources.length > 0) {
+      const sourcePrices = await this.reserveParams.readPriceSources(sources);
+      const firstSeen = new Set();
+      sources.forEach((source, idx) => {
+        const oldPrice = this.sourcePrices.get(source);
+        const newPrice = sourcePrices[idx];
+        if (!newPrice) return; // unreadable this block - keep the last price
+        this.sourcePrices.set(source, newPrice);
+        this.unread.delete(source);
+        if (!oldPrice) firstSeen.add(source);
+        if (!oldPrice || oldPrice.eq(newPrice)) return;
+
+        const changeBps = oldPrice.isZero() ? 0 : Number(newPrice.sub(oldPrice).mul(10000).div(oldPrice).toString());
+        for (const asset of sourceAssets.get(source)) {
+          changed.push({ asset, key: source, oldPrice, newPrice, changeBps });
+        }
+      });
+
+      // Snapshotted before their source had a price: no trigger was indexed yet
+      for (const [key, entry] of this.book) {
+        if (entry.collateral.concat(entry.debt).some(item => firstSeen.has(item.priceSource))) this.indexTriggers(key);
+      }
+    }
+
+    return changed;
+  }
+
+  getWatchedAssets() {
+    return Array.from(this.positionIndex.reserveUsers.keys());
+  }
+
+  /**
+   * Snapshot per-reserve balances for the given positions
+   * Interest accrues between snapshots, which is why getTriggered() re-checks
+   * with a small margin above 1.0 instead of trusting the estimate.
+   * @param {Array<{ key, pool, user, collateral, debt }>} positions - from the position index
+   */
+  async snapshot(positions) {
+    const calls = [];
+    for (const position of positions) {
+      const reserves = new Set([...position.collateral, ...position.debt]);
+      for (const asset of reserves) calls.push({ position, asset });
+    }
+    if (calls.length === 0) return;
+
+    await this.reserveParams.ensure(Array.from(new Set(calls.map(c => c.asset))));
+
+    const eModes = new Map();
+    for (let i = 0; i < positions.length; i += MULTICALL_CHUNK) {
+      const modes = await this.reserveParams.getUserEModes(positions.slice(i, i + MULTICALL_CHUNK));
+      for (const [key, categoryId] of modes.entries()) eModes.set(key, categoryId);
+    }
+
+    const entries = new Map();
+    for (let i = 0; i < calls.length; i += MULTICALL_CHUNK) {
+      const chunk = calls.slice(i, i + MULTICALL_CHUNK);
+      const res = await this.multicall.callStatic.aggregate(chunk.map(({ position, asset }) => ({
+        target: this.dataProvider,
+        callData: dataProviderInterface.encodeFunctionData('getUserReserveData', [asset, position.user])
+      })));
+
+      chunk.forEach(({ position, asset }, idx) => {
+        const data = dataProviderInterface.decodeFunctionResult('getUserReserveData', res.returnData[idx]);
+        const eModeCategory = eModes.get(position.key) || 0;
+        const { decimals } = this.reserveParams.get(asset);
+        const { liquidationThreshold, priceSource } = this.reserveParams.getEffectiveParams(asset, eModeCategory);
+
+        if (!entries.has(position.key)) {
+          entries.set(position.key, { pool: position.pool, user: position.user, eModeCategory, collateral: [], debt: [] });
+        }
+        const entry = entries.get(position.key);
+        const item = { asset, decimals, liquidationThreshold, priceSource };
+
+        const supplied = BigNumber.from(data.currentATokenBalance);
+        if (supplied.gt(0) && data.usageAsCollateralEnabled && liquidationThreshold.gt(0)) {
+          entry.collateral.push({ ...item, amount: supplied });
+        }
+        const borrowed = BigNumber.from(data.currentVariableDebt).add(data.currentStableDebt);
+        if (borrowed.gt(0)) {
+          entry.debt.push({ ...item, amount: borrowed });
+        }
+      });
+    }
+
+    for (const [key, entry] of entries.entries()) {
+      if (entry.debt.length === 0) {
+        this.forget(key);
+      } else {
+        this.book.set(key, entry);
+        this.indexTriggers(key);
+      }
+    }
+  }
+
+  forget(key) {
+    this.book.delete(key);
+    this.unindexTriggers(key);
+  }
+
+  priceKeyOf(item) {
+    return item.priceSource || item.asset;
+  }
+
+  priceOf(item) {
+    const price = item.priceSource ? this.sourcePrices.get(item.priceSource) : this.prices.get(item.asset);
+    return price || BigNumber.from(0);
+  }
+
+  valueOf(item) {
+    return item.amount.mul(this.priceOf(item)).div(BigNumber.from(10).pow(item.decimals));
+  }
+
+  /**
+   * HF from the snapshot at current oracle prices
+   * @returns {number} Infinity when the position has no debt
+   */
+  estimateHealthFactor(entry) {
+    const weightedCollateral = entry.collateral.reduce(
+      (sum, c) => sum.add(this.valueOf(c).mul(c.liquidationThreshold).div(10000)),
+      BigNumber.from(0)
+    );
+    const debt = entry.debt.reduce((sum, d) => sum.add(this.valueOf(d)), BigNumber.from(0));
+    if (debt.isZero()) return Infinity;
+    return Number(weightedCollateral.mul(WAD).div(debt).toString()) / 1e18;
+  }
+
+  /**
+   * Price of each exposed price key at which HF reaches the trigger margin (others unchanged)
+   * Net collateral exposure triggers on a drop, net debt exposure on a rise.
+   * @returns {Array<{ key, side, price, triggerPrice }>}
+   */
+  getTriggerPrices(entry) {
+    const marginBps = Math.round(this.triggerMargin * 10000);
+    const weighted = new Map();
+    const owed = new Map();
+    const prices = new Map();
+    let totalWeighted = BigNumber.from(0);
+    let totalDebt = BigNumber.from(0);
+
+    for (const c of entry.collateral) {
+      const key = this.priceKeyOf(c);
+      const value = this.valueOf(c).mul(c.liquidationThreshold).div(10000);
+      weighted.set(key, (weighted.get(key) || BigNumber.from(0)).add(value));
+      prices.set(key, this.priceOf(c));
+      totalWeighted = totalWeighted.add(value);
+    }
+    for (const d of entry.debt) {
+      const key = this.priceKeyOf(d);
+      const value = this.valueOf(d);
+      owed.set(key, (owed.get(key) || BigNumber.from(0)).add(value));
+      prices.set(key, this.priceOf(d));
+      totalDebt = totalDebt.add(value);
+    }
+
+    // HF = m when (W - m·D) = (f - 1)·(m·D_k - W_k), f = new price / current price
+    const headroom = totalWeighted.mul(10000).sub(totalDebt.mul(marginBps));
+    const triggers = [];
+    for (const [key, price] of prices) {
+      const exposure = (owed.get(key) || BigNumber.from(0)).mul(marginBps).sub((weighted.get(key) || BigNumber.from(0)).mul(10000));
+      if (exposure.isZero() || price.isZero()) continue;
+
+      const triggerPrice = price.add(price.mul(headroom).div(exposure));
+      // A drop below zero never happens: that collateral can't trigger on its own
+      if (triggerPrice.lte(0)) continue;
+      triggers.push({ key, side: exposure.gt(0) ? 'debt' : 'collateral', price, triggerPrice });
+    }
+
+    return triggers;
+  }
+
+  /**
+   * (Re)index a position's trigger prices from its snapshot at current prices
+   * Records carry the position's index version; older ones are skipped and
+   * compacted lazily, so re-indexing never scans the lists.
+   */
+  indexTriggers(positionKey) {
+    this.unindexTriggers(positionKey);
+    const entry = this.book.get(positionKey);
+    if (!entry) return;
+
+    const version = ++this.triggerVersion;
+    const keys = [];
+    for (const { key, side, triggerPrice } of this.getTriggerPrices(entry)) {
+      if (!this.triggers.has(key)) this.triggers.set(key, { drops: [], rises: [], sorted: true, stale: 0 });
+      const list = this.triggers.get(key);
+      (side === 'collateral' ? list.drops : list.rises).push({ positionKey, version, triggerPrice });
+      list.sorted = false;
+      keys.push(key);
+    }
+    this.positionTriggers.set(positionKey, { version, keys, moved: null });
+  }
+
+  unindexTriggers(positionKey) {
+    const indexed = this.positionTriggers.get(positionKey);
+    if (!indexed) return;
+    this.positionTriggers.delete(positionKey);
+    for (const key of indexed.keys) {
+      const list = this.triggers.get(key);
+      if (!list) continue;
+      list.stale++;
+      // Compact once dead records outnumber live ones (amortised O(1) per unindex)
+      if (list.stale * 2 > list.drops.length + list.rises.length) this.compact(list);
+    }
+  }
+
+  isLive(record) {
+    return this.positionTriggers.get(record.positionKey)?.version === record.version;
+  }
+
+  compact(list) {
+    list.drops = list.drops.filter(t => this.isLive(t));
+    list.rises = list.rises.filter(t => this.isLive(t));
+    list.stale = 0;
+  }
+
+  /**
+   * Positions whose trigger price for `key` the new price crossed
+   * drops are kept highest trigger first, rises lowest first, so only the hits are walked
+   */
+  crossed(key, newPrice) {
+    const list = this.triggers.get(key);
+    if (!list) return [];
+    if (!list.sorted) {
+      if (list.stale > 0) this.compact(list);
+      list.drops.sort((a, b) => (b.triggerPrice.gt(a.triggerPrice) ? 1 : b.triggerPrice.lt(a.triggerPrice) ? -1 : 0));
+      list.rises.sort((a, b) => (a.triggerPrice.gt(b.triggerPrice) ? 1 : a.triggerPrice.lt(b.triggerPrice) ? -1 : 0));
+      list.sorted = true;
+    }
+
+    const hits = [];
+    for (const t of list.drops) {
+      if (t.triggerPrice.lt(newPrice)) break;
+      if (this.isLive(t)) hits.push(t.positionKey);
+    }
+    for (const t of list.rises) {
+      if (t.triggerPrice.gt(newPrice)) break;
+      if (this.isLive(t)) hits.push(t.positionKey);
+    }
+    return hits;
+  }
+
+  /**
+   * Positions whose trigger price the moves crossed, confirmed against the estimated HF
+   * A trigger price assumes every other price stayed put: a move keeps a position's
+   * trigger for the moved key valid but shifts its triggers on the other keys. Those
+   * are only marked stale; a position exposed to more than one moved key, or moved
+   * on a key whose trigger is stale, is estimated in full instead, then re-indexed.
+   * @param {Array<{ key, newPrice }>} changed - output of poll()
+   * @returns {Array<{ key, pool, user, estimatedHf }>}
+   */
+  getTriggered(changed) {
+    const candidates = new Set();
+    const exposed = new Map(); // position key -> moved price keys it is exposed to
+
+    // eMode source moves are listed once per asset in the category
+    const moves = new Map(changed.map(c => [c.key, c.newPrice]));
+    for (const [key, newPrice] of moves) {
+      this.crossed(key, newPrice).forEach(positionKey => candidates.add(positionKey));
+      const list = this.triggers.get(key);
+      if (!list) continue;
+      for (const side of [list.drops, list.rises]) {
+        for (const t of side) {
+          if (!this.isLive(t)) continue;
+          if (!exposed.has(t.positionKey)) exposed.set(t.positionKey, []);
+          exposed.get(t.positionKey).push(key);
+        }
+      }
+    }
+    for (const [positionKey, keys] of exposed) {
+      const { moved } = this.positionTriggers.get(positionKey);
+      const stale = moved && Array.from(moved).some(key => key !== keys[0]);
+      if (keys.length > 1 || stale) candidates.add(positionKey);
+    }
+
+    const triggered = [];
+    for (const positionKey of candidates) {
+      const entry = this.book.get(positionKey);
+      if (!entry) continue;
+      const estimatedHf = this.estimateHealthFactor(entry);
+      if (estimatedHf <= this.triggerMargin) {
+        triggered.push({ key: positionKey, pool: entry.pool, user: entry.user, estimatedHf });
+      }
+      this.indexTriggers(positionKey);
+    }
+
+    for (const [positionKey, [key]] of exposed) {
+      const indexed = this.positionTriggers.get(positionKey);
+      if (candidates.has(positionKey) || !indexed || indexed.keys.length < 2) continue;
+      if (!indexed.moved) indexed.moved = new Set();
+      indexed.moved.add(key);
+    }
+    return triggered;
+  }
+
+  get size() {
+    return this.book.size;
+  }
+}
+
+module.exports = PriceWatcher;
@@ -0,0 +1,247 @@
+/**
+ * Receipt analyser - realised numbers for a confirmed liquidation
+ *
+ * Decodes LiquidationCall, FlashLoan / V3 Flash, the Liquidation contract's
+ * SwapSuccess and ERC20 Transfer logs from the receipt, so reports use what
+ * actually happened on-chain instead of the pre-trade estimate. Realised
+ * profit is the receiver's net Transfers in this receipt. The receiver's
+ * balances are also read at the blocks before and of the receipt, and their
+ * diff is cross-checked against those Transfers: it only differs when other
+ * txs in the same block moved the wallet's tokens, which is then flagged.
+ */
+const { Contract, BigNumber, utils } = require('ethers');
+const { ABIS } = require('../constants');
+const { getTokenSymbol } = require('../utils/helpers');
+
+const PoolAbi = require('../../abis/Pool.json');
+const LiquidationAbi = require('../../abis/Liquidation.json');
+
+const poolInterface = new utils.Interface(PoolAbi);
+const liquidationInterface = new utils.Interface(LiquidationAbi);
+const flashInterface = new utils.Interface(ABIS.FLASH_EVENTS);
+
+class ReceiptAnalyzer {
+  /**
+   * @param {Object} options
+   * @param {Object} options.provider - read provider
+   * @param {PricingService} options.pricingService - oracle prices for USD values
+   * @param {string} options.wflow - WFLOW address (gas token price, reward token)
+   */
+  constructor({ provider, pricingService, wflow }) {
+    this.provider = provider;
+    this.pricingService = pricingService;
+    this.wflow = wflow;
+    this.decimals = new Map(); // token -> decimals
+  }
+
+  setProvider(provider, pricingService) {
+    this.provider = provider;
+    this.pricingService = pricingService;
+  }
+
+  async getDecimals(token) {
+    const key = token.toLowerCase();
+    if (!this.decimals.has(key)) {
+      const erc20 = new Contract(token, ABIS.ERC20, this.provider);
+      this.decimals.set(key, await erc20.decimals());
+    }
+    return this.decimals.get(key);
+  }
+
+  /**
+   * Receiver balances of the given tokens (and native FLOW, key 'native') at a block
+   * @returns {Object|null} token (lowercase) -> BigNumber, null when the node can't serve the block
+   */
+  async readBalances(receiver, tokens, blockTag) {
+    try {
+      const [native, ...balances] = await Promise.all([
+        this.provider.getBalance(receiver, blockTag),
+        ...tokens.map(token => new Contract(token, ABIS.ERC20, this.provider).balanceOf(receiver, { blockTag }))
+      ]);
+      const result = { native: BigNumber.from(native) };
+      tokens.forEach((token, i) => { result[token] = BigNumber.from(balances[i]); });
+      return result;
+    } catch (err) {
+      console.log(`[ReceiptAnalyzer] Balances at block ${blockTag} unavailable: ${err.message?.slice(0, 60)}`);
+      return null;
+    }
+  }
+
+  /**
+   * Before/after balances of the receiver around the receipt, with the Transfer delta of each token
+   * @returns {Array<Object>|null} [{ asset, symbol, before, after, delta, transferDelta, matches }]
+   */
+  async compareBalances(receipt, receiver, tokens, received) {
+    const [before, after] = await Promise.all([
+      this.readBalances(receiver, tokens, receipt.blockNumber - 1),
+      this.readBalances(receiver, tokens, receipt.blockNumber)
+    ]);
+    if (!before || !after) return null;
+
+    return tokens.map((token) => {
+      const delta = after[token].sub(before[token]);
+      const transferDelta = received[token] || BigNumber.from(0);
+      return { asset: token, symbol: getTokenSymbol(token), before: before[token], after: after[token], delta, transferDelta, matches: delta.eq(transferDelta) };
+    }).concat({
+      asset: 'native',
+      symbol: 'FLOW',
+      before: before.native,
+      after: after.native,
+      delta: after.native.sub(before.native),
+      transferDelta: BigNumber.from(0),
+      matches: null // gas and any value sent - not covered by Transfer logs
+    });
+  }
+
+  /**
+   * Analyse a confirmed liquidation receipt
+   * @param {Object} params
+   * @param {Object} params.receipt - tx receipt
+   * @param {string} params.contractAddress - Liquidation contract
+   * @param {string} params.receiver - reward receiver (liquidator wallet)
+   * @param {string} params.collateralAsset
+   * @param {string} params.debtAsset
+   * @returns {Object} realised amounts, gas and profit in token and USD
+   */
+  async analyze({ receipt, contractAddress, receiver, collateralAsset, debtAsset }) {
+    const contractLower = contractAddress.toLowerCase();
+    const receiverLower = receiver.toLowerCase();
+
+    let liquidation = null;
+    let flashFee = null;
+    const swaps = [];
+    const received = {};
+
+    for (const log of receipt.logs) {
+      // Pool: LiquidationCall / FlashLoan
+      try {
+        const parsed = poolInterface.parseLog(log);
+        if (parsed.name === 'LiquidationCall' && parsed.args.liquidator.toLowerCase() === contractLower) {
+          liquidation = {
+            collateralAsset: parsed.args.collateralAsset,
+            debtAsset: parsed.args.debtAsset,
+            collateralSeized: BigNumber.from(parsed.args.liquidatedCollateralAmount),
+            debtRepaid: BigNumber.from(parsed.args.debtToCover)
+          };
+        } else if (parsed.name === 'FlashLoan' && parsed.args.target.toLowerCase() === contractLower) {
+          flashFee = { asset: parsed.args.asset, amount: BigNumber.from(parsed.args.premium) };
+        }
+        continue;
+      } catch (err) {
+        // not a Pool event
+      }
+
+      // Liquidation contract: SwapSuccess
+      if (log.address.toLowerCase() === contractLower) {
+        try {
+          const parsed = liquidationInterface.parseLog(log);
+          if (parsed.name === 'SwapSuccess') {
+            swaps.push({
+              router: parsed.args.router,
+              tokenIn: parsed.args.tokenIn,
+              tokenOut: parsed.args.tokenOut,
+              amountIn: BigNumber.from(parsed.args.amountIn),
+              amountOut: BigNumber.from(parsed.args.amountOut)
+            });
+          }
+        } catch (err) {
+          // unknown contract event
+        }
+        continue;
+      }
+
+      // UniswapV3 Flash (fee paid) / ERC20 Transfer
+      try {
+        const parsed = flashInterface.parseLog(log);
+        if (parsed.name === 'Flash' && parsed.args.sender.toLowerCase() === contractLower) {
+          const [token0, token1] = await Promise.all([
+            new Contract(log.address, ABIS.V3_POOL, this.provider).token0(),
+            new Contract(log.address, ABIS.V3_POOL, this.provider).token1()
+          ]);
+          flashFee = parsed.args.paid0.gt(0)
+            ? { asset: token0, amount: BigNumber.from(parsed.args.paid0) }
+            : { asset: token1, amount: BigNumber.from(parsed.args.paid1) };
+        } else if (parsed.name === 'Transfer') {
+          const token = log.address.toLowerCase();
+          if (parsed.args.to.toLowerCase() === receiverLower) {
+            received[token] = (received[token] || BigNumber.from(0)).add(parsed.args.value);
+          }
+          if (parsed.args.from.toLowerCase() === receiverLower) {
+            received[token] = (received[token] || BigNumber.from(0)).sub(parsed.args.value);
+          }
+        }
+      } catch (err) {
+        // unrelated event
+      }
+    }
+
+    // Swap output that went to repaying the loan (collateral -> debt)
+    const swapOutput = swaps
+      .filter(s => s.tokenOut.toLowerCase() === debtAsset.toLowerCase())
+      .reduce((sum, s) => sum.add(s.amountOut), BigNumber.from(0));
+
+    // Gas
+    const gasCostWei = receipt.gasUsed.mul(receipt.effectiveGasPrice || 0);
+    const flowPrice = await this.pricingService.getPrice(this.wflow);
+    const gasCostFlow = Number(gasCostWei.toString()) / 1e18;
+    const gasCostUsd = gasCostFlow * Number(flowPrice.toString()) / 1e8;
+
+    // Realised profit: what this receipt moved to the receiver
+    const profit = [];
+    for (const [token, amount] of Object.entries(received)) {
+      if (amount.isZero()) continue;
+      const decimals = await this.getDecimals(token);
+      const usd = await this.pricingService.getUsdValue(token, amount, decimals);
+      profit.push({ asset: token, symbol: getTokenSymbol(token), amount, decimals, usd });
+    }
+    const grossProfitUsd = profit.reduce((sum, p) => sum + p.usd, 0);
+
+    const tokens = Array.from(new Set([collateralAsset, debtAsset, this.wflow, ...Object.keys(received)].map(t => t.toLowerCase())));
+    const balances = await this.compareBalances(receipt, receiver, tokens, received);
+    const mismatched = (balances || []).filter(b => b.matches === false);
+    if (mismatched.length > 0) {
+      console.log(`[ReceiptAnalyzer] Balance diff ≠ Transfers in block ${receipt.blockNumber} (other txs on the wallet): ${mismatched.map(b => b.symbol).join(', ')}`);
+    }
+
+    const [collateralDecimals, debtDecimals] = await Promise.all([
+      this.getDecimals(collateralAsset),
+      this.getDecimals(debtAsset)
+    ]);
+    if (flashFee) flashFee.decimals = await this.getDecimals(flashFee.asset);
+
+    return {
+      txHash: receipt.transactionHash,
+      blockNumber: receipt.blockNumber,
+      collateralAsset: liquidation?.collateralAsset || collateralAsset,
+      debtAsset: liquidation?.debtAsset || debtAsset,
+      collateralDecimals,
+      debtDecimals,
+      collateralSeized: liquidation?.collateralSeized || null,
+      debtRepaid: liquidation?.debtRepaid || null,
+      swapOutput,
+      swaps,
+      flashFee,
+      gasUsed: receipt.gasUsed,
+      gasCostWei,
+      gasCostFlow,
+      gasCostUsd,
+      profit,
+      balances,
+      balanceMismatch: mismatched.length > 0,
+      grossProfitUsd,
+      netProfitUsd: grossProfitUsd - gasCostUsd
+    };
+  }
+
+  /**
+   * One-line token breakdown, e.g. "12.34 USDF + 0.5 WFLOW"
+   */
+  formatProfit(analysis) {
+    if (analysis.profit.length === 0) return '0';
+    return analysis.profit
+      .map(p => `${Number(utils.formatUnits(p.amount, p.decimals)).toFixed(4)} ${p.symbol}`)
+      .join(' + ');
+  }
+}
+
+module.exports = ReceiptAnalyzer;
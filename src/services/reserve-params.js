@@ -0,0 +1,388 @@
+/**
+ * Reserve parameters service - protocol config per reserve
+ *
+ * Loads liquidation bonus, threshold, decimals, eMode category, isolation
+ * settings and liquidation protocol fee from the DataProvider / Pool and
+ * re-reads a reserve whenever the PoolConfigurator emits a config event for it.
+ * eMode categories override threshold, bonus and (optionally) price source for
+ * the assets in the category when the user has that category enabled.
+ * All expected-collateral and reward maths should go through here.
+ */
+const { BigNumber, utils, constants: ethersConstants } = require('ethers');
+const { ABIS, LIQUIDATION } = require('../constants');
+
+const DataProviderAbi = require('../../abis/DataProvider.json');
+const PoolAbi = require('../../abis/Pool.json');
+
+const dataProviderInterface = new utils.Interface(DataProviderAbi);
+const poolInterface = new utils.Interface(PoolAbi);
+const configuratorInterface = new utils.Interface(ABIS.POOL_CONFIGURATOR_EVENTS);
+
+const CONFIG_TOPICS = configuratorInterface.fragments.map(f => configuratorInterface.getEventTopic(f));
+
+// ReserveConfigurationMap bit layout (Aave v3)
+const BORROWABLE_IN_ISOLATION_BIT = 61;
+const EMODE_CATEGORY_START = 168;
+const DEBT_CEILING_START = 212;
+
+const MAX_LOG_RANGE = 500;
+
+function readBits(data, start, length) {
+  const mask = (1n << BigInt(length)) - 1n;
+  return (BigInt(data.toString()) >> BigInt(start)) & mask;
+}
+
+class ReserveParamsService {
+  /**
+   * @param {Object} options
+   * @param {Contract} options.multicall - Multicall contract (aggregate)
+   * @param {string} options.dataProvider - PoolDataProvider address
+   * @param {string} options.pool - Pool address (for the raw configuration bitmap)
+   * @param {Object} options.provider - read provider
+   * @param {Contract} options.oracle - AaveOracle (prices eMode price sources)
+   */
+  constructor({ multicall, dataProvider, pool, provider, oracle }) {
+    this.multicall = multicall;
+    this.dataProvider = dataProvider;
+    this.pool = pool;
+    this.provider = provider;
+    this.oracle = oracle;
+
+    this.params = new Map(); // asset (lowercase) -> params
+    this.eModeCategories = new Map(); // categoryId -> { ltv, liquidationThreshold, liquidationBonus, priceSource, label }
+    this.lastSyncedBlock = 0;
+  }
+
+  setProvider(provider, multicall, oracle) {
+    this.provider = provider;
+    this.multicall = multicall;
+    this.oracle = oracle;
+  }
+
+  /**
+   * (Re)load params for the given reserves in one multicall
+   */
+  async load(assets) {
+    if (assets.length === 0) return;
+
+    const calls = [];
+    for (const asset of assets) {
+      calls.push({
+        target: this.dataProvider,
+        callData: dataProviderInterface.encodeFunctionData('getReserveConfigurationData', [asset])
+      });
+      calls.push({
+        target: this.dataProvider,
+        callData: dataProviderInterface.encodeFunctionData('getLiquidationProtocolFee', [asset])
+      });
+      calls.push({
+        target: this.pool,
+        callData: poolInterface.encodeFunctionData('getConfiguration', [asset])
+      });
+    }
+
+    const res = await this.multicall.callStatic.aggregate(calls);
+
+    assets.forEach((asset, idx) => {
+      const reserve = dataProviderInterface.decodeFunctionResult('getReserveConfigurationData', res.returnData[idx * 3]);
+      const [protocolFee] = dataProviderInterface.decodeFunctionResult('getLiquidationProtocolFee', res.returnData[idx * 3 + 1]);
+      const [configuration] = poolInterface.decodeFunctionResult('getConfiguration', res.returnData[idx * 3 + 2]);
+
+      this.params.set(asset.toLowerCase(), {
+        asset,
+        decimals: reserve.decimals.toNumber(),
+        ltv: BigNumber.from(reserve.ltv),
+        liquidationThreshold: BigNumber.from(reserve.liquidationThreshold),
+        liquidationBonus: BigNumber.from(reserve.liquidationBonus),
+        reserveFactor: BigNumber.from(reserve.reserveFactor),
+        usageAsCollateralEnabled: reserve.usageAsCollateralEnabled,
+        borrowingEnabled: reserve.borrowingEnabled,
+        isActive: reserve.isActive,
+        isFrozen: reserve.isFrozen,
+        liquidationProtocolFee: BigNumber.from(protocolFee),
+        eModeCategory: Number(readBits(configuration.data, EMODE_CATEGORY_START, 8)),
+        borrowableInIsolation: readBits(configuration.data, BORROWABLE_IN_ISOLATION_BIT, 1) === 1n,
+        // Only read as the isolation flag (non-zero = isolated collateral): a liquidation
+        // lowers the isolated debt, so the ceiling itself never limits its size
+        debtCeiling: BigNumber.from(readBits(configuration.data, DEBT_CEILING_START, 40).toString()),
+        updatedAt: Date.now()
+      });
+    });
+  }
+
+  /**
+   * Load whatever isn't cached yet
+   */
+  async ensure(assets) {
+    const missing = Array.from(new Set(assets.map(a => a.toLowerCase())))
+      .filter(a => !this.params.has(a));
+    await this.load(missing);
+  }
+
+  get(asset) {
+    return this.params.get(asset.toLowerCase()) || null;
+  }
+
+  /**
+   * (Re)load eMode category data
+   */
+  async loadEModeCategories(ids) {
+    if (ids.length === 0) return;
+
+    const res = await this.multicall.callStatic.aggregate(ids.map(id => ({
+      target: this.pool,
+      callData: poolInterface.encodeFunctionData('getEModeCategoryData', [id])
+    })));
+
+    ids.forEach((id, idx) => {
+      const [category] = poolInterface.decodeFunctionResult('getEModeCategoryData', res.returnData[idx]);
+      this.eModeCategories.set(id, {
+        id,
+        ltv: BigNumber.from(category.ltv),
+        liquidationThreshold: BigNumber.from(category.liquidationThreshold),
+        liquidationBonus: BigNumber.from(category.liquidationBonus),
+        priceSource: category.priceSource === ethersConstants.AddressZero ? null : category.priceSource,
+        label: category.label
+      });
+    });
+  }
+
+  async ensureEModeCategories(ids) {
+    const missing = Array.from(new Set(ids)).filter(id => id !== 0 && !this.eModeCategories.has(id));
+    await this.loadEModeCategories(missing);
+  }
+
+  /**
+   * eMode category per position, one multicall
+   * @param {Array<{ pool, user }>} positions
+   * @returns {Map<string, number>} `${pool}:${user}` (lowercase) -> categoryId (0 = none)
+   */
+  async getUserEModes(positions) {
+    const result = new Map();
+    if (positions.length === 0) return result;
+
+    const res = await this.multicall.callStatic.aggregate(positions.map(({ pool, user }) => ({
+      target: pool,
+      callData: poolInterface.encodeFunctionData('getUserEMode', [user])
+    })));
+
+    positions.forEach(({ pool, user }, idx) => {
+      const [categoryId] = poolInterface.decodeFunctionResult('getUserEMode', res.returnData[idx]);
+      result.set(`${pool.toLowerCase()}:${user.toLowerCase()}`, categoryId.toNumber());
+    });
+
+    await this.ensureEModeCategories(Array.from(result.values()));
+    return result;
+  }
+
+  async getUserEMode(pool, user) {
+    const modes = await this.getUserEModes([{ pool, user }]);
+    return modes.get(`${pool.toLowerCase()}:${user.toLowerCase()}`) || 0;
+  }
+
+  /**
+   * Threshold / bonus / price source that apply to this asset for a user in eModeCategory
+   * The category only overrides assets that belong to it.
+   */
+  getEffectiveParams(asset, eModeCategory = 0) {
+    const params = this.get(asset);
+    const category = eModeCategory ? this.eModeCategories.get(eModeCategory) : null;
+
+    if (params && category && params.eModeCategory === eModeCategory) {
+      return {
+        liquidationThreshold: category.liquidationThreshold,
+        liquidationBonus: category.liquidationBonus,
+        priceSource: category.priceSource,
+        eModeCategory
+      };
+    }
+
+    return {
+      liquidationThreshold: params?.liquidationThreshold,
+      liquidationBonus: params?.liquidationBonus,
+      priceSource: null,
+      eModeCategory: 0
+    };
+  }
+
+  /**
+   * Replace oracle prices with the category price source where one is set
+   * @param {Object} prices - asset -> BigNumber, modified in place
+   * @param {number} eModeCategory - user's category
+   */
+  async applyEModePrices(prices, eModeCategory) {
+    const category = eModeCategory ? this.eModeCategories.get(eModeCategory) : null;
+    if (!category?.priceSource) return prices;
+
+    const inCategory = Object.keys(prices).filter(asset => this.get(asset)?.eModeCategory === eModeCategory);
+    if (inCategory.length === 0) return prices;
+
+    const [sourcePrice] = await this.readPriceSources([category.priceSource]);
+    if (!sourcePrice) return prices;
+    for (const asset of inCategory) prices[asset] = sourcePrice;
+    return prices;
+  }
+
+  /**
+   * Price of eMode price sources (base currency units)
+   * The Pool prices a category through AaveOracle.getAssetPrice(priceSource), so
+   * the same call is made here; each source is read on its own so one failing
+   * source doesn't hide the others.
+   * @returns {Array<BigNumber|null>} null where the read failed
+   */
+  async readPriceSources(sources) {
+    return Promise.all(sources.map(source => this.oracle.getAssetPrice(source)
+      .then(price => BigNumber.from(price))
+      .catch((err) => {
+        console.log(`[ReserveParams] Price source ${source} unreadable: ${err.message?.slice(0, 60)}`);
+        return null;
+      })));
+  }
+
+  /**
+   * Assets the user actually has enabled as collateral
+   * Supplied-but-disabled reserves (e.g. everything but the isolated asset in isolation mode)
+   * revert when liquidated, so they must not be picked.
+   * @returns {Set<string>} lowercase assets
+   */
+  async getUserCollateralAssets(user, assets) {
+    if (assets.length === 0) return new Set();
+
+    const res = await this.multicall.callStatic.aggregate(assets.map(asset => ({
+      target: this.dataProvider,
+      callData: dataProviderInterface.encodeFunctionData('getUserReserveData', [asset, user])
+    })));
+
+    const enabled = new Set();
+    assets.forEach((asset, idx) => {
+      const data = dataProviderInterface.decodeFunctionResult('getUserReserveData', res.returnData[idx]);
+      if (data.usageAsCollateralEnabled) enabled.add(asset.toLowerCase());
+    });
+    return enabled;
+  }
+
+  /**
+   * Isolation mode: the user's only enabled collateral has a debt ceiling
+   */
+  isIsolated(collateralAssets) {
+    const assets = Array.from(collateralAssets);
+    return assets.length === 1 && this.get(assets[0])?.debtCeiling.gt(0);
+  }
+
+  /**
+   * Pull PoolConfigurator events up to blockNumber and re-read the affected reserves
+   * Topics only (no address filter) - a spoofed event just costs one extra read.
+   * @returns {Array<string>} reserves that were refreshed
+   */
+  async syncToBlock(blockNumber) {
+    if (this.lastSyncedBlock === 0) {
+      this.lastSyncedBlock = blockNumber;
+      return [];
+    }
+    if (blockNumber <= this.lastSyncedBlock) return [];
+
+    const changed = new Set();
+    const changedCategories = new Set();
+    let from = this.lastSyncedBlock + 1;
+
+    while (from <= blockNumber) {
+      const to = Math.min(from + MAX_LOG_RANGE - 1, blockNumber);
+      const logs = await this.provider.getLogs({
+        topics: [CONFIG_TOPICS],
+        fromBlock: from,
+        toBlock: to
+      });
+
+      for (const log of logs) {
+        try {
+          const { name, args } = configuratorInterface.parseLog(log);
+          if (name === 'EModeCategoryAdded') {
+            changedCategories.add(Number(args.categoryId));
+            continue;
+          }
+          const asset = args.asset.toLowerCase();
+          if (this.params.has(asset)) changed.add(asset);
+        } catch (err) {
+          // Same topic from an unrelated contract - ignore
+        }
+      }
+      this.lastSyncedBlock = to;
+      from = to + 1;
+    }
+
+    if (changed.size > 0) {
+      const assets = Array.from(changed);
+      await this.load(assets);
+      console.log(`[ReserveParams] Config changed for ${assets.length} reserve(s), reloaded`);
+    }
+    if (changedCategories.size > 0) {
+      await this.loadEModeCategories(Array.from(changedCategories));
+      console.log(`[ReserveParams] eMode categories ${Array.from(changedCategories).join(', ')} reloaded`);
+    }
+
+    return Array.from(changed);
+  }
+
+  /**
+   * Close factor (percent) allowed at this HF
+   * Aave v3 lets the whole debt be covered once HF < 0.95
+   * @param {BigNumber} healthFactor - 1e18 = 1.0
+   * @returns {bigint} 50n or 100n
+   */
+  getCloseFactor(healthFactor) {
+    if (healthFactor && BigNumber.from(healthFactor).lt(LIQUIDATION.CLOSE_FACTOR_HF_THRESHOLD)) {
+      return LIQUIDATION.MAX_CLOSE_FACTOR;
+    }
+    return LIQUIDATION.CLOSE_FACTOR;
+  }
+
+  /**
+   * Effective bonus the liquidator keeps, in bps (10000 = no bonus)
+   * The protocol fee is taken from the bonus portion only.
+   * @param {string} collateralAsset
+   * @param {BigNumber} [liquidationBonus] - override (e.g. eMode category bonus)
+   */
+  getNetBonus(collateralAsset, liquidationBonus) {
+    const params = this.get(collateralAsset);
+    const bonus = liquidationBonus || params?.liquidationBonus || BigNumber.from(10000).add(LIQUIDATION.LIQUIDATION_BONUS_BPS);
+    const protocolFee = params?.liquidationProtocolFee || BigNumber.from(0);
+    return BigNumber.from(10000).add(bonus.sub(10000).mul(BigNumber.from(10000).sub(protocolFee)).div(10000));
+  }
+
+  /**
+   * Collateral the liquidator receives for covering debtToCover
+   * collateral = debt × debtPrice × netBonus / (collateralPrice × 10000), decimals adjusted
+   */
+  calculateCollateralOut(debtToCover, debtAsset, collateralAsset, debtPrice, collateralPrice, liquidationBonus) {
+    const debtDecimals = this.get(debtAsset).decimals;
+    const collateralDecimals = this.get(collateralAsset).decimals;
+
+    return BigNumber.from(debtToCover)
+      .mul(debtPrice)
+      .mul(this.getNetBonus(collateralAsset, liquidationBonus))
+      .mul(BigNumber.from(10).pow(collateralDecimals))
+      .div(BigNumber.from(collateralPrice).mul(10000).mul(BigNumber.from(10).pow(debtDecimals)));
+  }
+
+  /**
+   * Max debt that a collateral balance can pay for at the gross bonus
+   * (the protocol seizes bonus + fee from the user's balance)
+   */
+  calculateMaxDebtForCollateral(collateralAmount, debtAsset, collateralAsset, debtPrice, collateralPrice, liquidationBonus) {
+    const debtDecimals = this.get(debtAsset).decimals;
+    const collateral = this.get(collateralAsset);
+    const bonus = liquidationBonus || collateral.liquidationBonus;
+
+    return BigNumber.from(collateralAmount)
+      .mul(collateralPrice)
+      .mul(10000)
+      .mul(BigNumber.from(10).pow(debtDecimals))
+      .div(BigNumber.from(debtPrice).mul(bonus).mul(BigNumber.from(10).pow(collateral.decimals)));
+  }
+
+  get size() {
+    return this.params.size;
+  }
+}
+
+module.exports = ReserveParamsService;
@@ -0,0 +1,339 @@
+/**
+ * Route finder - multi-hop and split routes for the repay swap
+ *
+ * Builds a token graph from the V2 pairs, V3 pools and StableKitty pools in
+ * POOLS_CONFIG, enumerates paths of up to three hops and quotes them hop by
+ * hop (one Multicall3 round per hop depth). V3 hops go through the exact
+ * tick-walking V3Quoter when one is provided. Routes are encoded into the
+ * SwapParams the Liquidation contract accepts:
+ *   - V2-only paths      -> SwapType.V2 through the PunchSwap router (multi-hop path)
+ *   - V3-only paths      -> SwapType.V3 through the FlowSwap router (when configured)
+ *   - single StableKitty -> ApiAggregator calling exchange() on the pool
+ *   - mixed hops         -> SwapType.AggroKitty, one adapter per hop
+ *                           (only when an AggroKitty router + adapters are configured)
+ *
+ * The contract runs a single swap to repay the loan, so a split cannot go into
+ * one tx: findSplit() returns legs over disjoint pools and the caller sizes one
+ * liquidation per leg.
+ */
+const { BigNumber } = require('ethers');
+const {
+  buildV2MultiHopSwapParams,
+  buildV3MultiHopSwapParams,
+  buildStableKittySwapParams,
+  buildAggroKittySwapParams,
+} = require('../utils/encoding');
+
+const { POOLS_CONFIG, batchQuotes } = require('../../liquidity');
+
+const MAX_HOPS = 3;
+const SPLIT_PARTS = 4;
+
+class RouteFinder {
+  /**
+   * @param {Object} options
+   * @param {Object} options.provider - read provider
+   * @param {string} options.multicallAddress - Multicall3 (aggregate3) address
+   * @param {string} options.v2Router - PunchSwap router
+   * @param {string} options.v3Router - optional FlowSwap (UniswapV3) router
+   * @param {Object} options.aggroKitty - optional { router, adapters: { v2, v3, stablekitty } }
+   * @param {V3Quoter} options.v3Quoter - optional exact V3 quoter (liquidity + tick crossings)
+   */
+  constructor({ provider, multicallAddress, v2Router, v3Router, aggroKitty, v3Quoter }) {
+    this.provider = provider;
+    this.multicallAddress = multicallAddress;
+    this.v2Router = v2Router;
+    this.v3Router = v3Router || null;
+    this.aggroKitty = aggroKitty || null;
+    this.v3Quoter = v3Quoter || null;
+    this.edges = this.buildEdges();
+  }
+
+  setProvider(provider) {
+    this.provider = provider;
+  }
+
+  /**
+   * One edge per pool and direction
+   */
+  buildEdges() {
+    const pools = [];
+    for (const [name, p] of Object.entries(POOLS_CONFIG.v2Pairs)) pools.push({ name, type: 'v2', ...p });
+    for (const [name, p] of Object.entries(POOLS_CONFIG.v3Pools)) pools.push({ name, type: 'v3', ...p });
+    for (const [name, p] of Object.entries(POOLS_CONFIG.stableKitty)) pools.push({ name, type: 'stablekitty', ...p });
+    for (const [name, p] of Object.entries(POOLS_CONFIG.pyusd0)) pools.push({ name, ...p, type: p.type.toLowerCase() });
+
+    const edges = [];
+    for (const pool of pools) {
+      const token0 = pool.token0.toLowerCase();
+      const token1 = pool.token1.toLowerCase();
+      const base = { name: pool.name, type: pool.type, pool: pool.address, token0, fee: pool.fee };
+      if (pool.type === 'stablekitty') {
+        edges.push({ ...base, tokenIn: token0, tokenOut: token1, i: pool.token0Index, j: pool.token1Index });
+        edges.push({ ...base, tokenIn: token1, tokenOut: token0, i: pool.token1Index, j: pool.token0Index });
+      } else {
+        edges.push({ ...base, tokenIn: token0, tokenOut: token1 });
+        edges.push({ ...base, tokenIn: token1, tokenOut: token0 });
+      }
+    }
+    return edges;
+  }
+
+  /**
+   * Every path of up to maxHops edges from tokenIn to tokenOut, no token revisited
+   * @returns {Array<Array<Object>>} lists of edges
+   */
+  findPaths(tokenIn, tokenOut, maxHops = MAX_HOPS) {
+    const target = tokenOut.toLowerCase();
+    const paths = [];
+
+    const walk = (token, hops, visited) => {
+      if (hops.length >= maxHops) return;
+      for (const edge of this.edges) {
+        if (edge.tokenIn !== token || visited.has(edge.tokenOut)) continue;
+        const next = hops.concat(edge);
+        if (edge.tokenOut === target) {
+          paths.push(next);
+        } else {
+          walk(edge.tokenOut, next, new Set([...visited, edge.tokenOut]));
+        }
+      }
+    };
+
+    const start = tokenIn.toLowerCase();
+    walk(start, [], new Set([start]));
+    return paths;
+  }
+
+  /**
+   * How a path is executed, or null if the contract can't run it
+   */
+  getRouteKind(hops) {
+    if (hops.every(h => h.type === 'v2')) return 'v2';
+    if (this.v3Router && hops.every(h => h.type === 'v3')) return 'v3';
+    if (hops.length === 1 && hops[0].type === 'stablekitty') return 'stablekitty';
+    if (this.aggroKitty?.router && hops.every(h => this.aggroKitty.adapters?.[h.type])) return 'aggrokitty';
+    return null;
+  }
+
+  toQuote(hop, amountIn) {
+    switch (hop.type) {
+      case 'v2':
+        return { type: 'v2', router: this.v2Router, amountIn, path: [hop.tokenIn, hop.tokenOut] };
+      case 'v3':
+        return { type: 'v3', pool: hop.pool, tokenIn: hop.tokenIn, token0: hop.token0, amountIn, fee: hop.fee };
+      case 'stablekitty':
+        return { type: 'stablekitty', pool: hop.pool, i: hop.i, j: hop.j, amountIn };
+      default:
+        throw new Error(`Unknown hop type ${hop.type}`);
+    }
+  }
+
+  /**
+   * Exact V3 hop through the V3Quoter; null when the pool can't absorb the whole amount
+   */
+  async quoteV3Exact(hop, amountIn) {
+    try {
+      const result = await this.v3Quoter.quote(hop.pool, hop.tokenIn, amountIn);
+      return result.partial ? null : result;
+    } catch (err) {
+      console.log(`[RouteFinder] V3 quote failed on ${hop.name}: ${err.message?.slice(0, 80)}`);
+      return null;
+    }
+  }
+
+  /**
+   * Quote many (path, amountIn) jobs hop by hop
+   * @param {Array<{ hops, amountIn }>} jobs
+   * @returns {Array<{ amountOut, priceImpactBps }|null>} final output per job, null if any hop failed
+   *          priceImpactBps sums the impact of the exactly quoted V3 hops
+   */
+  async quoteJobs(jobs) {
+    const amounts = jobs.map(j => BigNumber.from(j.amountIn));
+    const impacts = jobs.map(() => 0);
+    const maxDepth = Math.max(0, ...jobs.map(j => j.hops.length));
+
+    for (let depth = 0; depth < maxDepth; depth++) {
+      const active = jobs
+        .map((job, idx) => ({ job, idx }))
+        .filter(({ job, idx }) => depth < job.hops.length && amounts[idx] && amounts[idx].gt(0));
+      if (active.length === 0) break;
+
+      const exact = this.v3Quoter ? active.filter(({ job }) => job.hops[depth].type === 'v3') : [];
+      const batched = exact.length > 0 ? active.filter(({ job }) => job.hops[depth].type !== 'v3') : active;
+
+      const [results, exactResults] = await Promise.all([
+        batched.length > 0
+          ? batchQuotes(
+            batched.map(({ job, idx }) => this.toQuote(job.hops[depth], amounts[idx])),
+            this.multicallAddress,
+            this.provider
+          )
+          : [],
+        Promise.all(exact.map(({ job, idx }) => this.quoteV3Exact(job.hops[depth], amounts[idx])))
+      ]);
+      batched.forEach(({ idx }, k) => {
+        amounts[idx] = results[k].success ? BigNumber.from(results[k].amountOut) : null;
+      });
+      exact.forEach(({ idx }, k) => {
+        amounts[idx] = exactResults[k] ? exactResults[k].amountOut : null;
+        if (exactResults[k]) impacts[idx] += exactResults[k].priceImpactBps;
+      });
+    }
+
+    return amounts.map((a, idx) => (a && a.gt(0) ? { amountOut: a, priceImpactBps: impacts[idx] } : null));
+  }
+
+  describe(route) {
+    const hops = route.hops.map(h => `${h.name}(${h.type})`).join(' → ');
+    return `${hops} [${route.kind || 'not executable'}]`;
+  }
+
+  /**
+   * Quote every path for one amount
+   * @returns {Array<{ hops, kind, amountIn, amountOut, priceImpactBps }>} sorted by amountOut desc
+   */
+  async quoteRoutes(tokenIn, tokenOut, amountIn) {
+    const paths = this.findPaths(tokenIn, tokenOut);
+    if (paths.length === 0) return [];
+
+    const outs = await this.quoteJobs(paths.map(hops => ({ hops, amountIn })));
+    return paths
+      .map((hops, idx) => ({
+        hops,
+        kind: this.getRouteKind(hops),
+        amountIn: BigNumber.from(amountIn),
+        amountOut: outs[idx]?.amountOut,
+        priceImpactBps: outs[idx]?.priceImpactBps
+      }))
+      .filter(r => r.amountOut)
+      .sort((a, b) => (b.amountOut.gt(a.amountOut) ? 1 : b.amountOut.lt(a.amountOut) ? -1 : 0));
+  }
+
+  /**
+   * Re-quote a known route at another amount
+   * @returns {Object|null} { hops, kind, amountIn, amountOut, priceImpactBps }
+   */
+  async quoteRoute(route, amountIn) {
+    const [out] = await this.quoteJobs([{ hops: route.hops, amountIn }]);
+    if (!out) return null;
+    return { hops: route.hops, kind: route.kind, amountIn: BigNumber.from(amountIn), ...out };
+  }
+
+  /**
+   * Best single route the contract can execute
+   * @returns {Object|null} { hops, kind, amountIn, amountOut, priceImpactBps }
+   */
+  async findBest(tokenIn, tokenOut, amountIn) {
+    const routes = await this.quoteRoutes(tokenIn, tokenOut, amountIn);
+    return routes.find(r => r.kind) || null;
+  }
+
+  /**
+   * Greedy split of amountIn across executable routes over disjoint pools
+   * Each 1/parts chunk goes to the route with the best marginal output given
+   * what it already carries; a pool used by one leg is excluded from the others.
+   * @returns {Object|null} { amountIn, amountOut, legs: [{ hops, kind, amountIn, amountOut, priceImpactBps, share }] }
+   */
+  async findSplit(tokenIn, tokenOut, amountIn, parts = SPLIT_PARTS) {
+    const total = BigNumber.from(amountIn);
+    const routes = (await this.quoteRoutes(tokenIn, tokenOut, total)).filter(r => r.kind);
+    if (routes.length === 0) return null;
+
+    // Output of every route at k/parts of the amount
+    const ladder = [];
+    for (let k = 1; k <= parts; k++) ladder.push(total.mul(k).div(parts));
+    const jobs = [];
+    routes.forEach((route, r) => ladder.forEach((amount, k) => jobs.push({ r, k, hops: route.hops, amountIn: amount })));
+    const outs = await this.quoteJobs(jobs);
+    const outAt = routes.map(() => [BigNumber.from(0)]);
+    const impactAt = routes.map(() => [0]);
+    jobs.forEach((job, idx) => {
+      outAt[job.r][job.k + 1] = outs[idx]?.amountOut || null;
+      impactAt[job.r][job.k + 1] = outs[idx]?.priceImpactBps || 0;
+    });
+
+    const chunks = routes.map(() => 0);
+    const usedPools = new Map(); // pool -> route index
+    for (let step = 0; step < parts; step++) {
+      let bestRoute = -1;
+      let bestGain = BigNumber.from(0);
+      routes.forEach((route, r) => {
+        if (route.hops.some(h => usedPools.has(h.pool) && usedPools.get(h.pool) !== r)) return;
+        const next = outAt[r][chunks[r] + 1];
+        if (!next) return;
+        const gain = next.sub(outAt[r][chunks[r]]);
+        if (gain.gt(bestGain)) {
+          bestGain = gain;
+          bestRoute = r;
+        }
+      });
+      if (bestRoute < 0) break;
+      chunks[bestRoute]++;
+      routes[bestRoute].hops.forEach(h => usedPools.set(h.pool, bestRoute));
+    }
+
+    const legs = routes
+      .map((route, r) => ({ route, n: chunks[r], r }))
+      .filter(({ n }) => n > 0)
+      .map(({ route, n, r }) => ({
+        hops: route.hops,
+        kind: route.kind,
+        amountIn: ladder[n - 1],
+        amountOut: outAt[r][n],
+        priceImpactBps: impactAt[r][n],
+        share: n / parts
+      }));
+    if (legs.length === 0) return null;
+
+    return {
+      amountIn: total,
+      amountOut: legs.reduce((sum, leg) => sum.add(leg.amountOut), BigNumber.from(0)),
+      legs
+    };
+  }
+
+  /**
+   * Encode a route as Liquidation SwapParams
+   * @param {Object} route - { hops, kind }
+   * @param {BigNumber} amountIn
+   * @param {BigNumber} minAmountOut
+   * @param {string} receiver - Liquidation contract (StableKitty sends output there)
+   */
+  encode(route, amountIn, minAmountOut, receiver) {
+    const tokens = [route.hops[0].tokenIn, ...route.hops.map(h => h.tokenOut)];
+
+    switch (route.kind) {
+      case 'v2':
+        return buildV2MultiHopSwapParams(tokens, amountIn, minAmountOut, this.v2Router);
+
+      case 'v3':
+        return buildV3MultiHopSwapParams(tokens, route.hops.map(h => h.fee), amountIn, minAmountOut, this.v3Router);
+
+      case 'stablekitty': {
+        const hop = route.hops[0];
+        const pool = POOLS_CONFIG.stableKitty[hop.name];
+        return buildStableKittySwapParams(
+          { ...pool, inputIndex: hop.i, outputIndex: hop.j },
+          amountIn,
+          minAmountOut,
+          receiver
+        );
+      }
+
+      case 'aggrokitty':
+        return buildAggroKittySwapParams(
+          tokens,
+          route.hops.map(h => this.aggroKitty.adapters[h.type]),
+          amountIn,
+          minAmountOut,
+          this.aggroKitty.router
+        );
+
+      default:
+        throw new Error('Route is not executable by the Liquidation contract');
+    }
+  }
+}
+
+module.exports = RouteFinder;
@@ -0,0 +1,232 @@
+/**
+ * Size solver - profit-maximising debtToCover for one liquidation
+ *
+ * Maximises swapOut(collateral(d)) - d - flashFee(d) - gas over the debt
+ * amount d, capped by the close factor, the debt mToken's available
+ * liquidity and, when the route starts with a StableKitty hop, the largest
+ * input under FEES.STABLEKITTY_MAX_IMPACT_BPS of curve impact
+ * (StableSwapSimulator.maxAmountIn). swapOut is simulated locally along the chosen route:
+ *   - V2 hops       -> constant product on reserves read once per snapshot
+ *   - V3 hops       -> V3Quoter (exact tick walking)
+ *   - StableKitty   -> StableSwapSimulator
+ * so the search costs no RPC round-trips beyond the initial state reads.
+ *
+ * Also checks whether k sequential liquidations of cap/k (pool re-balanced by
+ * arbitrage in between, gas paid each time) beat the single best one.
+ */
+const { BigNumber, utils } = require('ethers');
+const { ABIS, FEES } = require('../constants');
+
+const pairInterface = new utils.Interface(ABIS.V2_PAIR);
+
+const RESERVES_MAX_AGE_MS = 5000;
+const SCAN_POINTS = 16;
+const REFINE_ITERATIONS = 24;
+const MAX_SEQUENTIAL = 4;
+
+class SizeSolver {
+  /**
+   * @param {Object} options
+   * @param {Contract} options.multicall - Multicall contract (aggregate), for V2 reserves
+   * @param {V3Quoter} options.v3Quoter
+   * @param {StableSwapSimulator} options.stableSwap
+   * @param {RouteFinder} options.routeFinder - picks the route to simulate
+   */
+  constructor({ multicall, v3Quoter, stableSwap, routeFinder }) {
+    this.multicall = multicall;
+    this.v3Quoter = v3Quoter;
+    this.stableSwap = stableSwap;
+    this.routeFinder = routeFinder;
+    this.reserves = new Map(); // pair (lowercase) -> { token0, reserve0, reserve1, loadedAt }
+  }
+
+  setProvider(provider, multicall) {
+    this.multicall = multicall;
+    this.reserves.clear();
+  }
+
+  /**
+   * Reserves of the V2 pairs on a route (one multicall for the stale ones)
+   */
+  async loadReserves(hops) {
+    const now = Date.now();
+    const stale = Array.from(new Set(hops.filter(h => h.type === 'v2').map(h => h.pool.toLowerCase())))
+      .filter(pair => !this.reserves.has(pair) || now - this.reserves.get(pair).loadedAt >= RESERVES_MAX_AGE_MS);
+    if (stale.length === 0) return;
+
+    const { returnData } = await this.multicall.callStatic.aggregate(stale.flatMap(pair => [
+      { target: pair, callData: pairInterface.encodeFunctionData('token0') },
+      { target: pair, callData: pairInterface.encodeFunctionData('getReserves') }
+    ]));
+    stale.forEach((pair, idx) => {
+      const [token0] = pairInterface.decodeFunctionResult('token0', returnData[idx * 2]);
+      const [reserve0, reserve1] = pairInterface.decodeFunctionResult('getReserves', returnData[idx * 2 + 1]);
+      this.reserves.set(pair, {
+        token0: token0.toLowerCase(),
+        reserve0: BigInt(reserve0.toString()),
+        reserve1: BigInt(reserve1.toString()),
+        loadedAt: now
+      });
+    });
+  }
+
+  /**
+   * One hop, local; null when the pool can't take the amount
+   * @param {Object} hop - RouteFinder edge
+   * @param {bigint} amountIn
+   * @returns {bigint|null}
+   */
+  async simulateHop(hop, amountIn) {
+    if (amountIn === 0n) return 0n;
+    switch (hop.type) {
+      case 'v2': {
+        const { token0, reserve0, reserve1 } = this.reserves.get(hop.pool.toLowerCase());
+        const [reserveIn, reserveOut] = hop.tokenIn === token0 ? [reserve0, reserve1] : [reserve1, reserve0];
+        const amountInWithFee = amountIn * 997n;
+        return amountInWithFee * reserveOut / (reserveIn * 1000n + amountInWithFee);
+      }
+      case 'v3': {
+        const result = await this.v3Quoter.quote(hop.pool, hop.tokenIn, amountIn);
+        return result.partial ? null : BigInt(result.amountOut.toString());
+      }
+      case 'stablekitty': {
+        if (!(await this.stableSwap.isEnabled(hop.pool))) return null;
+        const { amountOut } = await this.stableSwap.quote(hop.pool, hop.i, hop.j, amountIn);
+        return BigInt(amountOut.toString());
+      }
+      default:
+        return null;
+    }
+  }
+
+  async simulateRoute(hops, amountIn) {
+    let amount = amountIn;
+    for (const hop of hops) {
+      amount = await this.simulateHop(hop, amount);
+      if (amount === null) return null;
+    }
+    return amount;
+  }
+
+  /**
+   * Solve for one collateral/debt pair
+   * @param {Object} params
+   * @param {string} params.collateralAsset
+   * @param {string} params.debtAsset
+   * @param {BigNumber} params.maxDebt - close-factor / collateral-balance cap (PairSelector.sizePair)
+   * @param {BigNumber} params.expectedCollateral - collateral seized at maxDebt (linear in d)
+   * @param {BigNumber} params.availableLiquidity - debt token held by the debt mToken
+   * @param {BigNumber} params.gasCost - gas of one liquidation, in debt units
+   * @param {bigint} params.flashFeeBps - defaults to the MORE flash premium
+   * @param {bigint} params.maxImpactBps - StableKitty impact cap, defaults to FEES.STABLEKITTY_MAX_IMPACT_BPS
+   * @returns {Object|null} { debtToCover, collateralIn, amountOut, profit, cap, cappedBy, route, sequential }
+   *          cappedBy: 'closeFactor' | 'liquidity' | 'impact'
+   *          null when no route can be simulated locally (caller falls back)
+   *          sequential = { count, debtEach, totalProfit } when splitting beats one liquidation
+   */
+  async solve({
+    collateralAsset,
+    debtAsset,
+    maxDebt,
+    expectedCollateral,
+    availableLiquidity,
+    gasCost = BigNumber.from(0),
+    flashFeeBps = FEES.FLASH_LOAN_PREMIUM_BPS,
+    maxImpactBps = FEES.STABLEKITTY_MAX_IMPACT_BPS
+  }) {
+    const sameAsset = collateralAsset.toLowerCase() === debtAsset.toLowerCase();
+    const maxD = BigInt(maxDebt.toString());
+    const maxCollateral = BigInt(expectedCollateral.toString());
+    if (maxD === 0n || maxCollateral === 0n) return null;
+
+    let cappedBy = availableLiquidity && availableLiquidity.lt(maxDebt) ? 'liquidity' : 'closeFactor';
+    let cap = cappedBy === 'liquidity' ? BigInt(availableLiquidity.toString()) : maxD;
+    if (cap === 0n) return null;
+
+    // Route is chosen at the full size; the simulation then prices every size on it
+    let route = null;
+    if (!sameAsset) {
+      route = await this.routeFinder.findBest(collateralAsset, debtAsset, expectedCollateral);
+      if (!route || !route.hops.every(h => ['v2', 'v3', 'stablekitty'].includes(h.type))) return null;
+      await this.loadReserves(route.hops);
+
+      // A first StableKitty hop sees the whole collateral: keep it under the impact cap
+      const [first] = route.hops;
+      if (first.type === 'stablekitty' && (await this.stableSwap.isEnabled(first.pool))) {
+        const maxIn = BigInt((await this.stableSwap.maxAmountIn(first.pool, first.i, first.j, maxImpactBps)).toString());
+        const impactCap = maxD * maxIn / maxCollateral;
+        if (impactCap < cap) {
+          cap = impactCap;
+          cappedBy = 'impact';
+        }
+        if (cap === 0n) return null;
+      }
+    }
+
+    const gas = BigInt(gasCost.toString());
+    const feeBps = BigInt(flashFeeBps);
+    const cache = new Map();
+    const evaluate = async (d) => {
+      if (cache.has(d)) return cache.get(d);
+      const collateralIn = maxCollateral * d / maxD;
+      const amountOut = sameAsset ? collateralIn : await this.simulateRoute(route.hops, collateralIn);
+      const profit = amountOut === null ? null : amountOut - d - d * feeBps / 10000n - gas;
+      const point = { d, collateralIn, amountOut, profit };
+      cache.set(d, point);
+      return point;
+    };
+    const better = (a, b) => a.profit !== null && (b === null || b.profit === null || a.profit > b.profit);
+
+    // Coarse scan, then golden-section refine around the best grid point (profit is concave in d)
+    let best = null;
+    let bestK = 0;
+    for (let k = 1; k <= SCAN_POINTS; k++) {
+      const point = await evaluate(cap * BigInt(k) / BigInt(SCAN_POINTS));
+      if (better(point, best)) {
+        best = point;
+        bestK = k;
+      }
+    }
+    if (!best) return null;
+
+    let lo = cap * BigInt(bestK - 1) / BigInt(SCAN_POINTS);
+    let hi = bestK === SCAN_POINTS ? cap : cap * BigInt(bestK + 1) / BigInt(SCAN_POINTS);
+    for (let i = 0; i < REFINE_ITERATIONS && hi - lo > 2n; i++) {
+      const m1 = lo + (hi - lo) * 382n / 1000n;
+      const m2 = lo + (hi - lo) * 618n / 1000n;
+      const [p1, p2] = [await evaluate(m1), await evaluate(m2)];
+      if (better(p1, p2)) hi = m2;
+      else lo = m1;
+      for (const p of [p1, p2]) if (better(p, best)) best = p;
+    }
+
+    // Sequential liquidations of cap/k, each paying gas, pool recovered in between
+    let sequential = null;
+    for (let k = 2; k <= MAX_SEQUENTIAL; k++) {
+      const point = await evaluate(cap / BigInt(k));
+      if (point.profit === null || point.profit <= 0n) continue;
+      const totalProfit = point.profit * BigInt(k);
+      if (totalProfit > best.profit && (!sequential || totalProfit > sequential.totalProfit)) {
+        sequential = { count: k, debtEach: point.d, totalProfit };
+      }
+    }
+
+    const toBN = (x) => BigNumber.from(x.toString());
+    return {
+      debtToCover: toBN(best.d),
+      collateralIn: toBN(best.collateralIn),
+      amountOut: toBN(best.amountOut),
+      profit: toBN(best.profit),
+      cap: toBN(cap),
+      cappedBy,
+      route,
+      sequential: sequential && {
+        count: sequential.count,
+        debtEach: toBN(sequential.debtEach),
+        totalProfit: toBN(sequential.totalProfit)
+      }
+    };
+  }
+}
+
+module.exports = SizeSolver;
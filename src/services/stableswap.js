@@ -0,0 +1,236 @@
+/**
+ * StableSwap simulator - offline get_dy for the StableKitty pools
+ *
+ * Reads A_precise() (A() * A_PRECISION where a pool lacks it), fee() and
+ * balances(i) of every pool in STABLEKITTY_POOLS in one multicall, then answers
+ * get_dy, price impact and "largest amount under X bps of impact" locally, so
+ * stable↔stable liquidations can be sized (SizeSolver) without an RPC
+ * round-trip per attempt.
+ * The first snapshot of each pool also reads the pool's own get_dy for one
+ * coin; a pool whose local quote diverges from it is disabled (isEnabled()
+ * false) and its callers go back to on-chain quotes.
+ */
+const { BigNumber, utils } = require('ethers');
+const { ABIS, STABLEKITTY_POOLS } = require('../constants');
+const { A_PRECISION, getD, getDy, toXp } = require('../utils/stableswap-math');
+
+const poolInterface = new utils.Interface(ABIS.STABLEKITTY);
+const erc20Interface = new utils.Interface(ABIS.ERC20);
+
+const STATE_MAX_AGE_MS = 5000;
+const SEARCH_ITERATIONS = 64;
+const MAX_DIVERGENCE_BPS = 1n;
+
+class StableSwapSimulator {
+  /**
+   * @param {Object} options
+   * @param {Contract} options.multicall - Multicall contract (aggregate)
+   * @param {number} options.maxAgeMs - how long a pool snapshot is reused
+   */
+  constructor({ multicall, maxAgeMs = STATE_MAX_AGE_MS }) {
+    this.multicall = multicall;
+    this.maxAgeMs = maxAgeMs;
+    this.pools = new Map(); // pool (lowercase) -> state
+    this.loadedAt = 0;
+    this.decimals = new Map(); // token (lowercase) -> decimals
+    this.hasAPrecise = new Map(); // pool (lowercase) -> bool
+    this.checked = new Map(); // pool (lowercase) -> whether local get_dy matched the pool's
+  }
+
+  setProvider(provider, multicall) {
+    this.multicall = multicall;
+    this.loadedAt = 0;
+  }
+
+  /**
+   * Coin decimals, read once
+   */
+  async loadDecimals(tokens) {
+    if (tokens.length === 0) return;
+    const { returnData } = await this.multicall.callStatic.aggregate(tokens.map(token => ({
+      target: token,
+      callData: erc20Interface.encodeFunctionData('decimals')
+    })));
+    tokens.forEach((token, idx) => {
+      this.decimals.set(token, Number(erc20Interface.decodeFunctionResult('decimals', returnData[idx])[0]));
+    });
+  }
+
+  /**
+   * Which pools expose A_precise(), probed once per pool (a missing function reverts the whole aggregate)
+   */
+  async probeAPrecise(pools) {
+    await Promise.all(pools.filter(p => !this.hasAPrecise.has(p.address.toLowerCase())).map(async (pool) => {
+      const supported = await this.multicall.callStatic.aggregate([{
+        target: pool.address,
+        callData: poolInterface.encodeFunctionData('A_precise')
+      }]).then(() => true, () => false);
+      this.hasAPrecise.set(pool.address.toLowerCase(), supported);
+    }));
+  }
+
+  /**
+   * Snapshot every StableKitty pool (one multicall)
+   * Pools not checked yet also get an on-chain get_dy(0, 1, one coin) in the
+   * same call, compared against the local quote on the same state.
+   */
+  async refresh() {
+    const pools = Object.entries(STABLEKITTY_POOLS).map(([name, p]) => ({
+      name,
+      address: p.address,
+      coins: [
+        [p.token0Index, p.token0],
+        [p.token1Index, p.token1]
+      ].sort((a, b) => a[0] - b[0]).map(([, token]) => token)
+    }));
+    await Promise.all([
+      this.loadDecimals(Array.from(new Set(pools.flatMap(p => p.coins.map(c => c.toLowerCase()))))
+        .filter(t => !this.decimals.has(t))),
+      this.probeAPrecise(pools)
+    ]);
+
+    const calls = [];
+    for (const pool of pools) {
+      const key = pool.address.toLowerCase();
+      pool.precise = this.hasAPrecise.get(key);
+      pool.rates = pool.coins.map(c => 10n ** BigInt(18 - this.decimals.get(c.toLowerCase())));
+      pool.checkDx = this.checked.has(key) ? null : 10n ** 18n / pool.rates[0];
+
+      calls.push({ target: pool.address, callData: poolInterface.encodeFunctionData(pool.precise ? 'A_precise' : 'A') });
+      calls.push({ target: pool.address, callData: poolInterface.encodeFunctionData('fee') });
+      pool.coins.forEach((_, k) => {
+        calls.push({ target: pool.address, callData: poolInterface.encodeFunctionData('balances', [k]) });
+      });
+      if (pool.checkDx) {
+        calls.push({ target: pool.address, callData: poolInterface.encodeFunctionData('get_dy', [0, 1, pool.checkDx]) });
+      }
+    }
+
+    const { returnData } = await this.multicall.callStatic.aggregate(calls);
+    let idx = 0;
+    for (const pool of pools) {
+      const A = BigInt(poolInterface.decodeFunctionResult(pool.precise ? 'A_precise' : 'A', returnData[idx++])[0].toString());
+      const fee = BigInt(poolInterface.decodeFunctionResult('fee', returnData[idx++])[0].toString());
+      const balances = pool.coins.map(() =>
+        BigInt(poolInterface.decodeFunctionResult('balances', returnData[idx++])[0].toString())
+      );
+      const amp = pool.precise ? A : A * A_PRECISION;
+      const state = {
+        name: pool.name,
+        address: pool.address,
+        coins: pool.coins,
+        amp,
+        fee,
+        balances,
+        rates: pool.rates,
+        D: getD(toXp(balances, pool.rates), amp)
+      };
+
+      if (pool.checkDx) {
+        const onChain = BigInt(poolInterface.decodeFunctionResult('get_dy', returnData[idx++])[0].toString());
+        this.check(state, pool.checkDx, onChain);
+      }
+      this.pools.set(pool.address.toLowerCase(), state);
+    }
+    this.loadedAt = Date.now();
+  }
+
+  /**
+   * Compare the local get_dy against the pool's on the same snapshot, once per pool
+   */
+  check(state, dx, onChain) {
+    const local = getDy(state, 0, 1, dx, state.D);
+    const diff = local > onChain ? local - onChain : onChain - local;
+    const matches = diff * 10000n <= onChain * MAX_DIVERGENCE_BPS;
+    this.checked.set(state.address.toLowerCase(), matches);
+
+    if (matches) {
+      console.log(`[StableSwap] ${state.name}: local get_dy matches the pool`);
+    } else {
+      console.log(`[StableSwap] ${state.name}: local get_dy ${local} vs pool ${onChain} - simulator disabled for this pool`);
+    }
+  }
+
+  /**
+   * Whether local quotes can be used for this pool (false once they diverged from the pool's get_dy)
+   */
+  async isEnabled(address) {
+    if (!this.checked.has(address.toLowerCase())) {
+      await this.refresh().catch(err => console.log(`[StableSwap] Refresh failed: ${err.message?.slice(0, 60)}`));
+    }
+    return this.checked.get(address.toLowerCase()) === true;
+  }
+
+  /**
+   * Pool state, refreshing every pool when the snapshot is stale
+   */
+  async getPool(address) {
+    if (Date.now() - this.loadedAt >= this.maxAgeMs) await this.refresh();
+    const state = this.pools.get(address.toLowerCase());
+    if (!state) throw new Error(`Unknown StableKitty pool ${address}`);
+    if (this.checked.get(address.toLowerCase()) === false) {
+      throw new Error(`StableSwap simulator disabled for ${state.name} (diverged from get_dy)`);
+    }
+    return state;
+  }
+
+  /**
+   * Local get_dy(i, j, dx)
+   * @returns {BigNumber}
+   */
+  async getDy(pool, i, j, dx) {
+    const state = await this.getPool(pool);
+    return BigNumber.from(getDy(state, i, j, BigInt(dx.toString()), state.D).toString());
+  }
+
+  /**
+   * Price impact of swapping dx, in bps, vs. the rate for one whole coin i
+   * Both sides pay the pool fee, so this is pure curve slippage.
+   */
+  impactBps(state, i, j, dx) {
+    const refIn = 10n ** 18n / state.rates[i];
+    const refOut = getDy(state, i, j, refIn, state.D);
+    const out = getDy(state, i, j, dx, state.D);
+    if (refOut === 0n || dx === 0n) return 0;
+    // 1 - (out / dx) / (refOut / refIn)
+    const ratio = out * refIn * 10000n / (dx * refOut);
+    return ratio >= 10000n ? 0 : Number(10000n - ratio);
+  }
+
+  /**
+   * Quote with its price impact
+   * @returns {{ amountOut: BigNumber, priceImpactBps: number }}
+   */
+  async quote(pool, i, j, dx) {
+    const state = await this.getPool(pool);
+    const amountIn = BigInt(dx.toString());
+    return {
+      amountOut: BigNumber.from(getDy(state, i, j, amountIn, state.D).toString()),
+      priceImpactBps: this.impactBps(state, i, j, amountIn)
+    };
+  }
+
+  /**
+   * Largest dx of coin i whose price impact stays within maxImpactBps
+   * Binary search - impact only grows with size.
+   * @returns {BigNumber}
+   */
+  async maxAmountIn(pool, i, j, maxImpactBps) {
+    const state = await this.getPool(pool);
+    const limit = Number(maxImpactBps);
+
+    // Everything in the pool, expressed in coin i
+    let hi = toXp(state.balances, state.rates).reduce((sum, x) => sum + x, 0n) / state.rates[i];
+    if (this.impactBps(state, i, j, hi) <= limit) return BigNumber.from(hi.toString());
+
+    let lo = 0n;
+    for (let k = 0; k < SEARCH_ITERATIONS && hi - lo > 1n; k++) {
+      const mid = (lo + hi) / 2n;
+      if (this.impactBps(state, i, j, mid) <= limit) lo = mid;
+      else hi = mid;
+    }
+    return BigNumber.from(lo.toString());
+  }
+}
+
+module.exports = StableSwapSimulator;
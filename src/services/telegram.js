@@ -3,7 +3,7 @@
  */
 const { Telegraf } = require('telegraf');
 const { FLOWSCAN_URL, STRATEGY_INFO } = require('../constants');
-const { shortAddr, formatUsd } = require('../utils/helpers');
+const { shortAddr, formatUsd, formatUnits, getTokenSymbol } = require('../utils/helpers');
 
 class TelegramService {
   constructor(config) {
@@ -61,6 +61,7 @@ class TelegramService {
     strategy,
     txHash,
     rewardDisplay,
+    realized,
     gasCostFlow,
     gasCostUsd,
     liquidatorBalance,
@@ -68,6 +69,15 @@ class TelegramService {
   }) {
     const strategyInfo = STRATEGY_INFO[strategy] || { emoji: '📊', name: strategy };
 
+    // Realised on-chain numbers (ReceiptAnalyzer) when available
+    const realizedLines = realized ? [
+      `   Seized: ${formatUnits(realized.collateralSeized, realized.collateralDecimals)} ${getTokenSymbol(realized.collateralAsset)}`,
+      `   Repaid: ${formatUnits(realized.debtRepaid, realized.debtDecimals)} ${getTokenSymbol(realized.debtAsset)}`,
+      `   Swap out: ${formatUnits(realized.swapOutput, realized.debtDecimals)} ${getTokenSymbol(realized.debtAsset)}`,
+      realized.flashFee ? `   Flash fee: ${formatUnits(realized.flashFee.amount, realized.flashFee.decimals)} ${getTokenSymbol(realized.flashFee.asset)}` : null,
+      realized.balanceMismatch ? `   ⚠️ Wallet balance diff ≠ this tx's transfers (other txs in the block)` : null,
+    ].filter(Boolean) : [];
+
     const message = [
       `✅ <b>Liquidation Success!</b> ${strategyInfo.emoji} ${strategyInfo.name}`,
       ``,
@@ -78,14 +88,17 @@ class TelegramService {
       `   Debt covered: ${formatUsd(debtValueUsd)} (50%)`,
       `   Collateral: ${collateralSymbol}`,
       ``,
+      ...realizedLines,
+      ``,
       `📈 <b>Profit:</b>`,
       `   Reward: ${rewardDisplay}`,
       `   Gas: -${gasCostFlow.toFixed(4)} FLOW (~${formatUsd(gasCostUsd)})`,
+      realized ? `   <b>Net: ${formatUsd(realized.netProfitUsd)}</b>` : null,
       ``,
       `🏦 <b>Balance:</b> ${liquidatorBalance.toFixed(2)} FLOW | ${liquidatorWflowBalance.toFixed(4)} WFLOW`,
       ``,
       `🔗 <a href="${FLOWSCAN_URL}/tx/${txHash}">Tx</a> | <a href="${FLOWSCAN_URL}/address/${user}">Wallet</a>`
-    ].join('\n');
+    ].filter(line => line !== null).join('\n');
 
     await this.sendAlert(message);
   }
@@ -144,8 +157,9 @@ class TelegramService {
 
   /**
    * Send periodic status report
+   * @param {Object} params.pnl - optional { daily, weekly } ledger summaries
    */
-  async notifyStatusReport({ hotPositions, lowestHf, liquidationsToday, uptime }) {
+  async notifyStatusReport({ hotPositions, lowestHf, liquidationsToday, uptime, pnl }) {
     const message = [
       `📊 <b>Status Report</b>`,
       ``,
@@ -153,9 +167,86 @@ class TelegramService {
       `📉 Lowest HF: ${lowestHf}`,
       `✅ Liquidations today: ${liquidationsToday}`,
       `⏱️ Uptime: ${uptime}`
-    ].join('\n');
+    ];
 
-    await this.sendInfo(message);
+    if (pnl) {
+      message.push(``, ...this.formatPnl('24h', pnl.daily), ``, ...this.formatPnl('7d', pnl.weekly));
+    }
+
+    await this.sendInfo(message.join('\n'), { html: true });
+  }
+
+  /**
+   * PnL block for one ledger summary (LedgerService.summarize)
+   */
+  formatPnl(label, summary) {
+    const { totals, byStrategy, byAsset } = summary;
+    const lines = [
+      `💰 <b>PnL ${label}: ${formatUsd(totals.netUsd)}</b>`,
+      `   Gross ${formatUsd(totals.grossUsd)} | Gas ${formatUsd(totals.gasUsd)}`,
+      `   ${totals.liquidations} ok / ${totals.reverts} reverted / ${totals.attempts} attempts`
+    ];
+
+    const strategies = Object.entries(byStrategy).sort((a, b) => b[1].netUsd - a[1].netUsd);
+    for (const [name, s] of strategies) {
+      lines.push(`   • ${name}: ${formatUsd(s.netUsd)} (${s.liquidations}/${s.sent})`);
+    }
+
+    const assets = Object.entries(byAsset);
+    if (assets.length > 0) {
+      lines.push(`   ${assets.map(([symbol, a]) => `${formatUnits(a.amount, a.decimals ?? 18)} ${symbol}`).join(' + ')}`);
+    }
+
+    return lines;
+  }
+
+  /**
+   * Register a /command (answered only in the alert / info chats)
+   * @param {string} name - command without the slash
+   * @param {Function} handler - async (args: string[]) => HTML reply
+   */
+  onCommand(name, handler) {
+    if (!this.bot) return;
+    const allowed = [this.alertChatId, this.infoChatId].filter(Boolean).map(String);
+
+    this.bot.command(name, async (ctx) => {
+      if (!allowed.includes(String(ctx.chat?.id))) return;
+      try {
+        const reply = await handler(ctx.message.text.trim().split(/\s+/).slice(1));
+        if (reply) await ctx.reply(reply, { parse_mode: 'HTML', disable_web_page_preview: true });
+      } catch (err) {
+        console.error(`[Telegram] /${name} error: ${err.message}`);
+      }
+    });
+  }
+
+  /**
+   * Start polling for registered commands (not awaited - runs until stop)
+   */
+  startCommands() {
+    if (!this.bot || this.commandsStarted) return;
+    this.commandsStarted = true;
+    this.bot.launch().catch(err => console.error(`[Telegram] Command polling stopped: ${err.message}`));
+  }
+
+  /**
+   * Treasury conversion / sweep (Treasury onAction)
+   */
+  async notifyTreasuryAction({ action, wallet, token, amount, decimals, usd, route, to, txHash, error, dryRun }) {
+    const symbol = token ? getTokenSymbol(token) : 'FLOW';
+    const title = action === 'convert' ? '🔁 <b>Treasury convert</b>' : '🧺 <b>Treasury sweep</b>';
+    const message = [
+      `${title}${dryRun ? ' (dry run)' : ''}`,
+      ``,
+      `👛 ${shortAddr(wallet)}`,
+      `💰 ${formatUnits(amount, decimals)} ${symbol} (~${formatUsd(usd)})`,
+      route ? `🛣️ ${route}` : null,
+      to ? `➡️ ${shortAddr(to)}` : null,
+      txHash ? `🔗 <a href="${FLOWSCAN_URL}/tx/${txHash}">Tx</a>` : null,
+      error ? `❌ ${error}` : null
+    ].filter(line => line !== null).join('\n');
+
+    await this.sendAlert(message);
   }
 
   /**
@@ -0,0 +1,311 @@
+/**
+ * Treasury - tallies, converts and sweeps liquidation profits
+ *
+ * Rewards land on the liquidator keys in WFLOW or whatever debt token was
+ * repaid. Each run:
+ *   1. tallies every known token (plus native FLOW) on every liquidator key and
+ *      every Liquidation contract
+ *   2. per key, converts reward tokens worth >= minConvertUsd to the target
+ *      asset, through the best RouteFinder route an EOA can call directly
+ *      (a PunchSwap router path or one StableKitty pool)
+ *   3. sweeps the target asset (>= minSweepUsd) and native FLOW above the gas
+ *      reserve to the cold address
+ * Only idle keys (no pending txs) are converted / swept, and each is reserved
+ * in the WalletPool while it is, so no liquidation runs on it meanwhile.
+ * The contracts have no withdraw, so their balances are only reported.
+ * In dry-run mode every step is planned and reported but nothing is sent.
+ */
+const { BigNumber, Contract, utils } = require('ethers');
+const { ABIS } = require('../constants');
+const { getTokenSymbol } = require('../utils/helpers');
+
+const erc20Interface = new utils.Interface(ABIS.ERC20);
+
+const SLIPPAGE_BPS = 100;
+const MIN_CONVERT_USD = 10;
+const MIN_SWEEP_USD = 50;
+const SWAP_DEADLINE_SECONDS = 300;
+// Route kinds an EOA can execute without the Liquidation contract
+const EOA_ROUTE_KINDS = ['v2', 'stablekitty'];
+
+class Treasury {
+  /**
+   * @param {Object} options
+   * @param {Object} options.provider - tx provider
+   * @param {Contract} options.multicall - Multicall contract (aggregate)
+   * @param {PricingService} options.pricingService
+   * @param {RouteFinder} options.routeFinder
+   * @param {WalletPool} options.walletPool - liquidator keys (balances + TxManagers)
+   * @param {Array<string>} options.bots - Liquidation contract addresses (reported only)
+   * @param {Array<string>} options.tokens - tokens to tally
+   * @param {string} options.wflow - prices native FLOW
+   * @param {string} options.targetAsset - what rewards are converted to
+   * @param {string} options.coldAddress - sweep destination, null = convert only
+   * @param {BigNumber} options.gasReserve - FLOW (wei) every key keeps
+   * @param {number} options.minConvertUsd
+   * @param {number} options.minSweepUsd
+   * @param {number} options.slippageBps
+   * @param {boolean} options.dryRun
+   * @param {Function} options.onAction - ({ action, wallet, token, amount, usd, txHash, dryRun, ... }) after each conversion / sweep
+   */
+  constructor({
+    provider,
+    multicall,
+    pricingService,
+    routeFinder,
+    walletPool,
+    bots = [],
+    tokens,
+    wflow,
+    targetAsset,
+    coldAddress = null,
+    gasReserve,
+    minConvertUsd = MIN_CONVERT_USD,
+    minSweepUsd = MIN_SWEEP_USD,
+    slippageBps = SLIPPAGE_BPS,
+    dryRun = true,
+    onAction
+  }) {
+    this.provider = provider;
+    this.multicall = multicall;
+    this.pricingService = pricingService;
+    this.routeFinder = routeFinder;
+    this.walletPool = walletPool;
+    this.bots = [...new Set(bots.map(b => utils.getAddress(b)))];
+    this.tokens = [...new Set(tokens.map(t => utils.getAddress(t)))];
+    this.wflow = wflow;
+    this.targetAsset = utils.getAddress(targetAsset);
+    this.coldAddress = coldAddress;
+    this.gasReserve = BigNumber.from(gasReserve);
+    this.minConvertUsd = minConvertUsd;
+    this.minSweepUsd = minSweepUsd;
+    this.slippageBps = slippageBps;
+    this.dryRun = dryRun;
+    this.onAction = onAction || (() => {});
+
+    this.decimals = new Map(); // token (lowercase) -> decimals
+    this.running = null;
+    this.lastTally = null;
+  }
+
+  setProvider(provider, multicall, pricingService) {
+    this.provider = provider;
+    this.multicall = multicall;
+    this.pricingService = pricingService;
+  }
+
+  /**
+   * decimals() of every token, read once
+   */
+  async loadDecimals() {
+    const missing = this.tokens.filter(t => !this.decimals.has(t.toLowerCase()));
+    if (missing.length === 0) return;
+    const res = await this.multicall.callStatic.aggregate(missing.map(token => ({
+      target: token,
+      callData: erc20Interface.encodeFunctionData('decimals')
+    })));
+    missing.forEach((token, i) => {
+      this.decimals.set(token.toLowerCase(), erc20Interface.decodeFunctionResult('decimals', res.returnData[i])[0]);
+    });
+  }
+
+  toUsd(amount, price, decimals) {
+    if (!price || amount.isZero()) return 0;
+    return Number(utils.formatUnits(amount.mul(price), decimals + 8));
+  }
+
+  /**
+   * Every token balance of every key and contract, one multicall
+   * @returns {Object} { holders: [{ address, kind: 'wallet' | 'bot', native, nativeUsd, tokens: [{ token, symbol, balance, decimals, usd }], totalUsd }], totalUsd, at }
+   */
+  async tally() {
+    await this.loadDecimals();
+    const holders = [
+      ...this.walletPool.getStatus().map(w => ({ address: w.address, kind: 'wallet' })),
+      ...this.bots.map(address => ({ address, kind: 'bot' }))
+    ];
+
+    const calls = [];
+    for (const holder of holders) {
+      for (const token of this.tokens) {
+        calls.push({ target: token, callData: erc20Interface.encodeFunctionData('balanceOf', [holder.address]) });
+      }
+    }
+    const [res, natives, prices] = await Promise.all([
+      this.multicall.callStatic.aggregate(calls),
+      Promise.all(holders.map(h => this.provider.getBalance(h.address))),
+      this.pricingService.getPrices([...this.tokens, this.wflow])
+    ]);
+    const priceOf = (token) => Object.entries(prices).find(([a]) => a.toLowerCase() === token.toLowerCase())?.[1];
+
+    let totalUsd = 0;
+    holders.forEach((holder, h) => {
+      holder.native = natives[h];
+      holder.nativeUsd = this.toUsd(natives[h], priceOf(this.wflow), 18);
+      holder.tokens = this.tokens.map((token, t) => {
+        const balance = BigNumber.from(erc20Interface.decodeFunctionResult('balanceOf', res.returnData[h * this.tokens.length + t])[0]);
+        const decimals = this.decimals.get(token.toLowerCase());
+        return { token, symbol: getTokenSymbol(token), balance, decimals, usd: this.toUsd(balance, priceOf(token), decimals) };
+      }).filter(t => t.balance.gt(0));
+      holder.totalUsd = holder.nativeUsd + holder.tokens.reduce((sum, t) => sum + t.usd, 0);
+      totalUsd += holder.totalUsd;
+    });
+
+    this.lastTally = { holders, totalUsd, at: Date.now() };
+    return this.lastTally;
+  }
+
+  /**
+   * Best route an EOA can send for token -> targetAsset
+   * @returns {Object|null} { kind, hops, amountOut, minOut }
+   */
+  async findConversion(token, amount) {
+    const routes = await this.routeFinder.quoteRoutes(token, this.targetAsset, amount);
+    const route = routes.find(r => EOA_ROUTE_KINDS.includes(r.kind));
+    if (!route) return null;
+    return { ...route, minOut: route.amountOut.mul(10000 - this.slippageBps).div(10000) };
+  }
+
+  /**
+   * approve (if needed) + swap txs for a conversion
+   * @returns {Array<Object>} [{ request, label }]
+   */
+  async buildConversionTxs(wallet, token, amount, route) {
+    const tokens = [route.hops[0].tokenIn, ...route.hops.map(h => h.tokenOut)];
+    let spender;
+    let swap;
+    if (route.kind === 'v2') {
+      spender = this.routeFinder.v2Router;
+      const router = new utils.Interface(ABIS.V2_ROUTER);
+      const deadline = Math.floor(Date.now() / 1000) + SWAP_DEADLINE_SECONDS;
+      swap = { to: spender, data: router.encodeFunctionData('swapExactTokensForTokens', [amount, route.minOut, tokens, wallet, deadline]) };
+    } else {
+      const hop = route.hops[0];
+      spender = hop.pool;
+      const pool = new utils.Interface(ABIS.STABLEKITTY);
+      swap = { to: spender, data: pool.encodeFunctionData('exchange', [hop.i, hop.j, amount, route.minOut, wallet]) };
+    }
+
+    const txs = [];
+    const allowance = await new Contract(token, ABIS.ERC20, this.provider).allowance(wallet, spender);
+    if (allowance.lt(amount)) {
+      txs.push({ request: { to: token, data: erc20Interface.encodeFunctionData('approve', [spender, amount]) }, label: `approve ${getTokenSymbol(token)}` });
+    }
+    txs.push({ request: swap, label: `convert ${getTokenSymbol(token)}` });
+    return txs;
+  }
+
+  /**
+   * Send through the key's TxManager (shares its nonces with liquidations) and wait
+   * @returns {string} tx hash
+   */
+  async sendAndWait(manager, { request, label }) {
+    const tx = await manager.send(request, `treasury ${label}`);
+    await tx.wait();
+    return tx.hash;
+  }
+
+  /**
+   * Convert, then sweep, for one key
+   */
+  async processWallet(manager, holder) {
+    const wallet = manager.address;
+
+    for (const held of holder.tokens) {
+      if (held.token === this.targetAsset || held.usd < this.minConvertUsd) continue;
+      const route = await this.findConversion(held.token, held.balance).catch(() => null);
+      if (!route) {
+        console.log(`[Treasury] No EOA route ${held.symbol} → ${getTokenSymbol(this.targetAsset)}, keeping ${utils.formatUnits(held.balance, held.decimals)}`);
+        continue;
+      }
+
+      const action = { action: 'convert', wallet, token: held.token, amount: held.balance, decimals: held.decimals, usd: held.usd, route: this.routeFinder.describe(route), dryRun: this.dryRun };
+      if (this.dryRun) {
+        await this.onAction(action);
+        continue;
+      }
+      try {
+        let txHash = null;
+        for (const tx of await this.buildConversionTxs(wallet, held.token, held.balance, route)) {
+          txHash = await this.sendAndWait(manager, tx);
+        }
+        await this.onAction({ ...action, txHash });
+      } catch (err) {
+        console.error(`[Treasury] Convert ${held.symbol} failed: ${err.message?.slice(0, 80)}`);
+        await this.onAction({ ...action, error: err.message?.slice(0, 100) });
+      }
+    }
+
+    if (!this.coldAddress) return;
+
+    // Target asset: re-read after the conversions (dry run: what is held now)
+    const target = new Contract(this.targetAsset, ABIS.ERC20, this.provider);
+    const targetBalance = this.dryRun
+      ? holder.tokens.find(t => t.token === this.targetAsset)?.balance || BigNumber.from(0)
+      : await target.balanceOf(wallet);
+    const targetDecimals = this.decimals.get(this.targetAsset.toLowerCase());
+    const targetUsd = this.toUsd(targetBalance, await this.pricingService.getPrice(this.targetAsset), targetDecimals);
+    if (targetUsd >= this.minSweepUsd) {
+      await this.sweep(manager, {
+        token: this.targetAsset,
+        amount: targetBalance,
+        decimals: targetDecimals,
+        usd: targetUsd,
+        request: { to: this.targetAsset, data: erc20Interface.encodeFunctionData('transfer', [this.coldAddress, targetBalance]) }
+      });
+    }
+
+    // Native FLOW above the gas reserve
+    const native = this.dryRun ? holder.native : await this.provider.getBalance(wallet);
+    const excess = native.sub(this.gasReserve);
+    if (excess.gt(0)) {
+      const usd = this.toUsd(excess, await this.pricingService.getPrice(this.wflow), 18);
+      if (usd >= this.minSweepUsd) {
+        await this.sweep(manager, { token: null, amount: excess, decimals: 18, usd, request: { to: this.coldAddress, value: excess } });
+      }
+    }
+  }
+
+  async sweep(manager, { token, amount, decimals, usd, request }) {
+    const action = { action: 'sweep', wallet: manager.address, token, amount, decimals, usd, to: this.coldAddress, dryRun: this.dryRun };
+    if (this.dryRun) {
+      await this.onAction(action);
+      return;
+    }
+    try {
+      const txHash = await this.sendAndWait(manager, { request, label: `sweep ${token ? getTokenSymbol(token) : 'FLOW'}` });
+      await this.onAction({ ...action, txHash });
+    } catch (err) {
+      console.error(`[Treasury] Sweep failed: ${err.message?.slice(0, 80)}`);
+      await this.onAction({ ...action, error: err.message?.slice(0, 100) });
+    }
+  }
+
+  /**
+   * Tally, convert and sweep every idle key; overlapping calls share one run
+   */
+  async run() {
+    if (this.running) return this.running;
+    this.running = (async () => {
+      const tally = await this.tally();
+      console.log(`[Treasury] Holdings ~$${tally.totalUsd.toFixed(2)}${this.dryRun ? ' (dry run)' : ''}`);
+      const managers = this.walletPool.managers;
+      for (const holder of tally.holders.filter(h => h.kind === 'wallet')) {
+        const manager = managers.find(m => m.address === holder.address);
+        if (!this.walletPool.reserve(manager)) {
+          console.log(`[Treasury] ${holder.address} busy (${manager.pending.size} pending), skipped this run`);
+          continue;
+        }
+        try {
+          await this.processWallet(manager, holder);
+        } finally {
+          this.walletPool.release(manager);
+        }
+      }
+      return tally;
+    })().finally(() => { this.running = null; });
+    return this.running;
+  }
+}
+
+module.exports = Treasury;
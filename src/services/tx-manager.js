@@ -0,0 +1,280 @@
+/**
+ * Transaction manager - local nonce and pending-tx tracking for one signer
+ *
+ * Hands out nonces locally so independent liquidations can be in flight at
+ * the same time instead of one tx.wait() after another. Every sent tx stays
+ * in `pending` until mined. One that isn't included within stuckAfterBlocks
+ * is re-checked with its `resimulate` hook: still worth it -> re-sent with
+ * the same nonce and a higher fee (never above its `maxPricePerGas`), no
+ * longer worth it -> the nonce is taken by a 0-value self-transfer (cancel),
+ * can't tell (hook threw, e.g. RPC error) -> left as is until the next check.
+ * After a send error, or a tx given up on after MAX_WAIT_MS, the nonce is
+ * resynced from the chain.
+ */
+const { Wallet, BigNumber } = require('ethers');
+const { sleep } = require('../utils/helpers');
+
+const STUCK_AFTER_BLOCKS = 3;
+const BUMP_PERCENT = 15;        // nodes want >= 10% to accept a replacement
+const MAX_REPLACEMENTS = 3;
+const MAX_WAIT_MS = 5 * 60 * 1000;
+const RECEIPT_POLL_MS = 1000;
+const CANCEL_GAS_LIMIT = 21000;
+
+const NONCE_ERRORS = ['nonce too low', 'nonce has already been used', 'already known', 'replacement transaction underpriced', 'NONCE_EXPIRED'];
+
+function isNonceError(err) {
+  const message = `${err.code || ''} ${err.message || ''} ${err.error?.message || ''}`;
+  return NONCE_ERRORS.some(e => message.includes(e));
+}
+
+class TxManager {
+  /**
+   * @param {Object} options
+   * @param {Object} options.provider - tx provider
+   * @param {string} options.privateKey - signer key
+   * @param {number} options.stuckAfterBlocks - blocks without inclusion before a replacement / cancel
+   * @param {number} options.bumpPercent - gas price increase per replacement
+   * @param {number} options.maxReplacements
+   */
+  constructor({ provider, privateKey, stuckAfterBlocks = STUCK_AFTER_BLOCKS, bumpPercent = BUMP_PERCENT, maxReplacements = MAX_REPLACEMENTS }) {
+    this.provider = provider;
+    this.wallet = new Wallet(privateKey, provider);
+    this.address = this.wallet.address;
+    this.stuckAfterBlocks = stuckAfterBlocks;
+    this.bumpPercent = bumpPercent;
+    this.maxReplacements = maxReplacements;
+
+    this.nonce = null;     // next nonce to hand out, null = resync first
+    this.syncing = null;
+    this.pending = new Map(); // nonce -> { request, hashes, label, sentAt, sentBlock, replacements, cancelHash, ... }
+  }
+
+  /**
+   * Next nonce from the chain (pending block)
+   */
+  async syncNonce() {
+    this.nonce = await this.provider.getTransactionCount(this.address, 'pending');
+    return this.nonce;
+  }
+
+  async nextNonce() {
+    while (this.nonce === null) {
+      if (!this.syncing) this.syncing = this.syncNonce().finally(() => { this.syncing = null; });
+      await this.syncing;
+    }
+    return this.nonce++;
+  }
+
+  /**
+   * Sign and broadcast a populated tx with a local nonce
+   * @param {Object} request - populateTransaction() output plus gas fields
+   * @param {string} label - shown in logs / getPending()
+   * @param {Object} watch - stuck-tx handling
+   * @param {Function} watch.resimulate - async () => bool, false = cancel instead of bumping,
+   *        throws = undecided (keep waiting)
+   * @param {BigNumber} watch.maxPricePerGas - replacements never bid above this (profit cap)
+   * @returns {Object} { hash, nonce, wait() } - wait() resolves with the receipt of whichever replacement was mined,
+   *          and throws with err.cancelled = true when the cancel tx took the nonce
+   */
+  async send(request, label = 'tx', { resimulate = null, maxPricePerGas = null } = {}) {
+    const nonce = await this.nextNonce();
+    const sentBlock = await this.provider.getBlockNumber().catch(() => null);
+    let response;
+    try {
+      response = await this.wallet.sendTransaction({ ...request, nonce });
+    } catch (err) {
+      // Give the nonce back if nothing was handed out after it, otherwise resync
+      if (!isNonceError(err) && this.nonce === nonce + 1) {
+        this.nonce = nonce;
+      } else {
+        this.nonce = null;
+      }
+      console.log(`[TxManager] Send failed (${label}, nonce ${nonce}): ${err.message?.slice(0, 80)}`);
+      throw err;
+    }
+
+    this.pending.set(nonce, {
+      request: { ...request, nonce },
+      hashes: [response.hash],
+      label,
+      sentAt: Date.now(),
+      sentBlock,
+      replacements: 0,
+      resimulate,
+      maxPricePerGas,
+      cancelHash: null
+    });
+
+    return {
+      hash: response.hash,
+      nonce,
+      wait: () => this.wait(nonce)
+    };
+  }
+
+  /**
+   * Fee fields of `request` raised by bumpPercent (and to the current gas price for legacy txs)
+   */
+  async bumpFees(request) {
+    const bump = (value) => BigNumber.from(value).mul(100 + this.bumpPercent).div(100);
+    if (request.maxFeePerGas) {
+      return {
+        maxFeePerGas: bump(request.maxFeePerGas),
+        maxPriorityFeePerGas: bump(request.maxPriorityFeePerGas || 0)
+      };
+    }
+    const current = await this.provider.getGasPrice();
+    const bumped = bump(request.gasPrice || current);
+    return { gasPrice: bumped.gt(current) ? bumped : current };
+  }
+
+  /**
+   * Same nonce, higher fee
+   * @returns {boolean} false when the bump would exceed the tx's maxPricePerGas
+   */
+  async replace(nonce) {
+    const entry = this.pending.get(nonce);
+    const request = { ...entry.request, ...(await this.bumpFees(entry.request)) };
+
+    const price = request.maxFeePerGas || request.gasPrice;
+    if (entry.maxPricePerGas && price.gt(entry.maxPricePerGas)) {
+      console.log(`[TxManager] Not bumping ${entry.label} (nonce ${nonce}): next fee above profit cap`);
+      return false;
+    }
+
+    try {
+      const response = await this.wallet.sendTransaction(request);
+      entry.request = request;
+      entry.hashes.push(response.hash);
+      entry.replacements++;
+      console.log(`[TxManager] Replaced ${entry.label} (nonce ${nonce}) → ${response.hash}`);
+    } catch (err) {
+      // Usually the original was mined meanwhile; the receipt poll sorts it out
+      console.log(`[TxManager] Replacement failed (nonce ${nonce}): ${err.message?.slice(0, 80)}`);
+    }
+    return true;
+  }
+
+  /**
+   * Take the nonce with a 0-value transfer to self, priced above the pending tx
+   */
+  async cancel(nonce) {
+    const entry = this.pending.get(nonce);
+    const request = {
+      to: this.address,
+      value: 0,
+      data: '0x',
+      nonce,
+      gasLimit: CANCEL_GAS_LIMIT,
+      ...(await this.bumpFees(entry.request))
+    };
+    if (entry.request.type !== undefined) request.type = entry.request.type;
+
+    try {
+      const response = await this.wallet.sendTransaction(request);
+      entry.hashes.push(response.hash);
+      entry.cancelHash = response.hash;
+      console.log(`[TxManager] Cancelling ${entry.label} (nonce ${nonce}) → ${response.hash}`);
+    } catch (err) {
+      console.log(`[TxManager] Cancel failed (nonce ${nonce}): ${err.message?.slice(0, 80)}`);
+    }
+  }
+
+  /**
+   * Stuck for stuckAfterBlocks: re-simulate, then bump or cancel
+   */
+  async handleStuck(nonce) {
+    const entry = this.pending.get(nonce);
+    let stillValid = true;
+    if (entry.resimulate) {
+      try {
+        stillValid = await entry.resimulate();
+      } catch (err) {
+        console.log(`[TxManager] Re-simulating ${entry.label} (nonce ${nonce}) inconclusive, keeping it: ${err.message?.slice(0, 60)}`);
+        return;
+      }
+    }
+
+    if (!stillValid) {
+      console.log(`[TxManager] ${entry.label} (nonce ${nonce}) no longer valid after ${this.stuckAfterBlocks} blocks`);
+      await this.cancel(nonce);
+      return;
+    }
+    if (entry.replacements < this.maxReplacements) {
+      await this.replace(nonce);
+    }
+  }
+
+  /**
+   * Receipt of any of the hashes sent for this nonce
+   * Throws like ethers' tx.wait() (err.receipt) when the mined tx reverted,
+   * and with err.cancelled when the cancel tx was mined instead.
+   * Past MAX_WAIT_MS the nonce is cancelled and dropped (resync) before throwing.
+   */
+  async wait(nonce) {
+    const entry = this.pending.get(nonce);
+    if (!entry) throw new Error(`No pending tx with nonce ${nonce}`);
+
+    const deadline = entry.sentAt + MAX_WAIT_MS;
+    let checkAtBlock = entry.sentBlock === null ? null : entry.sentBlock + this.stuckAfterBlocks;
+
+    while (Date.now() < deadline) {
+      const receipts = await Promise.all(entry.hashes.map(h => this.provider.getTransactionReceipt(h).catch(() => null)));
+      const receipt = receipts.find(r => r && r.blockNumber);
+      if (receipt) {
+        this.pending.delete(nonce);
+        if (receipt.transactionHash === entry.cancelHash) {
+          const err = new Error(`transaction cancelled (${receipt.transactionHash})`);
+          err.cancelled = true;
+          err.receipt = receipt;
+          throw err;
+        }
+        if (receipt.status === 0) {
+          const err = new Error(`transaction reverted (${receipt.transactionHash})`);
+          err.receipt = receipt;
+          err.transactionHash = receipt.transactionHash;
+          throw err;
+        }
+        return receipt;
+      }
+
+      // Nonce used by a tx we don't know about (sent elsewhere)
+      const mined = await this.provider.getTransactionCount(this.address, 'latest').catch(() => 0);
+      if (mined > nonce && entry.checkedConsumed) {
+        this.pending.delete(nonce);
+        this.nonce = null;
+        throw new Error(`Nonce ${nonce} consumed by another transaction`);
+      }
+      entry.checkedConsumed = mined > nonce; // one more poll for our receipt to show up
+
+      // Once cancelled there is nothing left to decide; wait for either tx
+      if (!entry.cancelHash) {
+        const blockNumber = await this.provider.getBlockNumber().catch(() => null);
+        if (blockNumber !== null && checkAtBlock === null) checkAtBlock = blockNumber + this.stuckAfterBlocks;
+        if (blockNumber !== null && blockNumber >= checkAtBlock) {
+          await this.handleStuck(nonce);
+          checkAtBlock = blockNumber + this.stuckAfterBlocks;
+        }
+      }
+      await sleep(RECEIPT_POLL_MS);
+    }
+
+    // Give up: take the nonce back and let the next send resync from the chain
+    if (!entry.cancelHash) await this.cancel(nonce);
+    this.pending.delete(nonce);
+    this.nonce = null;
+    throw new Error(`Transaction ${entry.label} (nonce ${nonce}) not mined after ${MAX_WAIT_MS / 1000}s`);
+  }
+
+  /**
+   * Pending txs, oldest first
+   */
+  getPending() {
+    return Array.from(this.pending.entries())
+      .sort((a, b) => a[0] - b[0])
+      .map(([nonce, e]) => ({ nonce, label: e.label, hash: e.hashes[e.hashes.length - 1], ageMs: Date.now() - e.sentAt, replacements: e.replacements, cancelling: !!e.cancelHash }));
+  }
+}
+
+module.exports = TxManager;
@@ -0,0 +1,209 @@
+/**
+ * V3 quoter - exact local simulation of a UniswapV3 (FlowSwap) exact-input swap
+ *
+ * Reads slot0, liquidity, the tick bitmap and the liquidityNet of every
+ * initialized tick via multicall, then walks ticks with the same maths as
+ * UniswapV3Pool.swap(). Bitmap words are loaded lazily in the swap direction,
+ * so a large liquidation that crosses many ticks costs a few extra calls
+ * instead of being quoted at the starting price.
+ */
+const { BigNumber, utils } = require('ethers');
+const { ABIS } = require('../constants');
+const {
+  MIN_TICK,
+  MAX_TICK,
+  MIN_SQRT_RATIO,
+  MAX_SQRT_RATIO,
+  FEE_DENOMINATOR,
+  getSqrtRatioAtTick,
+  getTickAtSqrtRatio,
+  computeSwapStep,
+  bitmapPosition,
+  compressTick,
+  nextInitializedTickWithinOneWord,
+} = require('../utils/v3-math');
+
+const poolInterface = new utils.Interface(ABIS.V3_POOL);
+
+const STATE_MAX_AGE_MS = 5000;
+const WORDS_PER_LOAD = 4;
+const MAX_WORDS_PER_SWAP = 64;
+const Q192 = 1n << 192n;
+
+class V3Quoter {
+  /**
+   * @param {Object} options
+   * @param {Contract} options.multicall - Multicall contract (aggregate)
+   * @param {number} options.maxAgeMs - how long a pool snapshot is reused
+   */
+  constructor({ multicall, maxAgeMs = STATE_MAX_AGE_MS }) {
+    this.multicall = multicall;
+    this.maxAgeMs = maxAgeMs;
+    this.pools = new Map(); // pool (lowercase) -> state
+  }
+
+  setProvider(provider, multicall) {
+    this.multicall = multicall;
+    this.pools.clear();
+  }
+
+  async aggregate(target, calls) {
+    const res = await this.multicall.callStatic.aggregate(calls.map(([fn, args]) => ({
+      target,
+      callData: poolInterface.encodeFunctionData(fn, args)
+    })));
+    return calls.map(([fn], idx) => poolInterface.decodeFunctionResult(fn, res.returnData[idx]));
+  }
+
+  /**
+   * Pool snapshot (cached for maxAgeMs)
+   */
+  async loadPool(address) {
+    const key = address.toLowerCase();
+    const cached = this.pools.get(key);
+    if (cached && Date.now() - cached.loadedAt < this.maxAgeMs) return cached;
+
+    const [[token0], [token1], [fee], [tickSpacing], slot0, [liquidity]] = await this.aggregate(address, [
+      ['token0', []],
+      ['token1', []],
+      ['fee', []],
+      ['tickSpacing', []],
+      ['slot0', []],
+      ['liquidity', []]
+    ]);
+
+    const state = {
+      address,
+      token0: token0.toLowerCase(),
+      token1: token1.toLowerCase(),
+      fee: Number(fee),
+      tickSpacing: Number(tickSpacing),
+      sqrtPriceX96: BigInt(slot0.sqrtPriceX96.toString()),
+      tick: Number(slot0.tick),
+      liquidity: BigInt(liquidity.toString()),
+      words: new Map(),  // wordPos -> bigint bitmap
+      ticks: new Map(),  // tick -> bigint liquidityNet
+      loadedAt: Date.now()
+    };
+
+    const { wordPos } = bitmapPosition(compressTick(state.tick, state.tickSpacing));
+    await this.loadWords(state, [wordPos - 1, wordPos, wordPos + 1]);
+
+    this.pools.set(key, state);
+    return state;
+  }
+
+  /**
+   * Load bitmap words and the liquidityNet of every tick initialized in them
+   */
+  async loadWords(state, wordPositions) {
+    const missing = wordPositions.filter(w => !state.words.has(w));
+    if (missing.length === 0) return;
+
+    const words = await this.aggregate(state.address, missing.map(w => ['tickBitmap', [w]]));
+    const initializedTicks = [];
+    missing.forEach((wordPos, idx) => {
+      const word = BigInt(words[idx][0].toString());
+      state.words.set(wordPos, word);
+      for (let bit = 0; bit < 256; bit++) {
+        if ((word >> BigInt(bit)) & 1n) initializedTicks.push(((wordPos << 8) + bit) * state.tickSpacing);
+      }
+    });
+    if (initializedTicks.length === 0) return;
+
+    const ticks = await this.aggregate(state.address, initializedTicks.map(t => ['ticks', [t]]));
+    initializedTicks.forEach((tick, idx) => {
+      state.ticks.set(tick, BigInt(ticks[idx].liquidityNet.toString()));
+    });
+  }
+
+  /**
+   * Exact-input quote
+   * @param {string} pool - V3 pool address
+   * @param {string} tokenIn
+   * @param {BigNumber|bigint|string} amountIn
+   * @returns {Object} { amountOut, amountInUsed, feeAmount, sqrtPriceX96After, tickAfter,
+   *                     ticksCrossed, priceImpactBps, partial }
+   *          partial = the pool ran out of liquidity (or words) before amountIn was used up
+   */
+  async quote(pool, tokenIn, amountIn) {
+    const state = await this.loadPool(pool);
+    const zeroForOne = tokenIn.toLowerCase() === state.token0;
+    const spacing = state.tickSpacing;
+    const limit = zeroForOne ? MIN_SQRT_RATIO + 1n : MAX_SQRT_RATIO - 1n;
+
+    const total = BigInt(amountIn.toString());
+    let remaining = total;
+    let amountOut = 0n;
+    let feeAmount = 0n;
+    let sqrtPrice = state.sqrtPriceX96;
+    let tick = state.tick;
+    let liquidity = state.liquidity;
+    let ticksCrossed = 0;
+    let wordsWalked = 0;
+
+    while (remaining > 0n && sqrtPrice !== limit) {
+      // Make sure the word the next lookup reads is loaded
+      const { wordPos } = bitmapPosition(compressTick(tick, spacing) + (zeroForOne ? 0 : 1));
+      if (!state.words.has(wordPos)) {
+        if (wordsWalked >= MAX_WORDS_PER_SWAP) break;
+        const ahead = Array.from({ length: WORDS_PER_LOAD }, (_, i) => (zeroForOne ? wordPos - i : wordPos + i));
+        await this.loadWords(state, ahead);
+        wordsWalked += WORDS_PER_LOAD;
+      }
+
+      let { next, initialized } = nextInitializedTickWithinOneWord(
+        w => state.words.get(w), tick, spacing, zeroForOne
+      );
+      if (next < MIN_TICK) next = MIN_TICK;
+      if (next > MAX_TICK) next = MAX_TICK;
+
+      const sqrtNext = getSqrtRatioAtTick(next);
+      const target = zeroForOne
+        ? (sqrtNext < limit ? limit : sqrtNext)
+        : (sqrtNext > limit ? limit : sqrtNext);
+
+      const stepStart = sqrtPrice;
+      const step = computeSwapStep(sqrtPrice, target, liquidity, remaining, state.fee);
+      sqrtPrice = step.sqrtNext;
+      remaining -= step.amountIn + step.feeAmount;
+      amountOut += step.amountOut;
+      feeAmount += step.feeAmount;
+
+      if (sqrtPrice === sqrtNext) {
+        if (initialized) {
+          const liquidityNet = state.ticks.get(next) || 0n;
+          liquidity = zeroForOne ? liquidity - liquidityNet : liquidity + liquidityNet;
+          ticksCrossed++;
+        }
+        tick = zeroForOne ? next - 1 : next;
+      } else if (sqrtPrice !== stepStart) {
+        tick = getTickAtSqrtRatio(sqrtPrice);
+      }
+    }
+
+    return {
+      amountOut: BigNumber.from(amountOut.toString()),
+      amountInUsed: BigNumber.from((total - remaining).toString()),
+      feeAmount: BigNumber.from(feeAmount.toString()),
+      sqrtPriceX96After: BigNumber.from(sqrtPrice.toString()),
+      tickAfter: tick,
+      ticksCrossed,
+      priceImpactBps: this.priceImpactBps(state, zeroForOne, total, amountOut),
+      partial: remaining > 0n
+    };
+  }
+
+  /**
+   * Shortfall vs. the starting mid price, after the pool fee, in bps
+   */
+  priceImpactBps(state, zeroForOne, amountIn, amountOut) {
+    const lessFee = amountIn * (FEE_DENOMINATOR - BigInt(state.fee)) / FEE_DENOMINATOR;
+    const priceX192 = state.sqrtPriceX96 * state.sqrtPriceX96;
+    const spotOut = zeroForOne ? lessFee * priceX192 / Q192 : lessFee * Q192 / priceX192;
+    if (spotOut === 0n || amountOut >= spotOut) return 0;
+    return Number((spotOut - amountOut) * 10000n / spotOut);
+  }
+}
+
+module.exports = V3Quoter;
@@ -0,0 +1,140 @@
+/**
+ * Wallet pool - several liquidator hot keys, each with its own TxManager
+ *
+ * Work is handed out round-robin or to the key with the fewest pending txs.
+ * Each key's FLOW balance is tracked; a key below the gas floor is taken out
+ * of rotation until it is topped up, so one empty or stuck key doesn't block
+ * the others. A key can also be reserved (treasury conversions / sweeps),
+ * which keeps it out of acquire() until released.
+ */
+const TxManager = require('./tx-manager');
+
+const BALANCE_MAX_AGE_MS = 30000;
+
+class WalletPool {
+  /**
+   * @param {Object} options
+   * @param {Object} options.provider - tx provider
+   * @param {Array<string>} options.privateKeys
+   * @param {BigNumber} options.minGasBalance - FLOW (wei) below which a key leaves rotation
+   * @param {string} options.selection - 'least-pending' (default) or 'round-robin'
+   * @param {Function} options.onStatusChange - ({ address, active, balance }) when a key enters/leaves rotation
+   * @param {Object} options.txOptions - extra TxManager options (stuckAfterBlocks, bumpPercent, ...)
+   */
+  constructor({ provider, privateKeys, minGasBalance, selection = 'least-pending', onStatusChange, txOptions = {} }) {
+    if (!privateKeys || privateKeys.length === 0) throw new Error('WalletPool needs at least one key');
+    this.provider = provider;
+    this.minGasBalance = minGasBalance;
+    this.selection = selection;
+    this.onStatusChange = onStatusChange || (() => {});
+    this.members = privateKeys.map(privateKey => ({
+      manager: new TxManager({ ...txOptions, provider, privateKey }),
+      balance: null,
+      active: true,
+      reserved: false,
+      checkedAt: 0
+    }));
+    this.cursor = 0;
+    this.refreshing = null;
+  }
+
+  /**
+   * First key - default receiver / report wallet
+   */
+  get primary() {
+    return this.members[0].manager;
+  }
+
+  get size() {
+    return this.members.length;
+  }
+
+  /**
+   * Every key's TxManager, in or out of rotation
+   */
+  get managers() {
+    return this.members.map(m => m.manager);
+  }
+
+  /**
+   * Re-read every key's FLOW balance and update rotation
+   */
+  async refreshBalances() {
+    if (this.refreshing) return this.refreshing;
+    this.refreshing = (async () => {
+      const balances = await Promise.all(this.members.map(m => this.provider.getBalance(m.manager.address).catch(() => null)));
+      this.members.forEach((member, idx) => {
+        if (!balances[idx]) return;
+        const active = balances[idx].gte(this.minGasBalance);
+        const changed = active !== member.active;
+        member.balance = balances[idx];
+        member.active = active;
+        member.checkedAt = Date.now();
+        if (changed) {
+          console.log(`[WalletPool] ${member.manager.address} ${active ? 'back in' : 'out of'} rotation`);
+          this.onStatusChange({ address: member.manager.address, active, balance: member.balance });
+        }
+      });
+    })().finally(() => { this.refreshing = null; });
+    return this.refreshing;
+  }
+
+  /**
+   * Key for the next liquidation
+   * @returns {TxManager}
+   */
+  async acquire() {
+    if (this.members.some(m => Date.now() - m.checkedAt >= BALANCE_MAX_AGE_MS)) {
+      await this.refreshBalances();
+    }
+
+    const active = this.members.filter(m => m.active && !m.reserved);
+    if (active.length === 0) {
+      throw new Error(this.members.some(m => m.active) ? 'Every liquidator wallet is reserved' : 'No liquidator wallet above the gas floor');
+    }
+
+    let chosen;
+    if (this.selection === 'round-robin') {
+      chosen = active[this.cursor % active.length];
+    } else {
+      // Fewest pending txs; ties rotate so load spreads evenly
+      const offset = this.cursor % active.length;
+      const rotated = active.slice(offset).concat(active.slice(0, offset));
+      chosen = rotated.reduce((best, m) => (m.manager.pending.size < best.manager.pending.size ? m : best));
+    }
+    this.cursor++;
+    return chosen.manager;
+  }
+
+  /**
+   * Take an idle key out of acquire() until release()
+   * @param {TxManager} manager
+   * @returns {boolean} false when the key has pending txs or is already reserved
+   */
+  reserve(manager) {
+    const member = this.members.find(m => m.manager === manager);
+    if (!member || member.reserved || member.manager.pending.size > 0) return false;
+    member.reserved = true;
+    return true;
+  }
+
+  release(manager) {
+    const member = this.members.find(m => m.manager === manager);
+    if (member) member.reserved = false;
+  }
+
+  /**
+   * Per-key status for reports
+   */
+  getStatus() {
+    return this.members.map(m => ({
+      address: m.manager.address,
+      balance: m.balance,
+      active: m.active,
+      reserved: m.reserved,
+      pending: m.manager.pending.size
+    }));
+  }
+}
+
+module.exports = WalletPool;
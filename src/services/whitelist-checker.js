@@ -0,0 +1,225 @@
+/**
+ * Whitelist checker - which venues the Liquidation contracts accept
+ *
+ * The contract only swaps through whitelisted routers (`whitelists`), flash
+ * swaps from whitelisted V2 pairs (`whitelistedPairs`) and flashes from
+ * whitelisted V3 pools (`whitelistedV3Pools`); anything else reverts with
+ * NotWhitelisted / NotPair / NotV3Pool after the strategy was built and
+ * simulated. The known venues are read for every bot at startup and on an
+ * interval, so strategies that would use a missing one are dropped up front
+ * and the owner gets a list of what to whitelist.
+ */
+const { utils, constants: ethersConstants } = require('ethers');
+const LiquidationAbi = require('../../abis/Liquidation.json');
+const { POOLS_CONFIG } = require('../../liquidity');
+const { EISEN_FORWARDER } = require('../../eisen');
+const { STABLEKITTY_POOLS } = require('../constants');
+
+const liquidationInterface = new utils.Interface(LiquidationAbi);
+
+// venue kind -> contract mapping getter
+const VENUE_METHODS = {
+  router: 'whitelists',
+  pair: 'whitelistedPairs',
+  v3Pool: 'whitelistedV3Pools'
+};
+// venue kind -> owner setter
+const VENUE_SETTERS = {
+  router: 'setWhitelist',
+  pair: 'setWhitelistedPair',
+  v3Pool: 'setWhitelistedV3Pool'
+};
+
+class WhitelistChecker {
+  /**
+   * @param {Object} options
+   * @param {Contract} options.multicall - Multicall contract (aggregate)
+   * @param {Array<string>} options.bots - Liquidation contract addresses
+   * @param {Array<Object>} options.venues - { kind: 'router' | 'pair' | 'v3Pool', address, label }
+   */
+  constructor({ multicall, bots, venues }) {
+    this.multicall = multicall;
+    this.bots = [...new Set(bots.map(b => b.toLowerCase()))];
+    this.venues = venues;
+    this.labels = new Map(venues.map(v => [`${v.kind}|${v.address.toLowerCase()}`, v.label]));
+
+    this.status = new Map(); // bot|kind|address -> bool
+    this.checkedAt = 0;
+  }
+
+  setProvider(multicall) {
+    this.multicall = multicall;
+  }
+
+  key(bot, kind, address) {
+    return `${bot.toLowerCase()}|${kind}|${address.toLowerCase()}`;
+  }
+
+  /**
+   * Read the mappings for the given (bot, kind, address) triples, one multicall
+   */
+  async read(checks) {
+    if (checks.length === 0) return;
+    const res = await this.multicall.callStatic.aggregate(checks.map(({ bot, kind, address }) => ({
+      target: bot,
+      callData: liquidationInterface.encodeFunctionData(VENUE_METHODS[kind], [address])
+    })));
+    checks.forEach(({ bot, kind, address }, i) => {
+      const [whitelisted] = liquidationInterface.decodeFunctionResult(VENUE_METHODS[kind], res.returnData[i]);
+      this.status.set(this.key(bot, kind, address), whitelisted);
+    });
+  }
+
+  /**
+   * Re-read every known venue for every bot, plus those read on demand
+   * @returns {boolean} whether the missing list changed since the last refresh
+   */
+  async refresh() {
+    const before = this.describeMissing();
+    const checks = new Map();
+    for (const bot of this.bots) {
+      for (const { kind, address } of this.venues) checks.set(this.key(bot, kind, address), { bot, kind, address });
+    }
+    for (const key of this.status.keys()) {
+      const [bot, kind, address] = key.split('|');
+      checks.set(key, { bot, kind, address });
+    }
+    await this.read(Array.from(checks.values()));
+    this.checkedAt = Date.now();
+
+    const missing = this.getMissingVenues();
+    console.log(`[Whitelist] ${checks.size - missing.length}/${checks.size} venue checks whitelisted`);
+    return this.describeMissing() !== before;
+  }
+
+  /**
+   * @returns {boolean|null} null when the venue hasn't been read yet
+   */
+  isWhitelisted(bot, kind, address) {
+    const value = this.status.get(this.key(bot, kind, address));
+    return value === undefined ? null : value;
+  }
+
+  /**
+   * Known venues that aren't whitelisted, per bot
+   * @returns {Array<Object>} { bot, kind, address, label }
+   */
+  getMissingVenues() {
+    const missing = [];
+    for (const [key, whitelisted] of this.status) {
+      if (whitelisted) continue;
+      const [bot, kind, address] = key.split('|');
+      missing.push({ bot, kind, address, label: this.labels.get(`${kind}|${address}`) || null });
+    }
+    return missing;
+  }
+
+  describeMissing() {
+    return this.getMissingVenues().map(m => `${m.bot}|${m.kind}|${m.address}`).sort().join(',');
+  }
+
+  /**
+   * Drop flash sources the bot can't use (strategy context, see findFlashSources)
+   */
+  filterFlashSources(bot, sources) {
+    const filtered = { ...sources };
+    if (sources.v2Pool && this.isWhitelisted(bot, 'pair', sources.v2Pool) === false) {
+      filtered.v2Pool = null;
+    }
+    if (sources.v3Pool && this.isWhitelisted(bot, 'v3Pool', sources.v3Pool) === false) {
+      filtered.v3Pool = null;
+      filtered.v3Fee = null;
+    }
+    return filtered;
+  }
+
+  /**
+   * Venues a built strategy hands to the contract
+   * @param {Object} params - strategy buildParams() output
+   * @returns {Array<Object>} { kind, address }
+   */
+  usedVenues(params) {
+    return [
+      params.v2Pool && { kind: 'pair', address: params.v2Pool },
+      params.v3Pool && { kind: 'v3Pool', address: params.v3Pool },
+      { kind: 'router', address: params.sParamToRepayLoan?.router },
+      { kind: 'router', address: params.sParamToSendToReceiver?.router }
+    ].filter(v => v && v.address && v.address !== ethersConstants.AddressZero);
+  }
+
+  /**
+   * Venues a built strategy would use that the bot doesn't accept
+   * Addresses outside the known list (e.g. a router an API returned) are read
+   * on demand and cached.
+   * @param {string} bot
+   * @param {Object} params - strategy buildParams() output
+   * @returns {Array<Object>} { kind, address, label }
+   */
+  async getMissing(bot, params) {
+    const used = this.usedVenues(params);
+
+    const unknown = used.filter(v => this.isWhitelisted(bot, v.kind, v.address) === null);
+    if (unknown.length > 0) {
+      try {
+        await this.read(unknown.map(v => ({ bot, ...v })));
+      } catch (err) {
+        // Can't tell - let the simulation decide
+        console.log(`[Whitelist] On-demand check failed: ${err.message?.slice(0, 60)}`);
+      }
+    }
+
+    return used
+      .filter(v => this.isWhitelisted(bot, v.kind, v.address) === false)
+      .map(v => ({ ...v, label: this.labels.get(`${v.kind}|${v.address.toLowerCase()}`) || null }));
+  }
+
+  /**
+   * What the owner needs to whitelist, grouped by bot
+   * @returns {string} empty when everything is whitelisted
+   */
+  report() {
+    const missing = this.getMissingVenues();
+    if (missing.length === 0) return '';
+
+    const lines = [];
+    for (const bot of this.bots) {
+      const forBot = missing.filter(m => m.bot === bot);
+      if (forBot.length === 0) continue;
+      lines.push(`Bot ${bot}:`);
+      forBot.forEach(m => lines.push(`  ${VENUE_SETTERS[m.kind]}(${m.address}, true)${m.label ? ` - ${m.label}` : ''}`));
+    }
+    return lines.join('\n');
+  }
+}
+
+/**
+ * Every router / pair / V3 pool a strategy may hand to the Liquidation contract
+ * @param {Object} config - bot config (contracts.*, whitelist.extra: [{ kind, address, label }])
+ * @returns {Array<Object>} { kind, address, label }
+ */
+WhitelistChecker.collectVenues = (config) => {
+  const venues = new Map(); // kind|address -> venue
+  const add = (kind, address, label) => {
+    if (address) venues.set(`${kind}|${address.toLowerCase()}`, { kind, address, label });
+  };
+
+  Object.entries(POOLS_CONFIG.v2Pairs).forEach(([name, p]) => add('pair', p.address, `PunchSwap ${name}`));
+  Object.entries(POOLS_CONFIG.v3Pools).forEach(([name, p]) => add('v3Pool', p.address, `FlowSwap ${name}`));
+  Object.entries(POOLS_CONFIG.pyusd0 || {}).forEach(([name, p]) => {
+    if (p.type.toLowerCase() === 'v2') add('pair', p.address, `PunchSwap ${name}`);
+    else if (p.type.toLowerCase() === 'v3') add('v3Pool', p.address, `FlowSwap ${name}`);
+  });
+  Object.entries({ ...POOLS_CONFIG.stableKitty, ...STABLEKITTY_POOLS }).forEach(([name, p]) => add('router', p.address, `StableKitty ${name}`));
+  add('router', config.contracts.punchswap?.router, 'PunchSwap router');
+  add('router', config.contracts.flowswap?.router, 'FlowSwap router');
+  add('router', config.contracts.aggrokitty, 'AggroKitty');
+  add('router', config.contracts.eisen_forwarder || EISEN_FORWARDER, 'Eisen forwarder');
+  (config.whitelist?.extra || []).forEach(v => add(v.kind, v.address, v.label || 'config'));
+
+  return Array.from(venues.values());
+};
+
+WhitelistChecker.VENUE_METHODS = VENUE_METHODS;
+WhitelistChecker.VENUE_SETTERS = VENUE_SETTERS;
+
+module.exports = WhitelistChecker;
@@ -1,7 +1,9 @@
 /**
  * Base Strategy class - all strategies extend this
  */
-const { BigNumber } = require('ethers');
+const { Contract, BigNumber } = require('ethers');
+const { LIQUIDATION, ABIS } = require('../constants');
+const { applySlippage } = require('../utils/helpers');
 
 /**
  * Base class for liquidation strategies
@@ -15,6 +17,7 @@ class BaseStrategy {
     this.name = name;
     this.fee = config.fee || 0;       // Fee in basis points
     this.priority = config.priority || 100;  // Lower = higher priority
+    this.gasEstimate = BigNumber.from(config.gasEstimate || LIQUIDATION.ESTIMATED_GAS); // sum of GAS parts
   }
 
   /**
@@ -83,6 +86,33 @@ class BaseStrategy {
     }
   }
 
+  /**
+   * Quote a swap through a V2 router (getAmountsOut)
+   * @param {Object} provider
+   * @param {string} router
+   * @param {Array<string>} path - token path, e.g. [collateral, debt]
+   * @param {BigNumber} amountIn
+   * @returns {BigNumber|null} output of the last hop, null if the router has no route
+   */
+  async quoteV2(provider, router, path, amountIn) {
+    try {
+      const amounts = await new Contract(router, ABIS.V2_ROUTER, provider).getAmountsOut(amountIn, path);
+      return BigNumber.from(amounts[amounts.length - 1]);
+    } catch (err) {
+      console.log(`[${this.name}] Quote error: ${err.message?.slice(0, 50)}`);
+      return null;
+    }
+  }
+
+  /**
+   * Min swap output: quote minus slippage, but never below what repays the loan
+   * (anything less would revert on repayment anyway)
+   */
+  getMinOutput(quote, totalNeeded, slippageBps) {
+    const withSlippage = applySlippage(quote, slippageBps);
+    return withSlippage.gt(totalNeeded) ? withSlippage : totalNeeded;
+  }
+
   /**
    * Get estimated fee in basis points
    * @returns {number}
@@ -91,6 +121,29 @@ class BaseStrategy {
     return this.fee;
   }
 
+  /**
+   * Gas one execution of the built params uses
+   * Fixed per strategy; strategies whose route varies override it.
+   * @param {Object} params - output from buildParams()
+   * @returns {BigNumber}
+   */
+  estimateGas(params) {
+    return this.gasEstimate;
+  }
+
+  /**
+   * Gas cost of one execution, in USD
+   * @param {BigNumber} gasPrice - wei
+   * @param {BigNumber} flowPrice - oracle price of WFLOW (8 decimals)
+   * @param {Object} params - output from buildParams()
+   * @returns {number}
+   */
+  estimateGasUsd(gasPrice, flowPrice, params) {
+    if (!gasPrice || !flowPrice) return 0;
+    const costWei = this.estimateGas(params).mul(gasPrice);
+    return Number(costWei.mul(flowPrice).div(BigNumber.from(10).pow(18)).toString()) / 1e8;
+  }
+
   /**
    * Get display info for this strategy
    * @returns {{ name: string, emoji: string }}
@@ -109,8 +162,9 @@ class BaseStrategy {
    * @returns {BigNumber} estimated profit in debt token
    */
   async estimateProfit(context, debtToCover) {
-    // Default implementation: liquidation bonus - fees
-    const bonus = debtToCover.mul(5).div(100); // 5% liquidation bonus
+    // Default implementation: liquidation bonus (net of protocol fee) - fees
+    const netBonus = BigNumber.from(context.netBonus || 10000n + LIQUIDATION.LIQUIDATION_BONUS_BPS);
+    const bonus = debtToCover.mul(netBonus.sub(10000)).div(10000);
     const fees = debtToCover.mul(this.fee).div(10000);
     return bonus.sub(fees);
   }
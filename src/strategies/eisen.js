@@ -2,7 +2,7 @@
  * Eisen Strategy - fallback using Eisen API for optimal routing
  */
 const BaseStrategy = require('./base');
-const { Strategy, STRATEGY_INFO, FEES, TOKENS } = require('../constants');
+const { Strategy, STRATEGY_INFO, FEES, GAS, TOKENS } = require('../constants');
 const {
   buildLiquidationParams,
 } = require('../utils/encoding');
@@ -19,6 +19,7 @@ class EisenStrategy extends BaseStrategy {
   constructor() {
     super(Strategy.EISEN_FLASH_LOAN, {
       fee: 50,     // ~0.5% estimated (varies by route)
+      gasEstimate: GAS.LIQUIDATION + GAS.MORE_FLASH_LOAN + GAS.AGGREGATOR_SWAP,
       priority: 99 // Lowest priority - fallback
     });
   }
@@ -2,17 +2,19 @@
  * Strategy Executor - common execution logic for all strategies
  */
 const { BigNumber } = require('ethers');
-const { calculateGasMultiplier, shortAddr } = require('../utils/helpers');
+const { shortAddr } = require('../utils/helpers');
+const FeeEstimator = require('../services/fee-estimator');
 
 /**
  * Execute a liquidation using the given strategy
  * @param {BaseStrategy} strategy - strategy instance
  * @param {Object} params - output from strategy.buildParams()
- * @param {Object} options - { contract, wallet, gasPrice, profitUsd }
+ * @param {Object} options - { contract, wallet, provider, profitUsd, flowPrice, feeEstimator }
  * @returns {Object} { success, txHash, receipt, error }
  */
 async function executeStrategy(strategy, params, options) {
-  const { contract, wallet, provider, profitUsd = 10 } = options;
+  const { contract, wallet, provider, profitUsd = 10, flowPrice = options.market?.flowPrice } = options;
+  const feeEstimator = options.feeEstimator || new FeeEstimator({ provider });
 
   const methodName = strategy.getContractMethod();
   const args = strategy.getMethodArgs(params);
@@ -26,18 +28,17 @@ async function executeStrategy(strategy, params, options) {
     });
     console.log(`[${strategy.name}] Simulation OK`);
 
-    // 2. Get gas price with dynamic multiplier
-    const gasPrice = await provider.getGasPrice();
-    const gasMultiplier = calculateGasMultiplier(profitUsd);
-    const adjustedGasPrice = gasPrice.mul(gasMultiplier).div(100);
+    // 2. Estimate gas and fees (capped at a share of the expected profit)
+    const gasLimit = await feeEstimator.estimateGasLimit(contract, methodName, args, wallet.address);
+    const fees = await feeEstimator.getFees({ gasLimit, profitUsd, flowPrice });
+    if (!fees.affordable) {
+      throw new Error(`Gas above ${feeEstimator.maxProfitShareBps / 100}% of expected profit`);
+    }
 
-    console.log(`[${strategy.name}] Sending tx (gas: ${gasMultiplier / 100}x)...`);
+    console.log(`[${strategy.name}] Sending tx (gas: ${feeEstimator.describe(fees)})...`);
 
     // 3. Execute
-    const tx = await contract.connect(wallet)[methodName](...args, {
-      gasLimit: 4000000,
-      gasPrice: adjustedGasPrice
-    });
+    const tx = await contract.connect(wallet)[methodName](...args, fees.overrides);
 
     console.log(`[${strategy.name}] Tx sent: ${tx.hash}`);
 
@@ -1,12 +1,14 @@
 /**
  * Strategies module - exports all strategies and manager
  */
+const { BigNumber } = require('ethers');
 const BaseStrategy = require('./base');
 const { executeStrategy, tryStrategiesInOrder, simulateStrategy } = require('./executor');
 const { StableKittyMoreStrategy, StableKittyV3Strategy } = require('./stablekitty');
 const { V2FlashSwapStrategy } = require('./v2-flash');
 const { V3FlashStrategy } = require('./v3-flash');
 const { V2DirectMoreStrategy, V3DirectStrategy } = require('./v2-direct');
+const { RoutedMoreStrategy } = require('./routed');
 const { EisenStrategy } = require('./eisen');
 
 /**
@@ -21,7 +23,8 @@ function getAllStrategies() {
     new V3FlashStrategy(),           // 4. V3 flash
     new V2DirectMoreStrategy(),      // 5. MORE flash + V2 swap
     new V3DirectStrategy(),          // 6. V3 flash + V2 swap
-    new EisenStrategy(),             // 7. Fallback - always works
+    new RoutedMoreStrategy(),        // 7. MORE flash + multi-hop / split route
+    new EisenStrategy(),             // 8. Fallback - always works
   ].sort((a, b) => a.priority - b.priority);
 }
 
@@ -33,6 +36,21 @@ function getApplicableStrategies(context) {
   return getAllStrategies().filter(s => s.canHandle(context));
 }
 
+/**
+ * Oracle USD value of a token amount (price in 8 decimals)
+ */
+function toUsd(amount, price, decimals) {
+  if (!amount || !price) return 0;
+  const value = BigNumber.from(amount.toString()).mul(price).div(BigNumber.from(10).pow(decimals));
+  return Number(value.toString()) / 1e8;
+}
+
+function priceOf(prices, asset) {
+  if (!prices || !asset) return null;
+  const key = Object.keys(prices).find(k => k.toLowerCase() === asset.toLowerCase());
+  return key ? prices[key] : null;
+}
+
 /**
  * Strategy Manager - high-level interface for executing liquidations
  */
@@ -43,33 +61,82 @@ class StrategyManager {
   }
 
   /**
-   * Execute a liquidation using the best available strategy
+   * Build params for every applicable strategy in parallel and rank them
+   * Reward (params.estimatedReward, in params.rewardAsset - debt token by
+   * default) is valued at oracle prices, minus each strategy's gas cost.
+   * Strategies that fail to build are dropped; ties go to the lower price
+   * impact (params.priceImpactBps, when the swap was quoted exactly), then
+   * keep priority order.
+   * @param {Object} context - liquidation context
+   * @param {Object} market - { prices: asset -> BigNumber (8 dec), gasPrice, flowPrice }
+   * @param {Function} skip - optional (strategy) => true to leave a strategy out (e.g. blacklisted)
+   * @returns {Array<{ strategy, params, rewardUsd, gasUsd, netProfitUsd, priceImpactBps }>} best first
+   */
+  async rankStrategies(context, market = {}, skip = null) {
+    const applicable = this.strategies.filter(s => s.canHandle(context) && !(skip && skip(s)));
+    if (applicable.length === 0) return [];
+
+    const built = await Promise.all(applicable.map(async (strategy) => {
+      try {
+        return { strategy, params: await strategy.buildParams(context) };
+      } catch (err) {
+        console.log(`[StrategyManager] ${strategy.name} build error: ${err.message?.slice(0, 80)}`);
+        return { strategy, params: null };
+      }
+    }));
+
+    const ranked = built
+      .filter(({ params }) => params)
+      .map(({ strategy, params }) => {
+        const rewardAsset = params.rewardAsset || context.debtAsset;
+        const decimals = rewardAsset.toLowerCase() === context.collateralAsset.toLowerCase()
+          ? context.collateralDecimals
+          : context.debtDecimals;
+        const rewardUsd = toUsd(params.estimatedReward, priceOf(market.prices, rewardAsset), decimals);
+        const gasUsd = strategy.estimateGasUsd(market.gasPrice, market.flowPrice, params);
+        const priceImpactBps = params.priceImpactBps ?? null;
+        return { strategy, params, rewardUsd, gasUsd, netProfitUsd: rewardUsd - gasUsd, priceImpactBps };
+      });
+
+    return ranked.sort((a, b) => {
+      if (b.netProfitUsd !== a.netProfitUsd) return b.netProfitUsd - a.netProfitUsd;
+      if (a.priceImpactBps === null || b.priceImpactBps === null) return 0;
+      return a.priceImpactBps - b.priceImpactBps;
+    });
+  }
+
+  /**
+   * Execute a liquidation using the most profitable strategy first
+   * @param {Object} executionOptions - executeStrategy() options, plus optional `market` for rankStrategies()
    */
   async execute(context, executionOptions) {
-    const applicable = this.strategies.filter(s => s.canHandle(context));
+    const ranked = await this.rankStrategies(context, executionOptions.market);
 
-    if (applicable.length === 0) {
+    if (ranked.length === 0) {
       console.log('[StrategyManager] No applicable strategies found');
       return { success: false, error: 'No applicable strategies' };
     }
 
-    console.log(`[StrategyManager] ${applicable.length} applicable strategies: ${applicable.map(s => s.name).join(', ')}`);
+    console.log(`[StrategyManager] Ranked: ${ranked.map(r => `${r.strategy.name} $${r.netProfitUsd.toFixed(2)}`).join(', ')}`);
+
+    const errors = [];
+    for (const { strategy, params, netProfitUsd } of ranked) {
+      const result = await executeStrategy(strategy, params, { ...executionOptions, profitUsd: netProfitUsd });
+      if (result.success) {
+        return { success: true, result, usedStrategy: strategy.name, estimatedReward: params.estimatedReward };
+      }
+      errors.push({ strategy: strategy.name, error: result.error });
+    }
 
-    return tryStrategiesInOrder(applicable, context, executionOptions);
+    return { success: false, result: null, usedStrategy: null, errors };
   }
 
   /**
    * Get the best strategy for a liquidation without executing
    */
-  async getBestStrategy(context) {
-    const applicable = this.strategies.filter(s => s.canHandle(context));
-
-    if (applicable.length === 0) {
-      return null;
-    }
-
-    // Return highest priority (lowest number)
-    return applicable[0];
+  async getBestStrategy(context, market) {
+    const ranked = await this.rankStrategies(context, market);
+    return ranked.length > 0 ? ranked[0].strategy : null;
   }
 
   /**
@@ -114,6 +181,7 @@ module.exports = {
   V3FlashStrategy,
   V2DirectMoreStrategy,
   V3DirectStrategy,
+  RoutedMoreStrategy,
   EisenStrategy,
   executeStrategy,
   tryStrategiesInOrder,
@@ -0,0 +1,146 @@
+/**
+ * Routed Strategy - MORE flash loan + multi-hop / split route from the RouteFinder
+ */
+const { BigNumber } = require('ethers');
+const BaseStrategy = require('./base');
+const { Strategy, STRATEGY_INFO, FEES, GAS } = require('../constants');
+const {
+  buildEmptySwapParams,
+  buildLiquidationParams,
+} = require('../utils/encoding');
+const { formatUnits } = require('../utils/helpers');
+
+/**
+ * Routed + MORE Flash Loan Strategy
+ * Uses execute() with MORE flash loan and whichever executable route (V2
+ * multi-hop, V3, StableKitty or AggroKitty) pays the most. When a split beats
+ * the best single route, only the first leg is liquidated here and the rest is
+ * left for follow-up liquidations - the contract swaps through one route per tx.
+ * When debtToCover was sized by the SizeSolver, its route (context.solvedRoute)
+ * is executed as is: the amount is only optimal on that route.
+ */
+class RoutedMoreStrategy extends BaseStrategy {
+  constructor() {
+    super(Strategy.ROUTED_MORE, {
+      fee: 35,     // 0.05% flash + swap fees along the route
+      gasEstimate: GAS.LIQUIDATION + GAS.MORE_FLASH_LOAN + GAS.V2_HOP, // one V2 hop; estimateGas() counts the route
+      priority: 7
+    });
+  }
+
+  getDisplayInfo() {
+    return STRATEGY_INFO[Strategy.ROUTED_MORE];
+  }
+
+  getContractMethod() {
+    return 'execute';
+  }
+
+  /**
+   * Can handle when a route finder is available and a swap is needed
+   */
+  canHandle(context) {
+    const { collateralAsset, debtAsset, routeFinder } = context;
+
+    if (!routeFinder) {
+      return false;
+    }
+
+    return collateralAsset.toLowerCase() !== debtAsset.toLowerCase();
+  }
+
+  async buildParams(context) {
+    const {
+      collateralAsset,
+      debtAsset,
+      user,
+      debtToCover,
+      expectedCollateral,
+      debtDecimals,
+      routeFinder,
+      solvedRoute,
+      contractAddress,
+      receiver,
+      slippageBps = 300n // Default 3%
+    } = context;
+
+    const split = solvedRoute
+      ? await this.quoteSolvedRoute(routeFinder, solvedRoute, expectedCollateral)
+      : await routeFinder.findSplit(collateralAsset, debtAsset, expectedCollateral);
+    if (!split) {
+      console.log('[Routed] No executable route');
+      return null;
+    }
+
+    // Largest leg first; a single-leg split is just the best route
+    const leg = split.legs.sort((a, b) => b.share - a.share)[0];
+    const amount = split.legs.length > 1 ? debtToCover.mul(Math.round(leg.share * 100)).div(100) : debtToCover;
+    if (split.legs.length > 1) {
+      console.log(`[Routed] Split across ${split.legs.length} routes, liquidating ${leg.share * 100}% now`);
+    }
+
+    const flashLoanFee = amount.mul(FEES.FLASH_LOAN_PREMIUM_BPS).div(10000n);
+    const totalNeeded = amount.add(flashLoanFee);
+
+    if (leg.amountOut.lte(totalNeeded)) {
+      console.log(`[Routed] Quote can't cover repayment: ${formatUnits(leg.amountOut, debtDecimals)} <= ${formatUnits(totalNeeded, debtDecimals)}`);
+      return null;
+    }
+
+    const estimatedReward = leg.amountOut.sub(totalNeeded);
+    console.log(`[Routed] ${routeFinder.describe(leg)} → reward ${formatUnits(estimatedReward, debtDecimals)}, impact ${leg.priceImpactBps}bps`);
+
+    const lParam = buildLiquidationParams(
+      collateralAsset,
+      debtAsset,
+      user,
+      amount
+    );
+
+    const minOutput = this.getMinOutput(leg.amountOut, totalNeeded, slippageBps);
+    const sParamToRepayLoan = routeFinder.encode(leg, leg.amountIn, minOutput, contractAddress);
+
+    // Empty second swap - receive reward in debt token
+    const sParamToSendToReceiver = buildEmptySwapParams();
+
+    return {
+      lParam,
+      sParamToRepayLoan,
+      sParamToSendToReceiver,
+      receiver,
+      estimatedReward,
+      quote: leg.amountOut,
+      priceImpactBps: leg.priceImpactBps,
+      route: leg,
+      split
+    };
+  }
+
+  /**
+   * Flash loan plus every hop of the route being sent (AggroKitty adds its adapter per hop)
+   */
+  estimateGas(params) {
+    const hops = params?.route?.hops;
+    if (!hops) return super.estimateGas(params);
+    const hopGas = { v2: GAS.V2_HOP, v3: GAS.V3_HOP, stablekitty: GAS.STABLEKITTY_HOP };
+    let gas = GAS.LIQUIDATION + GAS.MORE_FLASH_LOAN;
+    for (const hop of hops) {
+      gas += hopGas[hop.type] || GAS.V3_HOP;
+      if (params.route.kind === 'aggrokitty') gas += GAS.AGGROKITTY_HOP;
+    }
+    return BigNumber.from(gas);
+  }
+
+  /**
+   * The SizeSolver's route re-quoted at the final collateral amount, as a one-leg split
+   */
+  async quoteSolvedRoute(routeFinder, route, amountIn) {
+    const leg = await routeFinder.quoteRoute(route, amountIn);
+    if (!leg) return null;
+    return { amountIn: leg.amountIn, amountOut: leg.amountOut, legs: [{ ...leg, share: 1 }] };
+  }
+}
+
+module.exports = {
+  RoutedMoreStrategy,
+};
@@ -2,12 +2,13 @@
  * StableKitty Strategy - for stable↔stable liquidations
  * Uses Curve-style pools with very low slippage
  */
-const { Contract, BigNumber } = require('ethers');
+const { Contract } = require('ethers');
 const BaseStrategy = require('./base');
 const {
   STABLEKITTY_POOLS,
   ABIS,
   FEES,
+  GAS,
   Strategy,
   STRATEGY_INFO
 } = require('../constants');
@@ -19,6 +20,38 @@ const {
 } = require('../utils/encoding');
 const { isStableSwap, applySlippage } = require('../utils/helpers');
 
+/**
+ * Quote the StableKitty swap for a liquidation
+ * debtToCover was already sized by the SizeSolver, so the full amount is quoted:
+ * locally with the offline simulator (context.stableSwap), otherwise (or for a
+ * pool the simulator disabled) with one on-chain get_dy.
+ * @returns {Object|null} { debtToCover, amountIn, quote, priceImpactBps }
+ */
+async function quoteStableKitty(context, pool, tag) {
+  const { debtToCover, expectedCollateral, provider, stableSwap } = context;
+
+  if (!stableSwap || !(await stableSwap.isEnabled(pool.address))) {
+    try {
+      const stableContract = new Contract(pool.address, ABIS.STABLEKITTY, provider);
+      const quote = await stableContract.get_dy(pool.inputIndex, pool.outputIndex, expectedCollateral);
+      return { debtToCover, amountIn: expectedCollateral, quote, priceImpactBps: null };
+    } catch (err) {
+      console.log(`[${tag}] Quote error: ${err.message?.slice(0, 50)}`);
+      return null;
+    }
+  }
+
+  try {
+    const { amountOut, priceImpactBps } = await stableSwap.quote(
+      pool.address, pool.inputIndex, pool.outputIndex, expectedCollateral
+    );
+    return { debtToCover, amountIn: expectedCollateral, quote: amountOut, priceImpactBps };
+  } catch (err) {
+    console.log(`[${tag}] Simulator error: ${err.message?.slice(0, 50)}`);
+    return null;
+  }
+}
+
 /**
  * StableKitty + MORE Flash Loan Strategy
  */
@@ -26,6 +59,7 @@ class StableKittyMoreStrategy extends BaseStrategy {
   constructor() {
     super(Strategy.STABLEKITTY_MORE, {
       fee: 6,      // ~0.06% total (0.05% flash + 0.01% stablekitty)
+      gasEstimate: GAS.LIQUIDATION + GAS.MORE_FLASH_LOAN + GAS.STABLEKITTY_HOP,
       priority: 1  // Highest priority for stable↔stable
     });
   }
@@ -58,9 +92,6 @@ class StableKittyMoreStrategy extends BaseStrategy {
       collateralAsset,
       debtAsset,
       user,
-      debtToCover,
-      expectedCollateral,
-      provider,
       contractAddress,
       receiver
     } = context;
@@ -73,19 +104,11 @@ class StableKittyMoreStrategy extends BaseStrategy {
     }
 
     // Get quote from StableKitty
-    const stableContract = new Contract(pool.address, ABIS.STABLEKITTY, provider);
-
-    let stableQuote;
-    try {
-      stableQuote = await stableContract.get_dy(
-        pool.inputIndex,
-        pool.outputIndex,
-        expectedCollateral
-      );
-    } catch (err) {
-      console.log(`[StableKitty] Quote error: ${err.message?.slice(0, 50)}`);
+    const quoted = await quoteStableKitty(context, pool, 'StableKitty');
+    if (!quoted) {
       return null;
     }
+    const { debtToCover, amountIn, quote: stableQuote, priceImpactBps } = quoted;
 
     // Calculate total needed (debt + flash loan fee)
     const flashLoanFee = debtToCover.mul(FEES.FLASH_LOAN_PREMIUM_BPS).div(10000n);
@@ -113,7 +136,7 @@ class StableKittyMoreStrategy extends BaseStrategy {
 
     const sParamToRepayLoan = buildStableKittySwapParams(
       pool,
-      expectedCollateral,
+      amountIn,
       minOutput,
       contractAddress
     );
@@ -127,6 +150,8 @@ class StableKittyMoreStrategy extends BaseStrategy {
       sParamToSendToReceiver,
       receiver,
       estimatedReward,
+      quote: stableQuote,
+      priceImpactBps,
       pool
     };
   }
@@ -139,6 +164,7 @@ class StableKittyV3Strategy extends BaseStrategy {
   constructor() {
     super(Strategy.STABLEKITTY_V3, {
       fee: 2,      // ~0.02% total (0.01% v3 flash + 0.01% stablekitty)
+      gasEstimate: GAS.LIQUIDATION + GAS.V3_FLASH + GAS.STABLEKITTY_HOP,
       priority: 2  // Second priority for stable↔stable
     });
   }
@@ -159,7 +185,7 @@ class StableKittyV3Strategy extends BaseStrategy {
     }
 
     const pool = findStableKittyPool(collateralAsset, debtAsset);
-    return pool !== null && v3Pool !== null;
+    return pool !== null && !!v3Pool;
   }
 
   async buildParams(context) {
@@ -167,11 +193,8 @@ class StableKittyV3Strategy extends BaseStrategy {
       collateralAsset,
       debtAsset,
       user,
-      debtToCover,
-      expectedCollateral,
       v3Pool,
       v3Fee,
-      provider,
       contractAddress,
       receiver
     } = context;
@@ -183,19 +206,11 @@ class StableKittyV3Strategy extends BaseStrategy {
     }
 
     // Get quote from StableKitty
-    const stableContract = new Contract(stablePool.address, ABIS.STABLEKITTY, provider);
-
-    let stableQuote;
-    try {
-      stableQuote = await stableContract.get_dy(
-        stablePool.inputIndex,
-        stablePool.outputIndex,
-        expectedCollateral
-      );
-    } catch (err) {
-      console.log(`[StableKitty+V3] Quote error: ${err.message?.slice(0, 50)}`);
+    const quoted = await quoteStableKitty(context, stablePool, 'StableKitty+V3');
+    if (!quoted) {
       return null;
     }
+    const { debtToCover, amountIn, quote: stableQuote, priceImpactBps } = quoted;
 
     // Calculate total needed (debt + V3 flash fee)
     const v3FeeBps = v3Fee || 30; // Default to 0.3%
@@ -219,7 +234,7 @@ class StableKittyV3Strategy extends BaseStrategy {
 
     const sParamToRepayLoan = buildStableKittySwapParams(
       stablePool,
-      expectedCollateral,
+      amountIn,
       minOutput,
       contractAddress
     );
@@ -233,6 +248,8 @@ class StableKittyV3Strategy extends BaseStrategy {
       v3Pool,
       receiver,
       estimatedReward,
+      quote: stableQuote,
+      priceImpactBps,
       pool: stablePool
     };
   }
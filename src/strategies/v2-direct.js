@@ -3,13 +3,13 @@
  */
 const { BigNumber } = require('ethers');
 const BaseStrategy = require('./base');
-const { Strategy, STRATEGY_INFO, FEES } = require('../constants');
+const { Strategy, STRATEGY_INFO, FEES, GAS } = require('../constants');
 const {
   buildV2SwapParams,
   buildEmptySwapParams,
   buildLiquidationParams,
 } = require('../utils/encoding');
-const { applySlippage, isStableSwap } = require('../utils/helpers');
+const { isStableSwap, formatUnits } = require('../utils/helpers');
 
 /**
  * V2 Direct + MORE Flash Loan Strategy
@@ -19,6 +19,7 @@ class V2DirectMoreStrategy extends BaseStrategy {
   constructor() {
     super(Strategy.V2_DIRECT_MORE, {
       fee: 35,     // 0.05% flash + 0.3% V2 swap
+      gasEstimate: GAS.LIQUIDATION + GAS.MORE_FLASH_LOAN + GAS.V2_HOP,
       priority: 5
     });
   }
@@ -58,6 +59,8 @@ class V2DirectMoreStrategy extends BaseStrategy {
       user,
       debtToCover,
       expectedCollateral,
+      debtDecimals,
+      provider,
       punchswapRouter,
       contractAddress,
       receiver,
@@ -68,9 +71,15 @@ class V2DirectMoreStrategy extends BaseStrategy {
     const flashLoanFee = debtToCover.mul(FEES.FLASH_LOAN_PREMIUM_BPS).div(10000n);
     const totalNeeded = debtToCover.add(flashLoanFee);
 
-    // Estimate reward (~5% liquidation bonus minus slippage)
-    const slippageFactor = 10000n - BigInt(slippageBps);
-    const estimatedReward = expectedCollateral.mul(5).div(100).mul(slippageFactor).div(10000n);
+    // Quote collateral → debt on the router path we will actually use
+    const quote = await this.quoteV2(provider, punchswapRouter, [collateralAsset, debtAsset], expectedCollateral);
+    if (!quote || quote.lte(totalNeeded)) {
+      console.log(`[V2Direct] Quote can't cover repayment: ${formatUnits(quote, debtDecimals)} <= ${formatUnits(totalNeeded, debtDecimals)}`);
+      return null;
+    }
+
+    // Reward stays in the debt token
+    const estimatedReward = quote.sub(totalNeeded);
 
     // Build params
     const lParam = buildLiquidationParams(
@@ -80,8 +89,8 @@ class V2DirectMoreStrategy extends BaseStrategy {
       debtToCover
     );
 
-    // Swap collateral → debt via V2 router with DYNAMIC slippage
-    const minOutput = applySlippage(totalNeeded, slippageBps);
+    // Swap collateral → debt via V2 router with DYNAMIC slippage off the quote
+    const minOutput = this.getMinOutput(quote, totalNeeded, slippageBps);
     const sParamToRepayLoan = buildV2SwapParams(
       collateralAsset,
       debtAsset,
@@ -98,7 +107,8 @@ class V2DirectMoreStrategy extends BaseStrategy {
       sParamToRepayLoan,
       sParamToSendToReceiver,
       receiver,
-      estimatedReward
+      estimatedReward,
+      quote
     };
   }
 }
@@ -111,6 +121,7 @@ class V3DirectStrategy extends BaseStrategy {
   constructor() {
     super(Strategy.V3_DIRECT, {
       fee: 31,     // ~0.01-0.3% flash + 0.3% V2 swap
+      gasEstimate: GAS.LIQUIDATION + GAS.V3_FLASH + GAS.V2_HOP,
       priority: 6
     });
   }
@@ -144,8 +155,10 @@ class V3DirectStrategy extends BaseStrategy {
       user,
       debtToCover,
       expectedCollateral,
+      debtDecimals,
       v3Pool,
       v3Fee,
+      provider,
       punchswapRouter,
       contractAddress,
       receiver,
@@ -157,8 +170,13 @@ class V3DirectStrategy extends BaseStrategy {
     const flashFee = debtToCover.mul(feeBps).div(1000000n);
     const totalNeeded = debtToCover.add(flashFee);
 
-    const slippageFactor = 10000n - BigInt(slippageBps);
-    const estimatedReward = expectedCollateral.mul(5).div(100).mul(slippageFactor).div(10000n);
+    const quote = await this.quoteV2(provider, punchswapRouter, [collateralAsset, debtAsset], expectedCollateral);
+    if (!quote || quote.lte(totalNeeded)) {
+      console.log(`[V3Direct] Quote can't cover repayment: ${formatUnits(quote, debtDecimals)} <= ${formatUnits(totalNeeded, debtDecimals)}`);
+      return null;
+    }
+
+    const estimatedReward = quote.sub(totalNeeded);
 
     const lParam = buildLiquidationParams(
       collateralAsset,
@@ -167,8 +185,8 @@ class V3DirectStrategy extends BaseStrategy {
       debtToCover
     );
 
-    // Dynamic slippage
-    const minOutput = applySlippage(totalNeeded, slippageBps);
+    // Dynamic slippage off the quote
+    const minOutput = this.getMinOutput(quote, totalNeeded, slippageBps);
     const sParamToRepayLoan = buildV2SwapParams(
       collateralAsset,
       debtAsset,
@@ -185,7 +203,8 @@ class V3DirectStrategy extends BaseStrategy {
       sParamToSendToReceiver,
       v3Pool,
       receiver,
-      estimatedReward
+      estimatedReward,
+      quote
     };
   }
 }
@@ -3,13 +3,13 @@
  */
 const { BigNumber } = require('ethers');
 const BaseStrategy = require('./base');
-const { Strategy, STRATEGY_INFO, FEES } = require('../constants');
+const { Strategy, STRATEGY_INFO, GAS } = require('../constants');
 const {
   buildV2SwapParams,
   buildEmptySwapParams,
   buildLiquidationParams,
 } = require('../utils/encoding');
-const { applySlippage } = require('../utils/helpers');
+const { formatUnits } = require('../utils/helpers');
 
 /**
  * V2 Flash Swap Strategy
@@ -19,6 +19,7 @@ class V2FlashSwapStrategy extends BaseStrategy {
   constructor() {
     super(Strategy.V2_FLASH_SWAP, {
       fee: 30,     // 0.3% V2 flash swap fee
+      gasEstimate: GAS.LIQUIDATION + GAS.V2_FLASH_SWAP + GAS.V2_HOP,
       priority: 3
     });
   }
@@ -56,20 +57,28 @@ class V2FlashSwapStrategy extends BaseStrategy {
       user,
       debtToCover,
       expectedCollateral,
+      debtDecimals,
       v2Pool,
+      provider,
       punchswapRouter,
       contractAddress,
       receiver,
       slippageBps = 300n // Default 3%
     } = context;
 
-    // Calculate flash swap fee (0.3%)
-    const flashSwapFee = debtToCover.mul(FEES.FLASH_SWAP_FEE_BPS).div(10000n);
-    const totalNeeded = debtToCover.add(flashSwapFee);
+    // Flash swap repayment: the pair's K check needs amount * 1000 / 997 back
+    const totalNeeded = debtToCover.mul(1000n).div(997n).add(1);
 
-    // Estimate reward with slippage consideration
-    const slippageFactor = 10000n - BigInt(slippageBps);
-    const estimatedReward = expectedCollateral.mul(5).div(100).mul(slippageFactor).div(10000n);
+    // Quote collateral → debt on the router path we will actually use
+    const quote = await this.quoteV2(provider, punchswapRouter, [collateralAsset, debtAsset], expectedCollateral);
+    if (!quote || quote.lte(totalNeeded)) {
+      console.log(`[V2FlashSwap] Quote can't cover repayment: ${formatUnits(quote, debtDecimals)} <= ${formatUnits(totalNeeded, debtDecimals)}`);
+      return null;
+    }
+
+    // Reward stays in the debt token
+    const estimatedReward = quote.sub(totalNeeded);
+    console.log(`[V2FlashSwap] Estimated reward: ${formatUnits(estimatedReward, debtDecimals)}`);
 
     // Build params
     const lParam = buildLiquidationParams(
@@ -79,8 +88,8 @@ class V2FlashSwapStrategy extends BaseStrategy {
       debtToCover
     );
 
-    // Swap collateral → debt via V2 router with DYNAMIC slippage
-    const minOutput = applySlippage(totalNeeded, slippageBps);
+    // Swap collateral → debt via V2 router with DYNAMIC slippage off the quote
+    const minOutput = this.getMinOutput(quote, totalNeeded, slippageBps);
     const sParamToRepayLoan = buildV2SwapParams(
       collateralAsset,
       debtAsset,
@@ -98,7 +107,8 @@ class V2FlashSwapStrategy extends BaseStrategy {
       sParamToSendToReceiver,
       v2Pool,
       receiver,
-      estimatedReward
+      estimatedReward,
+      quote
     };
   }
 }
@@ -3,13 +3,13 @@
  */
 const { BigNumber } = require('ethers');
 const BaseStrategy = require('./base');
-const { Strategy, STRATEGY_INFO } = require('../constants');
+const { Strategy, STRATEGY_INFO, GAS } = require('../constants');
 const {
   buildV2SwapParams,
   buildEmptySwapParams,
   buildLiquidationParams,
 } = require('../utils/encoding');
-const { applySlippage } = require('../utils/helpers');
+const { formatUnits } = require('../utils/helpers');
 
 /**
  * V3 Flash Strategy
@@ -19,6 +19,7 @@ class V3FlashStrategy extends BaseStrategy {
   constructor() {
     super(Strategy.V3_FLASH, {
       fee: 30,     // Variable 0.01%-0.3% depending on pool
+      gasEstimate: GAS.LIQUIDATION + GAS.V3_FLASH + GAS.V2_HOP,
       priority: 4
     });
   }
@@ -56,8 +57,10 @@ class V3FlashStrategy extends BaseStrategy {
       user,
       debtToCover,
       expectedCollateral,
+      debtDecimals,
       v3Pool,
       v3Fee,
+      provider,
       punchswapRouter,
       contractAddress,
       receiver,
@@ -69,9 +72,16 @@ class V3FlashStrategy extends BaseStrategy {
     const flashFee = debtToCover.mul(feeBps).div(1000000n);
     const totalNeeded = debtToCover.add(flashFee);
 
-    // Estimate reward with slippage
-    const slippageFactor = 10000n - BigInt(slippageBps);
-    const estimatedReward = expectedCollateral.mul(5).div(100).mul(slippageFactor).div(10000n);
+    // Quote collateral → debt on the V2 router path we will actually use
+    const quote = await this.quoteV2(provider, punchswapRouter, [collateralAsset, debtAsset], expectedCollateral);
+    if (!quote || quote.lte(totalNeeded)) {
+      console.log(`[V3Flash] Quote can't cover repayment: ${formatUnits(quote, debtDecimals)} <= ${formatUnits(totalNeeded, debtDecimals)}`);
+      return null;
+    }
+
+    // Reward stays in the debt token
+    const estimatedReward = quote.sub(totalNeeded);
+    console.log(`[V3Flash] Estimated reward: ${formatUnits(estimatedReward, debtDecimals)}`);
 
     // Build params
     const lParam = buildLiquidationParams(
@@ -81,8 +91,8 @@ class V3FlashStrategy extends BaseStrategy {
       debtToCover
     );
 
-    // Swap collateral → debt via V2 router with DYNAMIC slippage
-    const minOutput = applySlippage(totalNeeded, slippageBps);
+    // Swap collateral → debt via V2 router with DYNAMIC slippage off the quote
+    const minOutput = this.getMinOutput(quote, totalNeeded, slippageBps);
     const sParamToRepayLoan = buildV2SwapParams(
       collateralAsset,
       debtAsset,
@@ -100,7 +110,8 @@ class V3FlashStrategy extends BaseStrategy {
       sParamToSendToReceiver,
       v3Pool,
       receiver,
-      estimatedReward
+      estimatedReward,
+      quote
     };
   }
 }
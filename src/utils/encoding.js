@@ -72,6 +72,32 @@ function buildV3SwapParams(fromToken, toToken, fee, amountIn, minAmountOut, rout
   };
 }
 
+/**
+ * Build V3 multi-hop swap params
+ * Path encoding: token0 + fee0 + token1 + fee1 + token2 ...
+ */
+function buildV3MultiHopSwapParams(path, fees, amountIn, minAmountOut, router) {
+  const types = [];
+  const values = [];
+  path.forEach((token, i) => {
+    types.push('address');
+    values.push(token);
+    if (i < fees.length) {
+      types.push('uint24');
+      values.push(fees[i]);
+    }
+  });
+
+  return {
+    swapType: SwapType.V3,
+    router: router,
+    path: utils.solidityPack(types, values),
+    amountIn: amountIn.toString(),
+    amountOutMin: minAmountOut.toString(),
+    adapters: []
+  };
+}
+
 /**
  * Build StableKitty swap params (Curve-style)
  */
@@ -101,6 +127,22 @@ function buildStableKittySwapParams(pool, amountIn, minAmountOut, receiver) {
   };
 }
 
+/**
+ * Build AggroKitty swap params (token path + one adapter per hop)
+ */
+function buildAggroKittySwapParams(path, adapters, amountIn, minAmountOut, router) {
+  const encodedPath = utils.defaultAbiCoder.encode(['address[]'], [path]);
+
+  return {
+    swapType: SwapType.AggroKitty,
+    router: router,
+    path: encodedPath,
+    amountIn: amountIn.toString(),
+    amountOutMin: minAmountOut.toString(),
+    adapters
+  };
+}
+
 /**
  * Build Eisen/API aggregator swap params
  */
@@ -160,7 +202,9 @@ module.exports = {
   buildV2SwapParams,
   buildV2MultiHopSwapParams,
   buildV3SwapParams,
+  buildV3MultiHopSwapParams,
   buildStableKittySwapParams,
+  buildAggroKittySwapParams,
   buildApiSwapParams,
   buildLiquidationParams,
   findStableKittyPool,
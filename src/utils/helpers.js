@@ -92,6 +92,23 @@ function sleep(ms) {
   return new Promise(resolve => setTimeout(resolve, ms));
 }
 
+/**
+ * Run fn over items with at most `limit` calls in flight
+ * @returns {Array} results in input order
+ */
+async function mapConcurrent(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const idx = next++;
+      results[idx] = await fn(items[idx], idx);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
 /**
  * Retry a function with exponential backoff
  */
@@ -115,6 +132,20 @@ function formatUsd(value) {
   return `$${Number(value).toFixed(2)}`;
 }
 
+/**
+ * Format a duration in ms as e.g. "2d 3h 14m"
+ */
+function formatDuration(ms) {
+  const minutes = Math.floor(ms / 60000);
+  const days = Math.floor(minutes / 1440);
+  const hours = Math.floor((minutes % 1440) / 60);
+  const parts = [];
+  if (days > 0) parts.push(`${days}d`);
+  if (days > 0 || hours > 0) parts.push(`${hours}h`);
+  parts.push(`${minutes % 60}m`);
+  return parts.join(' ');
+}
+
 /**
  * Calculate percentage
  */
@@ -228,8 +259,10 @@ module.exports = {
   calculateOptimalLiquidationAmount,
   findStableKittyPool,
   sleep,
+  mapConcurrent,
   retry,
   formatUsd,
+  formatDuration,
   bpsToPercent,
   applySlippage,
 };
@@ -3,8 +3,14 @@
  */
 const encoding = require('./encoding');
 const helpers = require('./helpers');
+const v3Math = require('./v3-math');
+const stableSwapMath = require('./stableswap-math');
+const revertDecoder = require('./revert-decoder');
 
 module.exports = {
   ...encoding,
   ...helpers,
+  ...v3Math,
+  ...stableSwapMath,
+  ...revertDecoder,
 };
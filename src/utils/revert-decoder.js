@@ -0,0 +1,219 @@
+/**
+ * Revert decoder - turns a failed call / tx error into a structured reason
+ *
+ * Knows the Liquidation contract's custom errors, Error(string) / Panic,
+ * the Aave-style numeric Pool codes, PunchSwap (V2), FlowSwap (V3),
+ * StableKitty and ERC20 messages, and puts each into a category the
+ * blacklist, retries and alerts can act on.
+ */
+const { utils } = require('ethers');
+const LiquidationAbi = require('../../abis/Liquidation.json');
+
+const REVERT_CATEGORY = {
+  NOT_LIQUIDATABLE: 'not-liquidatable',   // healthy, already liquidated, nothing to seize
+  SWAP_SLIPPAGE: 'swap-slippage',         // swap returned less than the loan needs
+  FLASH_LIQUIDITY: 'flash-liquidity',     // flash source can't lend the amount
+  WHITELIST: 'whitelist-missing',         // router / pair / pool not whitelisted on the contract
+  NOT_PROFITABLE: 'not-profitable',       // liquidation went through but left no reward
+  BALANCE: 'insufficient-balance',        // contract short when repaying / transferring
+  CONFIG: 'config',                       // bad params, ownership, paused reserve
+  RPC: 'rpc',                             // node / network problem, not a revert
+  UNKNOWN: 'unknown'
+};
+const C = REVERT_CATEGORY;
+
+const HINTS = {
+  [C.NOT_LIQUIDATABLE]: 'Position healthy or already liquidated - drop it',
+  [C.SWAP_SLIPPAGE]: 'Swap output below the loan repayment - requote or liquidate less',
+  [C.FLASH_LIQUIDITY]: 'Flash source lacks liquidity - use another source or a smaller amount',
+  [C.WHITELIST]: 'Router / pair / pool missing from the contract whitelist',
+  [C.NOT_PROFITABLE]: 'No reward left after repaying - raise min_debt_usd or skip',
+  [C.BALANCE]: 'Contract short on tokens - increase the interest buffer',
+  [C.CONFIG]: 'Check the liquidation params / contract config',
+  [C.RPC]: 'RPC problem - retry or switch RPC',
+  [C.UNKNOWN]: ''
+};
+
+// Liquidation contract custom errors (from its ABI) + OZ v5 ERC20 errors
+const errorInterface = new utils.Interface([
+  ...LiquidationAbi.filter(f => f.type === 'error'),
+  'error ERC20InsufficientBalance(address sender, uint256 balance, uint256 needed)',
+  'error ERC20InsufficientAllowance(address spender, uint256 allowance, uint256 needed)'
+]);
+const ERROR_STRING_SELECTOR = '0x08c379a0'; // Error(string)
+const PANIC_SELECTOR = '0x4e487b71';        // Panic(uint256)
+
+const CUSTOM_ERROR_CATEGORIES = {
+  NotWhitelisted: C.WHITELIST,
+  NotPair: C.WHITELIST,
+  NotPool: C.WHITELIST,
+  NotV3Pool: C.WHITELIST,
+  SwapFailed: C.SWAP_SLIPPAGE,
+  InvalidSwapPath: C.CONFIG,
+  NoReward: C.NOT_PROFITABLE,
+  InvalidFlashSwapCallback: C.CONFIG,
+  InvalidV3FlashCallback: C.CONFIG,
+  OnlyOneAssetLoanEnabled: C.CONFIG,
+  OwnableUnauthorizedAccount: C.CONFIG,
+  OwnableInvalidOwner: C.CONFIG,
+  InvalidInitialization: C.CONFIG,
+  NotInitializing: C.CONFIG,
+  ZeroAddress: C.CONFIG,
+  SafeERC20FailedOperation: C.BALANCE,
+  ERC20InsufficientBalance: C.BALANCE,
+  ERC20InsufficientAllowance: C.BALANCE
+};
+
+// Aave v3 Errors.sol codes seen on liquidationCall / flashLoan
+const POOL_ERROR_CODES = {
+  13: ['INVALID_FLASHLOAN_EXECUTOR_RETURN', C.CONFIG],
+  26: ['INVALID_AMOUNT', C.CONFIG],
+  27: ['RESERVE_INACTIVE', C.CONFIG],
+  28: ['RESERVE_FROZEN', C.CONFIG],
+  29: ['RESERVE_PAUSED', C.CONFIG],
+  34: ['COLLATERAL_BALANCE_IS_ZERO', C.NOT_LIQUIDATABLE],
+  39: ['NO_DEBT_OF_SELECTED_TYPE', C.NOT_LIQUIDATABLE],
+  43: ['UNDERLYING_BALANCE_ZERO', C.NOT_LIQUIDATABLE],
+  45: ['HEALTH_FACTOR_NOT_BELOW_THRESHOLD', C.NOT_LIQUIDATABLE],
+  46: ['COLLATERAL_CANNOT_BE_LIQUIDATED', C.NOT_LIQUIDATABLE],
+  47: ['SPECIFIED_CURRENCY_NOT_BORROWED_BY_USER', C.NOT_LIQUIDATABLE],
+  49: ['INCONSISTENT_FLASHLOAN_PARAMS', C.CONFIG]
+};
+
+// require() strings, matched as substrings (first match wins)
+const MESSAGE_PATTERNS = [
+  // Pool, by name
+  [/HEALTH_FACTOR_NOT_BELOW_THRESHOLD/, 'HEALTH_FACTOR_NOT_BELOW_THRESHOLD', C.NOT_LIQUIDATABLE],
+  [/COLLATERAL_CANNOT_BE_LIQUIDATED/, 'COLLATERAL_CANNOT_BE_LIQUIDATED', C.NOT_LIQUIDATABLE],
+  [/SPECIFIED_CURRENCY_NOT_BORROWED_BY_USER/, 'SPECIFIED_CURRENCY_NOT_BORROWED_BY_USER', C.NOT_LIQUIDATABLE],
+  // PunchSwap / UniswapV2
+  [/INSUFFICIENT_OUTPUT_AMOUNT/, 'INSUFFICIENT_OUTPUT_AMOUNT', C.SWAP_SLIPPAGE],
+  [/EXCESSIVE_INPUT_AMOUNT/, 'EXCESSIVE_INPUT_AMOUNT', C.SWAP_SLIPPAGE],
+  [/V2: K$|: K$/, 'K', C.SWAP_SLIPPAGE],
+  [/INSUFFICIENT_LIQUIDITY/, 'INSUFFICIENT_LIQUIDITY', C.FLASH_LIQUIDITY],
+  [/INSUFFICIENT_INPUT_AMOUNT/, 'INSUFFICIENT_INPUT_AMOUNT', C.SWAP_SLIPPAGE],
+  // FlowSwap / UniswapV3 (router + pool short codes)
+  [/Too little received/, 'Too little received', C.SWAP_SLIPPAGE],
+  [/Too much requested/, 'Too much requested', C.SWAP_SLIPPAGE],
+  [/^(SPL|IIA|F0|F1)$/, null, C.SWAP_SLIPPAGE],
+  [/^L$/, 'L', C.FLASH_LIQUIDITY],
+  [/^(STF|TF)$/, null, C.BALANCE],
+  // StableKitty
+  [/Exchange resulted in fewer coins than expected/, 'Exchange resulted in fewer coins than expected', C.SWAP_SLIPPAGE],
+  // ERC20
+  [/transfer amount exceeds balance|burn amount exceeds balance|ds-math-sub-underflow/, 'ERC20: insufficient balance', C.BALANCE],
+  [/insufficient allowance|transfer amount exceeds allowance/, 'ERC20: insufficient allowance', C.BALANCE],
+  // Legacy wording from the params builders
+  [/not profitable/, 'Not profitable', C.NOT_PROFITABLE]
+];
+
+const RPC_PATTERNS = ['timeout', 'ETIMEDOUT', 'ECONNRESET', 'processing response error', 'SERVER_ERROR', 'NETWORK_ERROR', 'missing response', 'rate limit'];
+
+/**
+ * Revert data hex from a (possibly nested) ethers error
+ * @returns {string|null}
+ */
+function extractRevertData(err, depth = 0) {
+  if (!err || depth > 5) return null;
+  if (typeof err === 'string') return /^0x[0-9a-fA-F]{8,}$/.test(err) ? err : null;
+
+  const direct = extractRevertData(err.data, depth + 1);
+  if (direct) return direct;
+
+  if (typeof err.body === 'string') {
+    try {
+      const data = extractRevertData(JSON.parse(err.body).error, depth + 1);
+      if (data) return data;
+    } catch (e) {
+      // not JSON
+    }
+  }
+  return extractRevertData(err.error, depth + 1);
+}
+
+function fromMessage(message) {
+  const text = String(message).trim();
+  if (/^\d+$/.test(text) && POOL_ERROR_CODES[text]) {
+    const [name, category] = POOL_ERROR_CODES[text];
+    return { name, category, code: Number(text) };
+  }
+  for (const [pattern, name, category] of MESSAGE_PATTERNS) {
+    if (pattern.test(text)) return { name: name || text, category };
+  }
+  return null;
+}
+
+/**
+ * Decode a revert
+ * @param {Error|string} err - ethers error, revert data hex, or a reason string
+ * @returns {Object} { category, name, args, message, hint, data }
+ */
+function decodeRevert(err) {
+  const data = extractRevertData(err);
+  const fallback = typeof err === 'string' ? err : (err?.error?.reason || err?.reason || err?.error?.message || err?.message || 'Unknown error');
+  const result = (fields) => ({
+    args: [],
+    data,
+    ...fields,
+    hint: HINTS[fields.category] || ''
+  });
+
+  if (data) {
+    const selector = data.slice(0, 10).toLowerCase();
+    if (selector === ERROR_STRING_SELECTOR) {
+      const [reason] = utils.defaultAbiCoder.decode(['string'], utils.hexDataSlice(data, 4));
+      const known = fromMessage(reason);
+      const message = known?.code !== undefined ? `${known.name} (${reason})` : reason;
+      return result({ category: known?.category || C.UNKNOWN, name: known?.name || reason, code: known?.code, message });
+    }
+    if (selector === PANIC_SELECTOR) {
+      const [code] = utils.defaultAbiCoder.decode(['uint256'], utils.hexDataSlice(data, 4));
+      return result({ category: C.UNKNOWN, name: 'Panic', args: [code.toHexString()], message: `Panic(${code.toHexString()})` });
+    }
+
+    let parsed = null;
+    try {
+      parsed = errorInterface.parseError(data);
+    } catch (e) {
+      // unknown selector
+    }
+    if (parsed) {
+      const args = parsed.args.map(a => a.toString());
+      return result({
+        category: CUSTOM_ERROR_CATEGORIES[parsed.name] || C.UNKNOWN,
+        name: parsed.name,
+        args,
+        message: `${parsed.name}(${args.join(', ')})`
+      });
+    }
+    return result({ category: C.UNKNOWN, name: data.slice(0, 10), message: `Unknown error ${data.slice(0, 10)}` });
+  }
+
+  // No data: a reason string ethers already decoded, or not a revert at all
+  const reasonString = err?.error?.reason || err?.reason;
+  const known = fromMessage(reasonString || '') || fromMessage(fallback);
+  if (known) return result({ ...known, message: reasonString || fallback });
+
+  // Custom error names that made it into a message (e.g. root bot strings)
+  const customName = Object.keys(CUSTOM_ERROR_CATEGORIES).find(name => String(fallback).includes(name));
+  if (customName) return result({ category: CUSTOM_ERROR_CATEGORIES[customName], name: customName, message: fallback });
+
+  if (RPC_PATTERNS.some(p => String(fallback).includes(p))) {
+    return result({ category: C.RPC, name: 'RPC error', message: fallback });
+  }
+  return result({ category: C.UNKNOWN, name: String(fallback).slice(0, 60), message: fallback });
+}
+
+/**
+ * One-line form for logs / ledger, e.g. "SwapFailed(0xabc…) [swap-slippage]"
+ */
+function formatRevert(decoded) {
+  return `${decoded.message?.slice(0, 120)} [${decoded.category}]`;
+}
+
+module.exports = {
+  REVERT_CATEGORY,
+  decodeRevert,
+  extractRevertData,
+  formatRevert,
+};
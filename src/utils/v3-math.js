@@ -0,0 +1,225 @@
+/**
+ * Uniswap V3 math - BigInt ports of TickMath, SqrtPriceMath, SwapMath and TickBitmap
+ * Rounding follows the Solidity libraries so local quotes match the pool to the wei.
+ */
+
+const Q96 = 1n << 96n;
+const MAX_UINT160 = (1n << 160n) - 1n;
+const MAX_UINT256 = (1n << 256n) - 1n;
+const MIN_TICK = -887272;
+const MAX_TICK = 887272;
+const MIN_SQRT_RATIO = 4295128739n;
+const MAX_SQRT_RATIO = 1461446703485210103287273052203988822378723970342n;
+const FEE_DENOMINATOR = 1000000n;
+
+// sqrt(1.0001)^(-2^i) in Q128, for bit i of |tick| (TickMath.getSqrtRatioAtTick)
+const TICK_RATIOS = [
+  [0x2n, 0xfff97272373d413259a46990580e213an],
+  [0x4n, 0xfff2e50f5f656932ef12357cf3c7fdccn],
+  [0x8n, 0xffe5caca7e10e4e61c3624eaa0941cd0n],
+  [0x10n, 0xffcb9843d60f6159c9db58835c926644n],
+  [0x20n, 0xff973b41fa98c081472e6896dfb254c0n],
+  [0x40n, 0xff2ea16466c96a3843ec78b326b52861n],
+  [0x80n, 0xfe5dee046a99a2a811c461f1969c3053n],
+  [0x100n, 0xfcbe86c7900a88aedcffc83b479aa3a4n],
+  [0x200n, 0xf987a7253ac413176f2b074cf7815e54n],
+  [0x400n, 0xf3392b0822b70005940c7a398e4b70f3n],
+  [0x800n, 0xe7159475a2c29b7443b29c7fa6e889d9n],
+  [0x1000n, 0xd097f3bdfd2022b8845ad8f792aa5825n],
+  [0x2000n, 0xa9f746462d870fdf8a65dc1f90e061e5n],
+  [0x4000n, 0x70d869a156d2a1b890bb3df62baf32f7n],
+  [0x8000n, 0x31be135f97d08fd981231505542fcfa6n],
+  [0x10000n, 0x9aa508b5b7a84e1c677de54f3e99bc9n],
+  [0x20000n, 0x5d6af8dedb81196699c329225ee604n],
+  [0x40000n, 0x2216e584f5fa1ea926041bedfe98n],
+  [0x80000n, 0x48a170391f7dc42444e8fa2n],
+];
+
+function mulDiv(a, b, denominator) {
+  return (a * b) / denominator;
+}
+
+function mulDivRoundingUp(a, b, denominator) {
+  const product = a * b;
+  return product / denominator + (product % denominator > 0n ? 1n : 0n);
+}
+
+function divRoundingUp(a, b) {
+  return a / b + (a % b > 0n ? 1n : 0n);
+}
+
+/**
+ * sqrt(1.0001^tick) * 2^96
+ */
+function getSqrtRatioAtTick(tick) {
+  if (tick < MIN_TICK || tick > MAX_TICK) throw new Error(`Tick out of range: ${tick}`);
+  const absTick = BigInt(Math.abs(tick));
+
+  let ratio = (absTick & 0x1n) !== 0n
+    ? 0xfffcb933bd6fad37aa2d162d1a594001n
+    : 0x100000000000000000000000000000000n;
+  for (const [bit, factor] of TICK_RATIOS) {
+    if ((absTick & bit) !== 0n) ratio = (ratio * factor) >> 128n;
+  }
+  if (tick > 0) ratio = MAX_UINT256 / ratio;
+
+  // Q128.128 -> Q64.96, rounding up
+  return (ratio >> 32n) + (ratio % (1n << 32n) === 0n ? 0n : 1n);
+}
+
+/**
+ * Greatest tick whose sqrt ratio is <= sqrtPriceX96
+ */
+function getTickAtSqrtRatio(sqrtPriceX96) {
+  if (sqrtPriceX96 < MIN_SQRT_RATIO || sqrtPriceX96 >= MAX_SQRT_RATIO) {
+    throw new Error('sqrtPriceX96 out of range');
+  }
+  let low = MIN_TICK;
+  let high = MAX_TICK;
+  while (low < high) {
+    const mid = Math.floor((low + high + 1) / 2);
+    if (getSqrtRatioAtTick(mid) <= sqrtPriceX96) low = mid;
+    else high = mid - 1;
+  }
+  return low;
+}
+
+function getAmount0Delta(sqrtA, sqrtB, liquidity, roundUp) {
+  if (sqrtA > sqrtB) [sqrtA, sqrtB] = [sqrtB, sqrtA];
+  const numerator1 = liquidity << 96n;
+  const numerator2 = sqrtB - sqrtA;
+  return roundUp
+    ? divRoundingUp(mulDivRoundingUp(numerator1, numerator2, sqrtB), sqrtA)
+    : mulDiv(numerator1, numerator2, sqrtB) / sqrtA;
+}
+
+function getAmount1Delta(sqrtA, sqrtB, liquidity, roundUp) {
+  if (sqrtA > sqrtB) [sqrtA, sqrtB] = [sqrtB, sqrtA];
+  return roundUp
+    ? mulDivRoundingUp(liquidity, sqrtB - sqrtA, Q96)
+    : mulDiv(liquidity, sqrtB - sqrtA, Q96);
+}
+
+function getNextSqrtPriceFromAmount0RoundingUp(sqrtPX96, liquidity, amount) {
+  if (amount === 0n) return sqrtPX96;
+  const numerator1 = liquidity << 96n;
+  const product = amount * sqrtPX96;
+  // Solidity only takes the precise branch when the product fits in 256 bits
+  if (product <= MAX_UINT256) {
+    return mulDivRoundingUp(numerator1, sqrtPX96, numerator1 + product);
+  }
+  return divRoundingUp(numerator1, numerator1 / sqrtPX96 + amount);
+}
+
+function getNextSqrtPriceFromAmount1RoundingDown(sqrtPX96, liquidity, amount) {
+  const quotient = amount <= MAX_UINT160 ? (amount << 96n) / liquidity : mulDiv(amount, Q96, liquidity);
+  return sqrtPX96 + quotient;
+}
+
+function getNextSqrtPriceFromInput(sqrtPX96, liquidity, amountIn, zeroForOne) {
+  return zeroForOne
+    ? getNextSqrtPriceFromAmount0RoundingUp(sqrtPX96, liquidity, amountIn)
+    : getNextSqrtPriceFromAmount1RoundingDown(sqrtPX96, liquidity, amountIn);
+}
+
+/**
+ * One exact-input swap step towards sqrtTarget (SwapMath.computeSwapStep)
+ * @returns {{ sqrtNext, amountIn, amountOut, feeAmount }}
+ */
+function computeSwapStep(sqrtCurrent, sqrtTarget, liquidity, amountRemaining, feePips) {
+  const fee = BigInt(feePips);
+  const zeroForOne = sqrtCurrent >= sqrtTarget;
+  const amountRemainingLessFee = mulDiv(amountRemaining, FEE_DENOMINATOR - fee, FEE_DENOMINATOR);
+
+  let amountIn = zeroForOne
+    ? getAmount0Delta(sqrtTarget, sqrtCurrent, liquidity, true)
+    : getAmount1Delta(sqrtCurrent, sqrtTarget, liquidity, true);
+
+  const sqrtNext = amountRemainingLessFee >= amountIn
+    ? sqrtTarget
+    : getNextSqrtPriceFromInput(sqrtCurrent, liquidity, amountRemainingLessFee, zeroForOne);
+  const reachedTarget = sqrtNext === sqrtTarget;
+
+  let amountOut;
+  if (zeroForOne) {
+    if (!reachedTarget) amountIn = getAmount0Delta(sqrtNext, sqrtCurrent, liquidity, true);
+    amountOut = getAmount1Delta(sqrtNext, sqrtCurrent, liquidity, false);
+  } else {
+    if (!reachedTarget) amountIn = getAmount1Delta(sqrtCurrent, sqrtNext, liquidity, true);
+    amountOut = getAmount0Delta(sqrtCurrent, sqrtNext, liquidity, false);
+  }
+
+  const feeAmount = reachedTarget
+    ? mulDivRoundingUp(amountIn, fee, FEE_DENOMINATOR - fee)
+    : amountRemaining - amountIn;
+
+  return { sqrtNext, amountIn, amountOut, feeAmount };
+}
+
+function mostSignificantBit(x) {
+  return x.toString(2).length - 1;
+}
+
+function leastSignificantBit(x) {
+  return (x & -x).toString(2).length - 1;
+}
+
+/**
+ * Word position of a compressed tick (TickBitmap.position)
+ */
+function bitmapPosition(compressed) {
+  return { wordPos: compressed >> 8, bitPos: compressed & 0xff };
+}
+
+function compressTick(tick, tickSpacing) {
+  return Math.floor(tick / tickSpacing);
+}
+
+/**
+ * Next initialized tick within the bitmap word of `tick` (TickBitmap.nextInitializedTickWithinOneWord)
+ * @param {function(number): bigint} getWord - bitmap word by position (must be loaded)
+ * @returns {{ next: number, initialized: boolean, wordPos: number }}
+ */
+function nextInitializedTickWithinOneWord(getWord, tick, tickSpacing, lte) {
+  const compressed = compressTick(tick, tickSpacing);
+
+  if (lte) {
+    const { wordPos, bitPos } = bitmapPosition(compressed);
+    const mask = (1n << BigInt(bitPos)) - 1n + (1n << BigInt(bitPos));
+    const masked = getWord(wordPos) & mask;
+    const initialized = masked !== 0n;
+    const next = initialized
+      ? (compressed - (bitPos - mostSignificantBit(masked))) * tickSpacing
+      : (compressed - bitPos) * tickSpacing;
+    return { next, initialized, wordPos };
+  }
+
+  const { wordPos, bitPos } = bitmapPosition(compressed + 1);
+  const mask = ~((1n << BigInt(bitPos)) - 1n) & MAX_UINT256;
+  const masked = getWord(wordPos) & mask;
+  const initialized = masked !== 0n;
+  const next = initialized
+    ? (compressed + 1 + (leastSignificantBit(masked) - bitPos)) * tickSpacing
+    : (compressed + 1 + (255 - bitPos)) * tickSpacing;
+  return { next, initialized, wordPos };
+}
+
+module.exports = {
+  Q96,
+  MIN_TICK,
+  MAX_TICK,
+  MIN_SQRT_RATIO,
+  MAX_SQRT_RATIO,
+  FEE_DENOMINATOR,
+  mulDiv,
+  mulDivRoundingUp,
+  getSqrtRatioAtTick,
+  getTickAtSqrtRatio,
+  getAmount0Delta,
+  getAmount1Delta,
+  getNextSqrtPriceFromInput,
+  computeSwapStep,
+  bitmapPosition,
+  compressTick,
+  nextInitializedTickWithinOneWord,
+};
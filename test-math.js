@@ -0,0 +1,195 @@
+/**
+ * TEST LOCAL MATH - V3 TickMath / SwapMath, StableSwap get_D / get_y, revert decoder
+ * Offline: no RPC or config.json needed. Vectors are from the Uniswap v3-core
+ * and Aave v3 sources; StableSwap is checked against its invariant.
+ *
+ * Run with: node test-math.js
+ */
+
+const { utils } = require('ethers');
+const v3 = require('./src/utils/v3-math');
+const { getD, getY, getDy, toXp, A_PRECISION } = require('./src/utils/stableswap-math');
+const { decodeRevert, REVERT_CATEGORY } = require('./src/utils/revert-decoder');
+const LiquidationAbi = require('./abis/Liquidation.json');
+
+let passed = 0;
+let failed = 0;
+
+function check(name, actual, expected) {
+  const ok = String(actual) === String(expected);
+  if (ok) passed++;
+  else failed++;
+  console.log(`  ${ok ? '✅' : '❌'} ${name}${ok ? '' : ` - got ${actual}, expected ${expected}`}`);
+}
+
+function section(title) {
+  console.log('\n' + '─'.repeat(50));
+  console.log(title);
+}
+
+// sqrt(reserve1 / reserve0) * 2^96, as in the v3-core tests
+function encodePriceSqrt(reserve1, reserve0) {
+  const target = (BigInt(reserve1) << 192n) / BigInt(reserve0);
+  let x = target;
+  let y = (x + 1n) / 2n;
+  while (y < x) {
+    x = y;
+    y = (x + target / x) / 2n;
+  }
+  return x;
+}
+
+// ============================================
+// V3 TICK MATH
+// ============================================
+function testTickMath() {
+  section('V3 TickMath');
+  check('getSqrtRatioAtTick(MIN_TICK)', v3.getSqrtRatioAtTick(v3.MIN_TICK), v3.MIN_SQRT_RATIO);
+  check('getSqrtRatioAtTick(MAX_TICK)', v3.getSqrtRatioAtTick(v3.MAX_TICK), v3.MAX_SQRT_RATIO);
+  check('getSqrtRatioAtTick(0) = 2^96', v3.getSqrtRatioAtTick(0), v3.Q96);
+  check('getSqrtRatioAtTick(1)', v3.getSqrtRatioAtTick(1), 79232123823359799118286999568n);
+  check('getSqrtRatioAtTick(-1)', v3.getSqrtRatioAtTick(-1), 79224201403219477170569942574n);
+
+  let threw = false;
+  try {
+    v3.getSqrtRatioAtTick(v3.MAX_TICK + 1);
+  } catch (e) {
+    threw = true;
+  }
+  check('getSqrtRatioAtTick(MAX_TICK + 1) throws', threw, true);
+
+  check('getTickAtSqrtRatio(MIN_SQRT_RATIO)', v3.getTickAtSqrtRatio(v3.MIN_SQRT_RATIO), v3.MIN_TICK);
+  check('getTickAtSqrtRatio(MAX_SQRT_RATIO - 1)', v3.getTickAtSqrtRatio(v3.MAX_SQRT_RATIO - 1n), v3.MAX_TICK - 1);
+  for (const tick of [-200000, -60, -1, 0, 1, 60, 200000]) {
+    const sqrt = v3.getSqrtRatioAtTick(tick);
+    check(`tick ${tick} round-trips (and +1 wei stays on it)`, [v3.getTickAtSqrtRatio(sqrt), v3.getTickAtSqrtRatio(sqrt + 1n)].join(','), [tick, tick].join(','));
+  }
+}
+
+// ============================================
+// V3 SWAP MATH
+// ============================================
+function testSwapMath() {
+  section('V3 SwapMath.computeSwapStep');
+  const price = encodePriceSqrt(1, 1);
+  const liquidity = 2n * 10n ** 18n;
+  const amount = 10n ** 18n;
+
+  // capped at the price target (one for zero)
+  const target = encodePriceSqrt(101, 100);
+  const capped = v3.computeSwapStep(price, target, liquidity, amount, 600);
+  check('capped: amountIn', capped.amountIn, 9975124224178055n);
+  check('capped: feeAmount', capped.feeAmount, 5988667735148n);
+  check('capped: amountOut', capped.amountOut, 9925619580021728n);
+  check('capped: sqrtNext = target', capped.sqrtNext, target);
+
+  // whole input spent before the target (one for zero)
+  const far = encodePriceSqrt(1000, 100);
+  const spent = v3.computeSwapStep(price, far, liquidity, amount, 600);
+  check('spent: amountIn', spent.amountIn, 999400000000000000n);
+  check('spent: feeAmount', spent.feeAmount, 600000000000000n);
+  check('spent: amountOut', spent.amountOut, 666399946655997866n);
+  check('spent: sqrtNext below target', spent.sqrtNext < far, true);
+  check('spent: sqrtNext = getNextSqrtPriceFromInput', spent.sqrtNext, v3.getNextSqrtPriceFromInput(price, liquidity, amount - spent.feeAmount, false));
+
+  // zero for one mirrors it: price moves down, input + fee = amount
+  const down = v3.computeSwapStep(price, encodePriceSqrt(100, 1000), liquidity, amount, 3000);
+  check('zeroForOne: amountIn + fee = amount', down.amountIn + down.feeAmount, amount);
+  check('zeroForOne: price moves down', down.sqrtNext < price, true);
+
+  section('V3 TickBitmap.nextInitializedTickWithinOneWord');
+  // ticks 70 and 78 initialized (spacing 1) in word 0
+  const word = (1n << 70n) | (1n << 78n);
+  const getWord = wordPos => (wordPos === 0 ? word : 0n);
+  check('lte from 78 finds 78', v3.nextInitializedTickWithinOneWord(getWord, 78, 1, true).next, 78);
+  check('lte from 77 finds 70', v3.nextInitializedTickWithinOneWord(getWord, 77, 1, true).next, 70);
+  check('gt from 70 finds 78', v3.nextInitializedTickWithinOneWord(getWord, 70, 1, false).next, 78);
+  const empty = v3.nextInitializedTickWithinOneWord(getWord, 78, 1, false);
+  check('gt from 78 stops at word end', `${empty.next},${empty.initialized}`, '255,false');
+}
+
+// ============================================
+// STABLESWAP
+// ============================================
+function testStableSwap() {
+  section('StableSwap get_D / get_y');
+  const amp = 200n * A_PRECISION;
+  const rates = [10n ** 12n, 1n]; // 6 and 18 decimals
+
+  const balanced = toXp([1000000n * 10n ** 6n, 1000000n * 10n ** 18n], rates);
+  check('balanced pool: D = sum of balances', getD(balanced, amp), 2000000n * 10n ** 18n);
+  check('empty pool: D = 0', getD([0n, 0n], amp), 0n);
+
+  const xp = toXp([1200000n * 10n ** 6n, 800000n * 10n ** 18n], rates);
+  const D = getD(xp, amp);
+  check('imbalanced pool: D below sum', D < xp[0] + xp[1], true);
+
+  // Invariant with the pool's Ann = A·n: Ann·S + D = Ann·D + D^(n+1) / (n^n·Πx), checked to 1e-12
+  const n = 2n;
+  const Ann = amp * n;
+  const lhs = Ann * (xp[0] + xp[1]) / A_PRECISION + D;
+  const rhs = Ann * D / A_PRECISION + D ** 3n / (n ** n * xp[0] * xp[1]);
+  const diff = lhs > rhs ? lhs - rhs : rhs - lhs;
+  check('imbalanced pool: invariant holds', diff * 10n ** 12n <= lhs, true);
+
+  const y = getY(0, 1, xp[0], xp, amp, D);
+  check('get_y at the current balance returns the other balance (±2 wei)', (y > xp[1] ? y - xp[1] : xp[1] - y) <= 2n, true);
+
+  const pool = { amp, fee: 4000000n, balances: [1200000n * 10n ** 6n, 800000n * 10n ** 18n], rates };
+  const dy = getDy(pool, 0, 1, 1000n * 10n ** 6n, D);
+  check('get_dy 1000 of the abundant coin: between 990 and 1000', dy > 990n * 10n ** 18n && dy < 1000n * 10n ** 18n, true);
+  const back = getDy(pool, 1, 0, 1000n * 10n ** 18n, D);
+  check('get_dy 1000 of the scarce coin: above 1000 of the abundant one', back > 1000n * 10n ** 6n, true);
+  check('get_dy larger trade gets a worse rate', getDy(pool, 0, 1, 500000n * 10n ** 6n, D) * 2n < 1000000n * 10n ** 18n, true);
+}
+
+// ============================================
+// REVERT DECODER
+// ============================================
+function testRevertDecoder() {
+  section('Revert decoder');
+  const C = REVERT_CATEGORY;
+  const errorString = reason => utils.hexConcat(['0x08c379a0', utils.defaultAbiCoder.encode(['string'], [reason])]);
+  const liquidationErrors = new utils.Interface(LiquidationAbi.filter(f => f.type === 'error'));
+
+  const hf = decodeRevert(errorString('45'));
+  check('Aave code 45 -> name', hf.name, 'HEALTH_FACTOR_NOT_BELOW_THRESHOLD');
+  check('Aave code 45 -> category', hf.category, C.NOT_LIQUIDATABLE);
+  check('Aave code 45 -> code', hf.code, 45);
+  check('Aave code 29 -> category', decodeRevert(errorString('29')).category, C.CONFIG);
+
+  const router = '0x1111111111111111111111111111111111111111';
+  const notWhitelisted = decodeRevert(liquidationErrors.encodeErrorResult('NotWhitelisted', []));
+  check('custom NotWhitelisted -> category', notWhitelisted.category, C.WHITELIST);
+  const swapFailed = decodeRevert({ error: { data: liquidationErrors.encodeErrorResult('SwapFailed', [router]) } });
+  check('nested custom SwapFailed -> name', swapFailed.name, 'SwapFailed');
+  check('nested custom SwapFailed -> category', swapFailed.category, C.SWAP_SLIPPAGE);
+  check('nested custom SwapFailed -> args', swapFailed.args[0].toLowerCase(), router);
+
+  const fromBody = decodeRevert({ body: JSON.stringify({ error: { data: liquidationErrors.encodeErrorResult('NoReward', []) } }) });
+  check('custom NoReward from a JSON-RPC body', fromBody.category, C.NOT_PROFITABLE);
+
+  check('V2 INSUFFICIENT_OUTPUT_AMOUNT string', decodeRevert(errorString('PunchSwapV2Router: INSUFFICIENT_OUTPUT_AMOUNT')).category, C.SWAP_SLIPPAGE);
+  check('V3 pool "L" string', decodeRevert(errorString('L')).category, C.FLASH_LIQUIDITY);
+  check('Panic(0x11)', decodeRevert(utils.hexConcat(['0x4e487b71', utils.defaultAbiCoder.encode(['uint256'], [0x11])])).message, 'Panic(0x11)');
+  check('unknown selector', decodeRevert('0xdeadbeef').category, C.UNKNOWN);
+  check('reason string without data', decodeRevert({ reason: 'HEALTH_FACTOR_NOT_BELOW_THRESHOLD' }).category, C.NOT_LIQUIDATABLE);
+  check('RPC timeout is not a revert', decodeRevert(new Error('timeout exceeded')).category, C.RPC);
+}
+
+function main() {
+  console.log('═'.repeat(60));
+  console.log('LOCAL MATH TEST');
+  console.log('═'.repeat(60));
+
+  testTickMath();
+  testSwapMath();
+  testStableSwap();
+  testRevertDecoder();
+
+  console.log('\n' + '═'.repeat(60));
+  console.log(`${failed === 0 ? '✅' : '❌'} ${passed} passed, ${failed} failed`);
+  process.exitCode = failed === 0 ? 0 : 1;
+}
+
+main();